@@ -0,0 +1,93 @@
+// ============================================================
+// DERIVED METRICS
+// Yearly key-figure rows from a provider's raw statements (rows
+// newest first). Every figure comes from the same year's statements,
+// share count included, and one that cannot be computed is null,
+// never 0: the oldest year has no growth, a loss-making year no
+// payout ratio. Scoring and averages skip nulls.
+//
+// Pure functions only, so that they can be tested without the app:
+//   node --test derived-metrics.test.mjs
+// ============================================================
+export const DEFAULT_TAX_RATE = 0.2;  // Finnish corporate tax, when the effective rate is unusable
+
+// Figures that need the cash flow statement. Providers only fetch it
+// when asked to, so views that load many stocks go without them.
+export const CASHFLOW_FIGURES = ["dps", "payout", "fcfYield"];
+
+export const pctOf = (num, den) => (num != null && den ? (num / den) * 100 : null);
+// Ratios such as coverage only mean something over a positive base
+export const overPositive = (num, den) => (num != null && den > 0 ? num / den : null);
+export const growthPct = (cur, prev) => (cur != null && prev ? ((cur - prev) / Math.abs(prev)) * 100 : null);
+
+// Operating profit (EBIT), not EBITDA, over revenue
+export function ebitMargin(inc) {
+  return pctOf(inc.operatingIncome, inc.revenue);
+}
+
+export function effectiveTaxRate(inc) {
+  const rate = inc.incomeBeforeTax > 0 && inc.incomeTaxExpense != null ? inc.incomeTaxExpense / inc.incomeBeforeTax : null;
+  return rate != null && rate >= 0 && rate < 0.5 ? rate : DEFAULT_TAX_RATE;
+}
+
+// NOPAT ÷ invested capital (equity + interest-bearing debt − cash)
+export function returnOnInvestedCapital(inc, bal) {
+  const invested = (bal.totalEquity ?? 0) + (bal.totalDebt ?? 0) - (bal.cash ?? 0);
+  if (inc.operatingIncome == null || !(invested > 0)) return null;
+  return (inc.operatingIncome * (1 - effectiveTaxRate(inc)) / invested) * 100;
+}
+
+// Rows for the newest `count` years that have both an income statement
+// and a balance sheet. keyMetrics = FMP key-metrics rows, whose market
+// multiples are null for a year without one (or when they failed to
+// load); statements = { income, balance, cashflow }, cashflow empty
+// when it was not fetched; profile supplies the share count when a
+// year lacks one.
+export function deriveYearRows(keyMetrics, { income, balance, cashflow = [] }, profile, count = Infinity) {
+  const yearOf = row => new Date(row.date).getFullYear();
+  const byYear = rows => Object.fromEntries(rows.map(r => [yearOf(r), r]));
+  const inc = byYear(income), bal = byYear(balance), cf = byYear(cashflow), km = byYear(keyMetrics);
+  const shown = Object.keys(inc).map(Number).filter(year => bal[year]).sort((a, b) => a - b).slice(-count);
+
+  const years = {};
+  for (const year of shown) {
+    const i = inc[year], b = bal[year], c = cf[year] ?? {}, m = km[year] ?? {};
+    const prev = inc[year - 1];
+    const shares = i.shares ?? profile.sharesOutstanding ?? null;
+    const dps = c.dividendsPaid != null && shares ? Math.abs(c.dividendsPaid) / shares : null;
+    const netDebt = b.totalDebt - (b.cash || 0);
+    years[year] = {
+      pe:               m.peRatio ?? null,
+      peg:              m.pegRatio ?? null,
+      pb:               m.pbRatio ?? null,
+      pfcf:             m.priceToFreeCashFlowsRatio ?? null,
+      eps:              i.eps ?? null,
+      roe:              m.roe != null ? m.roe * 100 : null,
+      ebit:             ebitMargin(i),
+      dy:               m.dividendYield != null ? m.dividendYield * 100 : null,
+      dps,
+      eq:               pctOf(b.totalEquity, b.totalAssets),
+      nettovelka:       b.totalEquity > 0 ? pctOf(netDebt, b.totalEquity) : null,
+      revenue:          i.revenue != null ? Math.round(i.revenue / 1e6) : null,
+      revenueGrowth:    prev ? growthPct(i.revenue, prev.revenue) : null,
+      earningsGrowth:   prev ? growthPct(i.eps, prev.eps) : null,
+      shares,
+      payout:           i.eps > 0 && dps != null ? (dps / i.eps) * 100 : null,
+      roic:             returnOnInvestedCapital(i, b),
+      fcfYield:         pctOf(c.freeCashFlow, m.marketCap),
+      interestCoverage: overPositive(i.operatingIncome, i.interestExpense),
+      netDebtToEbitda:  overPositive(netDebt, i.ebitda),
+    };
+  }
+  return years;
+}
+
+// Figures recoverable from the yearly rows alone, for datasets that
+// ship without them; values present in the data win
+export function withRowRatios(years) {
+  return Object.fromEntries(Object.entries(years).map(([year, d]) => [year, {
+    payout:   d.eps > 0 && d.dps != null ? (d.dps / d.eps) * 100 : null,
+    fcfYield: d.pfcf > 0 ? 100 / d.pfcf : null,
+    ...d,
+  }]));
+}
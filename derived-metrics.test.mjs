@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TAX_RATE, CASHFLOW_FIGURES, ebitMargin, effectiveTaxRate, returnOnInvestedCapital, deriveYearRows, withRowRatios,
+} from "./derived-metrics.mjs";
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// Statements of a made-up company, newest first like FMP returns them
+const income = [
+  { date: "2024-12-31", revenue: 1200e6, eps: 1.2, ebitda: 300e6, operatingIncome: 240e6, interestExpense: 20e6, incomeBeforeTax: 220e6, incomeTaxExpense: 44e6, shares: 100e6 },
+  { date: "2023-12-31", revenue: 1000e6, eps: 1.0, ebitda: 250e6, operatingIncome: 150e6, interestExpense: 25e6, incomeBeforeTax: 125e6, incomeTaxExpense: 25e6, shares: 100e6 },
+];
+const balance = [
+  { date: "2024-12-31", totalAssets: 2000e6, totalEquity: 800e6, totalDebt: 400e6, cash: 200e6 },
+  { date: "2023-12-31", totalAssets: 1800e6, totalEquity: 700e6, totalDebt: 500e6, cash: 100e6 },
+];
+const cashflow = [
+  { date: "2024-12-31", freeCashFlow: 90e6, dividendsPaid: -60e6 },
+  { date: "2023-12-31", freeCashFlow: 80e6, dividendsPaid: -50e6 },
+];
+const keyMetrics = [
+  { date: "2024-12-31", peRatio: 15, pbRatio: 2, roe: 0.15, dividendYield: 0.03, marketCap: 1800e6 },
+  { date: "2023-12-31", peRatio: 12, pbRatio: 1.7, roe: 0.14, dividendYield: 0.04, marketCap: 1200e6 },
+];
+const profile = { sharesOutstanding: 100e6 };
+
+test("EBIT margin is operating profit over revenue", () => {
+  assert.equal(ebitMargin(income[0]), 20);
+  assert.equal(ebitMargin({ operatingIncome: 10, revenue: 0 }), null);
+  assert.equal(ebitMargin({ operatingIncome: null, revenue: 100 }), null);
+});
+
+test("effective tax rate falls back to the default when unusable", () => {
+  close(effectiveTaxRate(income[0]), 0.2);
+  assert.equal(effectiveTaxRate({ incomeBeforeTax: -10, incomeTaxExpense: 2 }), DEFAULT_TAX_RATE);
+  assert.equal(effectiveTaxRate({ incomeBeforeTax: 100, incomeTaxExpense: 60 }), DEFAULT_TAX_RATE);
+  assert.equal(effectiveTaxRate({ incomeBeforeTax: 100, incomeTaxExpense: null }), DEFAULT_TAX_RATE);
+});
+
+test("ROIC is NOPAT over equity plus debt minus cash", () => {
+  // 240 × (1 − 0.2) / (800 + 400 − 200) = 19.2 %
+  close(returnOnInvestedCapital(income[0], balance[0]), 19.2);
+  // 150 × (1 − 0.2) / (700 + 500 − 100)
+  close(returnOnInvestedCapital(income[1], balance[1]), 120 / 1100 * 100);
+});
+
+test("ROIC is null without operating profit or positive invested capital", () => {
+  assert.equal(returnOnInvestedCapital({ operatingIncome: null }, balance[0]), null);
+  assert.equal(returnOnInvestedCapital(income[0], { totalEquity: 100, totalDebt: 0, cash: 300 }), null);
+});
+
+test("year rows combine the same year's statements", () => {
+  const years = deriveYearRows(keyMetrics, { income, balance, cashflow }, profile);
+  assert.deepEqual(Object.keys(years), ["2023", "2024"]);
+  const y = years[2024];
+  assert.equal(y.pe, 15);
+  close(y.roe, 15);
+  assert.equal(y.ebit, 20);
+  close(y.dy, 3);
+  assert.equal(y.eq, 40);
+  assert.equal(y.nettovelka, 25);
+  assert.equal(y.revenue, 1200);
+  assert.equal(y.revenueGrowth, 20);
+  close(y.earningsGrowth, 20);
+  close(y.roic, 19.2);
+  close(y.dps, 0.6);
+  close(y.payout, 50);
+  assert.equal(y.fcfYield, 5);
+  assert.equal(y.interestCoverage, 12);
+  close(y.netDebtToEbitda, 200 / 300);
+});
+
+test("the oldest year has no growth figures", () => {
+  const years = deriveYearRows(keyMetrics, { income, balance, cashflow }, profile);
+  assert.equal(years[2023].revenueGrowth, null);
+  assert.equal(years[2023].earningsGrowth, null);
+});
+
+test("a year missing from the income or balance statement is left out", () => {
+  const years = deriveYearRows(keyMetrics, { income, balance: balance.slice(0, 1), cashflow }, profile);
+  assert.deepEqual(Object.keys(years), ["2024"]);
+});
+
+test("growth is null when the previous year's income statement is missing", () => {
+  const km = [{ ...keyMetrics[0] }, { ...keyMetrics[1], date: "2022-12-31" }];
+  const inc = [income[0], { ...income[1], date: "2022-12-31" }];
+  const bal = [balance[0], { ...balance[1], date: "2022-12-31" }];
+  const years = deriveYearRows(km, { income: inc, balance: bal, cashflow: [] }, profile);
+  assert.deepEqual(Object.keys(years), ["2022", "2024"]);
+  assert.equal(years[2024].revenueGrowth, null);
+});
+
+test("without key metrics the rows still come from the statements", () => {
+  const years = deriveYearRows([], { income, balance, cashflow }, profile);
+  assert.deepEqual(Object.keys(years), ["2023", "2024"]);
+  for (const key of ["pe", "peg", "pb", "pfcf", "roe", "dy", "fcfYield"]) assert.equal(years[2024][key], null, key);
+  assert.equal(years[2024].ebit, 20);
+  close(years[2024].roic, 19.2);
+  assert.equal(years[2024].revenueGrowth, 20);
+});
+
+test("only the newest `count` years become rows; older ones give growth", () => {
+  const years = deriveYearRows(keyMetrics, { income, balance, cashflow }, profile, 1);
+  assert.deepEqual(Object.keys(years), ["2024"]);
+  assert.equal(years[2024].revenueGrowth, 20);
+});
+
+test("cash-flow figures are null without a cash flow statement", () => {
+  const years = deriveYearRows(keyMetrics, { income, balance }, profile);
+  for (const key of CASHFLOW_FIGURES) assert.equal(years[2024][key], null, key);
+  assert.equal(years[2024].ebit, 20);
+});
+
+test("the profile's share count fills in a year without one", () => {
+  const inc = [{ ...income[0], shares: null }];
+  const years = deriveYearRows(keyMetrics.slice(0, 1), { income: inc, balance, cashflow }, { sharesOutstanding: 120e6 });
+  close(years[2024].dps, 0.5);
+});
+
+test("row ratios fill payout and FCF yield without overriding the data", () => {
+  const years = withRowRatios({
+    2024: { eps: 2, dps: 1, pfcf: 20 },
+    2025: { eps: -1, dps: 1, pfcf: 0, fcfYield: 7 },
+  });
+  assert.equal(years[2024].payout, 50);
+  assert.equal(years[2024].fcfYield, 5);
+  assert.equal(years[2025].payout, null);
+  assert.equal(years[2025].fcfYield, 7);
+});
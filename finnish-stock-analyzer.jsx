@@ -1,4 +1,6 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, Fragment } from "react";
+import { CASHFLOW_FIGURES, ebitMargin, deriveYearRows, withRowRatios, growthPct } from "./derived-metrics.mjs";
+import { createFlights } from "./request-flights.mjs";
 
 // ============================================================
 // API CONFIGURATION
@@ -6,6 +8,8 @@ import { useState, useEffect, useRef } from "react";
 // To use real data, create a .env file in your project root with:
 //   VITE_STOCK_API_KEY=your_fmp_api_key_here
 // Get a free key at: https://financialmodelingprep.com
+// On a paid plan, also set VITE_FMP_PLAN=starter|premium|ultimate
+// so requests are paced to its limits instead of the free daily quota.
 //
 // Without an API key, the app uses high-quality mock data.
 // ============================================================
@@ -30,125 +34,739 @@ function hasApiKey() {
 }
 
 // ============================================================
-// API FETCH FUNCTIONS (Financial Modeling Prep)
-// These replace MOCK_STOCKS when a real API key is present.
+// LOCALIZATION
+// UI text lives in per-language catalogs (MESSAGES, at the end of
+// this file) keyed by area, e.g. tr("tabs.yhteenveto"). Entries are
+// strings with {name} slots, or functions of the params where the
+// grammar needs it (plurals, Finnish cases). A key missing from a
+// catalog falls back to Finnish.
+//
+// The App sets the language before it renders, so components and
+// module-level helpers alike just call tr() and the format* helpers;
+// label maps defined at module level read through labelMap() so
+// they follow the switch too.
 // ============================================================
+const LANGUAGES = {
+  fi: { label: "Suomi",   short: "FI", locale: "fi-FI" },
+  en: { label: "English", short: "EN", locale: "en-GB" },
+};
+const DEFAULT_LANGUAGE = "fi";
 
-async function fetchFMPProfile(ticker) {
-  const t = toHelsinkiTicker(ticker);
-  const res = await fetch(`${FMP_BASE}/profile/${t}?apikey=${API_KEY}`);
-  if (!res.ok) throw new Error(`Profiilin haku epäonnistui: ${res.status}`);
-  const data = await res.json();
-  if (!data || data.length === 0) throw new Error(`Osaketta ${t} ei löytynyt`);
-  return data[0];
+let activeLanguage = DEFAULT_LANGUAGE;
+
+function setLanguage(language) {
+  activeLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
 }
 
-async function fetchFMPKeyMetrics(ticker, years = 5) {
-  const t = toHelsinkiTicker(ticker);
-  const res = await fetch(`${FMP_BASE}/key-metrics/${t}?limit=${years}&apikey=${API_KEY}`);
-  if (!res.ok) throw new Error(`Tunnuslukujen haku epäonnistui: ${res.status}`);
-  return await res.json();
+const activeLocale = () => LANGUAGES[activeLanguage].locale;
+
+function lookupMessage(language, key) {
+  return key.split(".").reduce((node, part) => node?.[part], MESSAGES[language]);
 }
 
-async function fetchFMPIncomeStatement(ticker, years = 5) {
-  const t = toHelsinkiTicker(ticker);
-  const res = await fetch(`${FMP_BASE}/income-statement/${t}?limit=${years}&apikey=${API_KEY}`);
-  if (!res.ok) throw new Error(`Tuloslaskelman haku epäonnistui: ${res.status}`);
-  return await res.json();
+function tr(key, params = {}) {
+  const entry = lookupMessage(activeLanguage, key) ?? lookupMessage(DEFAULT_LANGUAGE, key);
+  if (typeof entry === "function") return entry(params);
+  if (typeof entry !== "string") return key;
+  return entry.replace(/\{(\w+)\}/g, (slot, name) => params[name] ?? slot);
 }
 
-async function fetchFMPBalanceSheet(ticker, years = 5) {
-  const t = toHelsinkiTicker(ticker);
-  const res = await fetch(`${FMP_BASE}/balance-sheet-statement/${t}?limit=${years}&apikey=${API_KEY}`);
-  if (!res.ok) throw new Error(`Taseen haku epäonnistui: ${res.status}`);
-  return await res.json();
-}
-
-// Search for Helsinki stocks on FMP
-async function searchHelsinkiStocks(query) {
-  if (!hasApiKey() || !query.trim()) return [];
-  
-  // FMP search endpoint - returns matches from all exchanges
-  const res = await fetch(`${FMP_BASE}/search?query=${encodeURIComponent(query)}&limit=20&apikey=${API_KEY}`);
-  if (!res.ok) return [];
-  
-  const results = await res.json();
-  
-  // Filter for Helsinki exchange (HEL) stocks only
-  // FMP uses "exchangeShortName": "HEL" for Helsinki
-  const helsinkiStocks = results.filter(r => 
-    r.exchangeShortName === "HEL" || 
-    r.symbol?.endsWith(".HE")
-  ).map(r => ({
-    ticker: r.symbol.endsWith(".HE") ? r.symbol : r.symbol + ".HE",
-    name: r.name || r.symbol,
-    sector: "Nasdaq Helsinki",
-    logo: "📈",
-    _live: true
-  }));
-  
-  return helsinkiStocks.slice(0, 10); // Max 10 results
+// { key: label } whose labels are looked up on every read
+function labelMap(prefix, keys) {
+  const map = {};
+  for (const key of keys) {
+    Object.defineProperty(map, key, { get: () => tr(`${prefix}.${key}`), enumerable: true });
+  }
+  return map;
 }
 
-// Combine all FMP endpoints into the app's internal data shape
-async function fetchStockData(ticker) {
-  const t = toHelsinkiTicker(ticker);
-  const [profile, metrics, income, balance] = await Promise.all([
-    fetchFMPProfile(t),
-    fetchFMPKeyMetrics(t),
-    fetchFMPIncomeStatement(t),
-    fetchFMPBalanceSheet(t),
-  ]);
+// Gives each item of a module-level list (keyed by item[key]) or map
+// (keyed by property name) a translated `prop`, looked up on read
+function withLabels(prefix, items, { prop = "label", key = "key" } = {}) {
+  const entries = Array.isArray(items) ? items.map(item => [item[key], item]) : Object.entries(items);
+  for (const [name, item] of entries) {
+    Object.defineProperty(item, prop, { get: () => tr(`${prefix}.${name}`), enumerable: true });
+  }
+  return items;
+}
 
-  // Build years object from oldest → newest
-  const years = {};
-  const n = Math.min(metrics.length, income.length, balance.length, 5);
-  for (let i = n - 1; i >= 0; i--) {
-    const m = metrics[i];
-    const inc = income[i];
-    const bal = balance[i];
-    const year = new Date(m.date).getFullYear();
-    const prevInc = income[i + 1];
-    const revenueGrowth = prevInc
-      ? ((inc.revenue - prevInc.revenue) / Math.abs(prevInc.revenue)) * 100
-      : 0;
-    const prevEps = prevInc?.eps;
-    const earningsGrowth = prevEps && prevEps !== 0
-      ? ((inc.eps - prevEps) / Math.abs(prevEps)) * 100
-      : 0;
-    const totalAssets = bal.totalAssets || 1;
-    const totalEquity = bal.totalStockholdersEquity || 0;
-    const totalDebt = (bal.longTermDebt || 0) + (bal.shortTermDebt || 0);
-    const cash = bal.cashAndCashEquivalents || 0;
-    years[year] = {
-      pe:             m.peRatio              ?? null,
-      peg:            m.pegRatio             ?? null,
-      pb:             m.pbRatio              ?? null,
-      pfcf:           m.priceToFreeCashFlowsRatio ?? null,
-      eps:            inc.eps                ?? null,
-      roe:            (m.roe ?? 0) * 100,
-      ebit:           inc.ebitdaratio != null ? inc.ebitdaratio * 100 : (inc.ebitda / inc.revenue) * 100,
-      dy:             (m.dividendYield ?? 0) * 100,
-      dps:            inc.dividendsPaid != null
-                        ? Math.abs(inc.dividendsPaid / (profile.sharesOutstanding || 1))
-                        : null,
-      eq:             totalEquity / totalAssets * 100,
-      nettovelka:     (totalDebt - cash) / totalEquity * 100,
-      revenue:        Math.round((inc.revenue || 0) / 1e6),
-      revenueGrowth,
-      earningsGrowth,
-    };
+// Intl formatters are costly to build, so keep one per locale and options
+const numberFormats = new Map();
+function numberFormat(options) {
+  const key = `${activeLocale()} ${JSON.stringify(options)}`;
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(activeLocale(), options));
+  return numberFormats.get(key);
+}
+
+const isNumber = v => v != null && Number.isFinite(v);
+
+// 1234.5 -> "1 234,5" / "1,234.5"; `signed` adds "+" to positives
+function formatNumber(value, digits = 1, { signed = false } = {}) {
+  if (!isNumber(value)) return "—";
+  return numberFormat({
+    minimumFractionDigits: digits, maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(value);
+}
+
+// Value already in percent: 12.3 -> "12,3 %" / "12.3%"
+function formatPercent(value, digits = 1, { signed = false } = {}) {
+  if (!isNumber(value)) return "—";
+  return numberFormat({
+    style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(value / 100);
+}
+
+// 4.09 -> "4,09 €" / "€4.09"
+function formatEur(value, digits = 2, { signed = false } = {}) {
+  if (!isNumber(value)) return "—";
+  return numberFormat({
+    style: "currency", currency: "EUR", minimumFractionDigits: digits, maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(value);
+}
+
+// Share counts: whole or fractional, as toLocaleString() shows them
+const formatQuantity = value => (isNumber(value) ? numberFormat({ maximumFractionDigits: 3 }).format(value) : "—");
+
+const formatRatio = (value, digits = 1) => (isNumber(value) ? `${formatNumber(value, digits)}x` : "—");
+
+// Key figure in one of the KEY FIGURES formats
+function formatValue(value, fmt) {
+  if (!isNumber(value)) return "—";
+  if (fmt === "percent") return formatPercent(value);
+  if (fmt === "eps")     return formatEur(value);
+  if (fmt === "ratio")   return formatRatio(value);
+  if (fmt === "num0")    return formatNumber(value, 0);
+  return formatNumber(value);
+}
+
+// ISO date or timestamp in the active locale. A bare "2025-04-01" is
+// a calendar day, so it is read as UTC to stay on that day everywhere.
+function formatDate(value, options = { dateStyle: "medium" }) {
+  if (value == null) return "—";
+  const dayOnly = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(value).toLocaleString(activeLocale(), dayOnly ? { timeZone: "UTC", ...options } : options);
+}
+
+// ============================================================
+// RESPONSE CACHE
+// Two tiers: an in-memory Map for this session and localStorage
+// so reloads don't spend FMP quota. Entries past their TTL are
+// still returned (marked stale) so the UI can show them at once
+// and revalidate in the background. Concurrent requests for the
+// same key share a single in-flight promise.
+// ============================================================
+const CACHE_PREFIX = "osakeapuri.cache.";
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const CACHE_TTL = {
+  profile:   15 * MINUTE, // price moves intraday
+  metrics:   12 * HOUR,
+  income:    24 * HOUR,   // statements only change on report days
+  balance:   24 * HOUR,
+  cashflow:  24 * HOUR,
+  search:    6 * HOUR,
+  prices:    1 * HOUR,
+  dividends: 12 * HOUR,
+};
+// Anything older than this is treated as a miss, not as stale data
+const CACHE_MAX_AGE = 30 * 24 * HOUR;
+
+const memoryCache = new Map();
+const inflightRequests = createFlights(() => abortedError());
+
+function readCacheEntry(key) {
+  if (memoryCache.has(key)) return memoryCache.get(key);
+  const stored = readStored(CACHE_PREFIX + key);
+  if (stored && typeof stored.fetchedAt === "number") {
+    memoryCache.set(key, stored);
+    return stored;
+  }
+  return null;
+}
+
+function writeCacheEntry(key, entry) {
+  memoryCache.set(key, entry);
+  writeStored(CACHE_PREFIX + key, entry);
+}
+
+function clearResponseCache() {
+  memoryCache.clear();
+  if (typeof localStorage === "undefined") return;
+  Object.keys(localStorage)
+    .filter(k => k.startsWith(CACHE_PREFIX))
+    .forEach(k => localStorage.removeItem(k));
+}
+
+// Resolves to { data, fetchedAt, stale, error? }; `error` is why a
+// stale entry was served in place of a failed request. `fresh: true`
+// skips the cache lookup (used by the manual refresh buttons);
+// `revalidate: true` only skips it once the entry is past its TTL, so
+// revalidating a stale stock refetches just the endpoints that expired.
+// fetcher(signal) is shared by concurrent callers (see
+// request-flights.mjs), so a caller's own `signal` only detaches that
+// caller; the request itself is aborted once nobody is waiting for it
+// any more.
+async function cachedRequest(endpoint, key, fetcher, { fresh = false, revalidate = false, signal } = {}) {
+  const cacheKey = `${endpoint}:${key}`;
+  const ttl = CACHE_TTL[endpoint] ?? 15 * MINUTE;
+  const entry = readCacheEntry(cacheKey);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (!fresh && entry && age < (revalidate ? ttl : CACHE_MAX_AGE)) {
+    return { data: entry.data, fetchedAt: entry.fetchedAt, stale: age >= ttl };
+  }
+
+  try {
+    const next = await inflightRequests.join(cacheKey, async flightSignal => {
+      const fetched = { data: await fetcher(flightSignal), fetchedAt: Date.now() };
+      writeCacheEntry(cacheKey, fetched);
+      return fetched;
+    }, signal);
+    return { data: next.data, fetchedAt: next.fetchedAt, stale: false };
+  } catch (err) {
+    // Request failed: an old answer beats no answer
+    if (entry && err.kind !== "aborted") return { data: entry.data, fetchedAt: entry.fetchedAt, stale: true, error: err };
+    throw err;
+  }
+}
+
+// "5 min sitten" style label for the data age indicator
+function formatAge(timestamp, now = Date.now()) {
+  const diff = Math.max(0, now - timestamp);
+  if (diff < MINUTE) return tr("age.now");
+  if (diff < HOUR) return tr("age.minutes", { n: Math.floor(diff / MINUTE) });
+  if (diff < 24 * HOUR) return tr("age.hours", { n: Math.floor(diff / HOUR) });
+  return tr("age.days", { n: Math.floor(diff / (24 * HOUR)) });
+}
+
+// ============================================================
+// REQUESTS
+// Every HTTP call of a live provider goes through requestJSON: a
+// client-side rate limiter keeps direct FMP calls inside the plan's
+// quota, 5xx answers are retried with exponential backoff and a
+// per-minute 429 after the wait it asks for (a spent daily quota is
+// not retried), and every failure is thrown as an ApiError whose
+// `kind` tells the UI what went wrong. Requests take an AbortSignal
+// so that data for a ticker the user already left can be dropped.
+// ============================================================
+const API_ERROR_KINDS = labelMap("apiError", ["auth", "quota", "plan", "notFound", "network", "server", "aborted"]);
+// Kinds worth a "try again" button: they may pass by themselves
+const TRANSIENT_ERRORS = ["quota", "network", "server"];
+
+// FMP plan limits; pick the plan with VITE_FMP_PLAN. The free plan
+// has a daily budget, paid plans a per-minute one.
+const FMP_PLANS = {
+  free:     { label: "Basic",    perDay: 250 },
+  starter:  { label: "Starter",  perMinute: 300 },
+  premium:  { label: "Premium",  perMinute: 750 },
+  ultimate: { label: "Ultimate", perMinute: 3000 },
+};
+const FMP_PLAN = FMP_PLANS[import.meta.env.VITE_FMP_PLAN] ?? FMP_PLANS.free;
+const API_USAGE_KEY = "osakeapuri.apiUsage";
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;      // doubled on every attempt
+const MAX_RETRY_DELAY = 30 * 1000;
+const MAX_QUOTA_WAIT = 2 * MINUTE;  // a quota error asking for longer fails at once
+
+class ApiError extends Error {
+  constructor(kind, message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;             // key of API_ERROR_KINDS
+    this.status = status;         // HTTP status, if there was a response
+    this.retryAfter = retryAfter; // ms until a retry may succeed, if known
+  }
+}
+
+const abortedError = () => new ApiError("aborted", tr("request.aborted"));
+
+// Resolves after `ms`, or rejects as aborted as soon as `signal` fires
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortedError()); return; }
+    const id = setTimeout(() => { signal?.removeEventListener("abort", abort); resolve(); }, ms);
+    function abort() { clearTimeout(id); reject(abortedError()); }
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+// Daily quotas, ours and FMP's, reset at midnight UTC
+function untilUtcMidnight(now = Date.now()) {
+  return Date.parse(`${new Date(now).toISOString().slice(0, 10)}T00:00:00Z`) + 24 * HOUR - now;
+}
+
+// Sliding one-minute window plus an optional daily budget. The daily
+// count is stored, so reloading the page does not reset it.
+function createRateLimiter({ perMinute = Infinity, perDay = Infinity }, usageKey = API_USAGE_KEY) {
+  const recent = [];
+
+  async function acquire(signal) {
+    for (;;) {
+      const now = Date.now();
+      while (recent.length && now - recent[0] >= MINUTE) recent.shift();
+      const today = new Date(now).toISOString().slice(0, 10);
+      const usage = readStored(usageKey);
+      const used = usage?.day === today ? usage.count : 0;
+      if (used >= perDay) {
+        throw new ApiError("quota", tr("request.dailyQuota", { n: perDay }), { retryAfter: untilUtcMidnight(now) });
+      }
+      if (recent.length < perMinute) {
+        recent.push(now);
+        if (perDay < Infinity) writeStored(usageKey, { day: today, count: used + 1 });
+        return;
+      }
+      await sleep(MINUTE - (now - recent[0]), signal);
+    }
+  }
+
+  return { acquire };
+}
+
+// An ApiError for a failed response, or null if it is usable. FMP
+// also reports some failures as { "Error Message": … } with status 200.
+// A spent daily quota comes as "Limit Reach"; a plain 429 is the
+// per-minute limit, which clears within a minute if no Retry-After
+// says otherwise.
+function classifyResponse(res, body, what) {
+  const message = body && !Array.isArray(body) ? body["Error Message"] ?? null : null;
+  if (res.ok && !message) return null;
+  const status = res.status;
+  const detail = message ? `: ${message}` : ` (${status})`;
+  const daily = /limit reach/i.test(message ?? "");
+  if (status === 429 || daily) {
+    const seconds = Number(res.headers?.get("Retry-After"));
+    return new ApiError("quota", tr("request.failedQuota", { what, detail }), {
+      status,
+      retryAfter: Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : daily ? untilUtcMidnight() : MINUTE,
+    });
+  }
+  if (status === 401 || /invalid api key/i.test(message ?? "")) {
+    return new ApiError("auth", tr("request.failedAuth", { what, detail }), { status });
+  }
+  if (status === 403) return new ApiError("plan", tr("request.failedPlan", { what, detail }), { status });
+  if (status === 404) return new ApiError("notFound", tr("request.failedNotFound", { what, detail }), { status });
+  return new ApiError("server", tr("request.failed", { what, detail }), { status });
+}
+
+// GET `url` as JSON. `what` names the request in error messages.
+async function requestJSON(url, { what, signal, limiter } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) await limiter.acquire(signal);
+    let res;
+    try {
+      res = await fetch(url, { signal });
+    } catch (err) {
+      if (err.name === "AbortError" || signal?.aborted) throw abortedError();
+      throw new ApiError("network", tr("request.failedNetwork", { what }));
+    }
+    const body = await res.json().catch(() => null);
+    const error = classifyResponse(res, body, what);
+    if (!error) return body;
+    const wait = error.kind === "quota" ? error.retryAfter
+      : error.status >= 500 ? Math.min(MAX_RETRY_DELAY, RETRY_BASE_DELAY * 2 ** attempt * (1 + Math.random() * 0.25))
+      : null;
+    if (wait == null || wait > MAX_QUOTA_WAIT || attempt >= MAX_RETRIES) throw error;
+    await sleep(wait, signal);
+  }
+}
+
+// ============================================================
+// DATA PROVIDERS
+// Every data source implements the same interface, so nothing
+// outside a provider ever sees a vendor's field names:
+//
+//   id, label, live          live = real market data, not examples
+//   requirement              shown in settings when unavailable
+//                            (both given to the factories as catalog
+//                            keys; other text is shown as is)
+//   isAvailable()            configured and usable right now
+//   profile(ticker, opts)    → { name, sector, logo, description, currentPrice, sharesOutstanding }
+//   metrics(ticker, opts)    → { years, pegRatio, missing? }  (years as in MOCK_STOCKS;
+//                            missing = { section: error } for parts left out)
+//   statements(ticker, opts) → { income, balance, cashflow }  rows newest first
+//   search(query, opts)      → [{ ticker, name, sector, logo }]
+//   prices(ticker, opts)     → [{ date, close }]    oldest first
+//   dividends(ticker, opts)  → [{ exDate, recordDate, paymentDate, amount }]  oldest first, per share
+//   quarters(ticker, opts)   → quarter reports oldest first (see PERIODS)
+//
+// Except for search, methods resolve to { data, fetchedAt, stale }
+// like cachedRequest. opts.fresh bypasses the cache and opts.signal
+// abandons the call (see REQUESTS); failures are ApiErrors.
+// ============================================================
+
+// Merge several { data, fetchedAt, stale, error? } parts into one result
+function combineParts(parts, data) {
+  return {
+    data,
+    fetchedAt: Math.min(...parts.map(p => p.fetchedAt)),
+    stale:     parts.some(p => p.stale),
+    error:     parts.find(p => p.error)?.error,
+  };
+}
+
+// FMP (GICS-style) sector names -> the app's Finnish sector labels.
+// Unmapped names are passed through unchanged.
+const SECTOR_LABELS = {
+  "Technology":             "Teknologia",
+  "Communication Services": "Teknologia",
+  "Financial Services":     "Rahoitus",
+  "Industrials":            "Teollisuus",
+  "Energy":                 "Energia",
+  "Utilities":              "Energia",
+  "Basic Materials":        "Perusteollisuus",
+  "Consumer Cyclical":      "Kulutustavarat",
+  "Consumer Defensive":     "Päivittäistavarat",
+  "Healthcare":             "Terveydenhuolto",
+  "Real Estate":            "Kiinteistöt",
+};
+
+function sectorLabel(sector) {
+  return sector ? SECTOR_LABELS[sector] ?? sector : "Tuntematon";
+}
+
+// Sectors are stored by their Finnish name; this is the shown one
+function sectorName(sector) {
+  return lookupMessage(activeLanguage, `sectors.${sector}`) ?? sector;
+}
+
+// Financial Modeling Prep, or any proxy that mirrors its v3 paths.
+// `plan` paces the calls client-side; a proxy has its own quota and
+// passes none.
+function createFmpProvider({ id, label, base, apiKey, available, requirement, plan = null }) {
+  function url(path, params = {}) {
+    const qs = new URLSearchParams(params);
+    if (apiKey) qs.set("apikey", apiKey);
+    return `${base}/${path}?${qs}`;
+  }
+
+  const limiter = plan && createRateLimiter(plan, `${API_USAGE_KEY}.${id}`);
+
+  function getJSON(path, params, what, signal) {
+    return requestJSON(url(path, params), { what, signal, limiter });
+  }
+
+  const cached = (endpoint, key, fetcher, opts) => cachedRequest(endpoint, `${id}:${key}`, fetcher, opts);
+
+  function profile(ticker, opts) {
+    const t = toHelsinkiTicker(ticker);
+    return cached("profile", t, async signal => {
+      const data = await getJSON(`profile/${t}`, {}, tr("request.profile"), signal);
+      if (!data || data.length === 0) throw new ApiError("notFound", tr("request.notOnFmp", { ticker: t }));
+      const p = data[0];
+      return {
+        name:              p.companyName,
+        sector:            sectorLabel(p.sector),
+        logo:              "🏢",
+        description:       p.description ? p.description.slice(0, 100) + "…" : "",
+        currentPrice:      p.price,
+        sharesOutstanding: p.sharesOutstanding ?? null,
+      };
+    }, opts);
+  }
+
+  // Statement endpoints take period "annual" (default) or "quarter";
+  // `count` is years or quarters accordingly
+  const periodParams = (count, period) => (period === "quarter" ? { limit: count, period } : { limit: count });
+  const periodKey = (ticker, count, period) => `${ticker}:${count}${period === "quarter" ? ":q" : ""}`;
+
+  function keyMetrics(ticker, years, opts, period) {
+    return cached("metrics", periodKey(ticker, years, period), signal =>
+      getJSON(`key-metrics/${ticker}`, periodParams(years, period), tr("request.keyMetrics"), signal), opts);
+  }
+
+  function incomeStatement(ticker, years, opts, period) {
+    return cached("income", periodKey(ticker, years, period), async signal =>
+      (await getJSON(`income-statement/${ticker}`, periodParams(years, period), tr("request.income"), signal)).map(inc => ({
+        date:             inc.date,
+        revenue:          inc.revenue,
+        eps:              inc.eps,
+        ebitda:           inc.ebitda,
+        operatingIncome:  inc.operatingIncome ?? null,
+        interestExpense:  inc.interestExpense ?? null,
+        incomeBeforeTax:  inc.incomeBeforeTax ?? null,
+        incomeTaxExpense: inc.incomeTaxExpense ?? null,
+        shares:           inc.weightedAverageShsOutDil ?? inc.weightedAverageShsOut ?? null,
+      })), opts);
+  }
+
+  function balanceSheet(ticker, years, opts, period) {
+    return cached("balance", periodKey(ticker, years, period), async signal =>
+      (await getJSON(`balance-sheet-statement/${ticker}`, periodParams(years, period), tr("request.balance"), signal)).map(bal => ({
+        date:        bal.date,
+        totalAssets: bal.totalAssets,
+        totalEquity: bal.totalStockholdersEquity,
+        totalDebt:   (bal.longTermDebt || 0) + (bal.shortTermDebt || 0),
+        cash:        bal.cashAndCashEquivalents,
+      })), opts);
+  }
+
+  function cashFlowStatement(ticker, years, opts, period) {
+    return cached("cashflow", periodKey(ticker, years, period), async signal =>
+      (await getJSON(`cash-flow-statement/${ticker}`, periodParams(years, period), tr("request.cashflow"), signal)).map(cf => ({
+        date:               cf.date,
+        operatingCashFlow:  cf.operatingCashFlow,
+        capitalExpenditure: cf.capitalExpenditure,
+        freeCashFlow:       cf.freeCashFlow ?? cf.operatingCashFlow + cf.capitalExpenditure,
+        dividendsPaid:      cf.dividendsPaid ?? null,
+      })), opts);
+  }
+
+  // One year more than the metrics show, so that the oldest shown
+  // year has growth figures too. { cashflow: false } skips the cash
+  // flow statement and leaves its rows empty.
+  async function statements(ticker, { cashflow = true, ...opts } = {}, years = STATEMENT_YEARS) {
+    const t = toHelsinkiTicker(ticker);
+    const parts = await Promise.all([
+      incomeStatement(t, years, opts),
+      balanceSheet(t, years, opts),
+      ...(cashflow ? [cashFlowStatement(t, years, opts)] : []),
+    ]);
+    return combineParts(parts, { income: parts[0].data, balance: parts[1].data, cashflow: parts[2]?.data ?? [] });
+  }
+
+  // CASHFLOW_FIGURES stay null unless asked for with { cashflow: true }.
+  // The rows come from the statements; key metrics only add the market
+  // multiples, so when they fail the rows are kept without them and
+  // the error is passed on as missing.multiples.
+  async function metrics(ticker, { cashflow = false, ...opts } = {}, count = STATEMENT_YEARS - 1) {
+    const t = toHelsinkiTicker(ticker);
+    const [prof, st, km] = await Promise.allSettled([
+      profile(t, opts), statements(t, { ...opts, cashflow }, count + 1), keyMetrics(t, count, opts),
+    ]);
+    const failed = [prof, st, km].find(r => r.status === "rejected" && (r !== km || r.reason.kind === "aborted"));
+    if (failed) throw failed.reason;
+    const parts = [prof.value, st.value, ...(km.status === "fulfilled" ? [km.value] : [])];
+    const rows = km.value?.data ?? [];
+    return combineParts(parts, {
+      years:    deriveYearRows(rows, st.value.data, prof.value.data, count),
+      pegRatio: rows[0]?.pegRatio ?? null,
+      missing:  km.status === "rejected" ? { multiples: km.reason } : null,
+    });
+  }
+
+  async function quarters(ticker, opts, count = QUARTERS_FETCHED) {
+    const t = toHelsinkiTicker(ticker);
+    const parts = await Promise.all([
+      keyMetrics(t, count, opts, "quarter"),
+      incomeStatement(t, count, opts, "quarter"),
+      balanceSheet(t, count, opts, "quarter"),
+      cashFlowStatement(t, count, opts, "quarter"),
+    ]);
+    const [km, income, balance, cashflow] = parts.map(p => p.data);
+    const byDate = rows => Object.fromEntries(rows.map(r => [r.date, r]));
+    const inc = byDate(income), bal = byDate(balance), cf = byDate(cashflow);
+    const data = km.map(m => {
+      const i = inc[m.date], b = bal[m.date], c = cf[m.date];
+      if (!i || !b) return null;
+      const shares = i.shares || null;
+      const equity = b.totalEquity || 0;
+      return {
+        period:     quarterKey(m.date),
+        revenue:    Math.round((i.revenue || 0) / 1e6),
+        eps:        i.eps ?? null,
+        dps:        c?.dividendsPaid != null && shares ? Math.abs(c.dividendsPaid) / shares : null,
+        ebit:       ebitMargin(i),
+        eq:         b.totalAssets ? equity / b.totalAssets * 100 : null,
+        nettovelka: equity ? (b.totalDebt - (b.cash || 0)) / equity * 100 : null,
+        price:      m.marketCap != null && shares ? m.marketCap / shares : null,
+        bvps:       m.bookValuePerShare ?? null,
+        fcfps:      m.freeCashFlowPerShare ?? (c?.freeCashFlow != null && shares ? c.freeCashFlow / shares : null),
+      };
+    });
+    return combineParts(parts, data.filter(Boolean).reverse());
+  }
+
+  // Search for Helsinki stocks; failed searches are not cached and
+  // their ApiError reaches the caller
+  async function search(query, opts) {
+    if (!query.trim()) return [];
+    const { data: results } = await cached("search", query.trim().toLowerCase(), signal =>
+      getJSON("search", { query, limit: 20 }, tr("request.search"), signal), opts);
+
+    // Filter for Helsinki exchange (HEL) stocks only
+    // FMP uses "exchangeShortName": "HEL" for Helsinki
+    const helsinkiStocks = results.filter(r =>
+      r.exchangeShortName === "HEL" ||
+      r.symbol?.endsWith(".HE")
+    ).map(r => ({
+      ticker: r.symbol.endsWith(".HE") ? r.symbol : r.symbol + ".HE",
+      name: r.name || r.symbol,
+      sector: "Nasdaq Helsinki",
+      logo: "📈",
+      _live: true
+    }));
+
+    return helsinkiStocks.slice(0, 10); // Max 10 results
+  }
+
+  function prices(ticker, opts) {
+    const t = toHelsinkiTicker(ticker);
+    return cached("prices", t, async signal => {
+      const data = await getJSON(`historical-price-full/${t}`, { serietype: "line" }, tr("request.prices"), signal);
+      return (data.historical ?? []).map(d => ({ date: d.date, close: d.close })).reverse();
+    }, opts);
+  }
+
+  // Announced dividends show up here as soon as they are declared,
+  // so the same endpoint serves history and the upcoming calendar
+  function dividends(ticker, opts) {
+    const t = toHelsinkiTicker(ticker);
+    return cached("dividends", t, async signal => {
+      const data = await getJSON(`historical-price-full/stock_dividend/${t}`, {}, tr("request.dividends"), signal);
+      return (data?.historical ?? [])
+        .map(d => ({
+          exDate:      d.date,
+          recordDate:  d.recordDate || null,
+          paymentDate: d.paymentDate || null,
+          amount:      d.dividend ?? d.adjDividend ?? null,
+        }))
+        .filter(d => d.amount != null)
+        .reverse();
+    }, opts);
+  }
+
+  return {
+    id, live: true,
+    get label() { return tr(label); },
+    get requirement() { return requirement && tr(requirement); },
+    isAvailable: () => available,
+    profile, metrics, statements, search, prices, dividends, quarters,
+  };
+}
+
+// Stocks already in the app's own shape: either an inline dataset
+// (the built-in examples) or a JSON file fetched once from `url`.
+function createStaticProvider({ id, label, dataset, url, requirement }) {
+  let loading = dataset ? Promise.resolve(dataset) : null;
+
+  function load() {
+    if (!loading) {
+      loading = requestJSON(url, { what: tr("request.dataFile") });
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  async function find(ticker) {
+    const t = toHelsinkiTicker(ticker);
+    const stock = (await load())[t];
+    if (!stock) throw new ApiError("notFound", tr("request.notInDataset", { ticker: t, source: tr(label) }));
+    return stock;
   }
 
+  const wrap = data => ({ data, fetchedAt: Date.now(), stale: false });
+
+  return {
+    id, live: false,
+    get label() { return tr(label); },
+    get requirement() { return requirement && tr(requirement); },
+    isAvailable: () => Boolean(dataset || url),
+    async profile(ticker) {
+      const { name, sector, logo, description, currentPrice, sharesOutstanding = null } = await find(ticker);
+      return wrap({ name, sector, logo, description, currentPrice, sharesOutstanding });
+    },
+    async metrics(ticker) {
+      const { years, pegRatio } = await find(ticker);
+      return wrap({ years: withRowRatios(years), pegRatio });
+    },
+    // Only what can be recovered from the yearly rows
+    async statements(ticker) {
+      const { years } = await find(ticker);
+      const income = Object.keys(years).map(Number).sort((a, b) => b - a).map(y => ({
+        date:             `${y}-12-31`,
+        revenue:          years[y].revenue * 1e6,
+        eps:              years[y].eps,
+        ebitda:           null,
+        operatingIncome:  years[y].ebit != null ? years[y].revenue * 1e6 * years[y].ebit / 100 : null,
+        interestExpense:  null,
+        incomeBeforeTax:  null,
+        incomeTaxExpense: null,
+        shares:           null,
+      }));
+      return wrap({ income, balance: [], cashflow: [] });
+    },
+    async search(query) {
+      const q = query.trim().toLowerCase();
+      if (!q) return [];
+      return Object.values(await load()).filter(s =>
+        s.ticker.toLowerCase().includes(q) ||
+        s.name.toLowerCase().includes(q)
+      );
+    },
+    // Datasets carry no price history, so one is generated
+    async prices(ticker) {
+      const stock = await find(ticker);
+      return wrap(generateMockPrices(stock.ticker, stock.currentPrice));
+    },
+    async dividends(ticker) {
+      return wrap(generateMockDividends(await find(ticker)));
+    },
+    // Likewise generated from the yearly rows
+    async quarters(ticker) {
+      return wrap(generateMockQuarters(await find(ticker)));
+    },
+  };
+}
+
+// Sections of a stock that load independently; labels for the UI
+const STOCK_SECTIONS = labelMap("sections", ["profile", "metrics", "multiples", "quarters"]);
+
+// Why a section failed. The stock itself exists once its profile
+// loaded, so "not found" here means the source has no such data.
+function sectionErrorText(err) {
+  return err.kind === "notFound" ? tr("missing.noData") : API_ERROR_KINDS[err.kind] ?? err.message;
+}
+
+// Load a stock through `provider` into the app's internal shape.
+// The result carries fetchedAt (age of the oldest part), stale
+// (true if any part came from an expired cache entry) and the id
+// of the provider that produced it. Any period but "annual" also
+// loads the quarter reports into `quarters` (see stockForPeriod).
+//
+// The cash flow statement costs a request of its own and is only
+// loaded with { cashflow: true }, by views that show CASHFLOW_FIGURES.
+//
+// Only the profile is required. A failed metrics or quarters call
+// leaves its section empty and is reported in `missing`
+// ({ section: error }, null when complete), so the rest still shows;
+// parts a provider left out of its metrics are reported there too.
+async function fetchStockData(ticker, { provider = getProvider(), period = "annual", cashflow = false, ...opts } = {}) {
+  const t = toHelsinkiTicker(ticker);
+  const requests = {
+    profile: provider.profile(t, opts),
+    metrics: provider.metrics(t, { ...opts, cashflow }),
+    ...(period !== "annual" ? { quarters: provider.quarters(t, opts) } : {}),
+  };
+  const settled = await Promise.allSettled(Object.values(requests));
+  const parts = {}, missing = {};
+  Object.keys(requests).forEach((section, i) => {
+    const r = settled[i];
+    if (r.status === "fulfilled") parts[section] = r.value;
+    else missing[section] = r.reason;
+  });
+  const aborted = Object.values(missing).find(err => err.kind === "aborted");
+  if (aborted) throw aborted;
+  if (missing.profile) throw missing.profile;
+
+  const { fetchedAt, stale, error } = combineParts(Object.values(parts));
+  const metrics = parts.metrics?.data ?? { years: {}, pegRatio: null };
+  Object.assign(missing, metrics.missing);
   return {
-    name:         profile.companyName,
+    ...parts.profile.data,
     ticker:       t,
-    sector:       profile.sector || "Tuntematon",
-    logo:         "🏢",
-    description:  profile.description?.slice(0, 100) + "…" || "",
-    currentPrice: profile.price,
-    pegRatio:     metrics[0]?.pegRatio ?? null,
-    years,
+    pegRatio:     metrics.pegRatio,
+    years:        metrics.years,
+    quarters:     parts.quarters?.data ?? null,
+    missing:      Object.keys(missing).length ? missing : null,
+    source:       provider.id,
+    fetchedAt,
+    stale,
+    // Why a stale part could not be refetched, when that was tried
+    refreshError: error ?? null,
   };
 }
 
@@ -213,15 +831,337 @@ const MOCK_STOCKS = {
     },
     currentPrice: 12.74, pegRatio: 1.16,
   },
+  "TIETO.HE": {
+    name: "Tietoevry Oyj", ticker: "TIETO.HE", sector: "Teknologia", logo: "💻",
+    description: "Pohjoismainen IT-palvelu- ja ohjelmistoyhtiö",
+    years: {
+      2021: { pe: 14.8, pb: 2.2, pfcf: 11.8, eps: 1.92, roe: 15.2, ebit: 8.4, dy: 4.8, dps: 1.35, eq: 41.2, nettovelka: 38.4, revenue: 2823, revenueGrowth: -1.4, earningsGrowth: 12.4, peg: 1.19 },
+      2022: { pe: 11.2, pb: 1.8, pfcf: 9.4, eps: 2.24, roe: 16.8, ebit: 9.2, dy: 5.6, dps: 1.45, eq: 42.8, nettovelka: 34.2, revenue: 2931, revenueGrowth: 3.8, earningsGrowth: 16.7, peg: 0.67 },
+      2023: { pe: 12.4, pb: 1.6, pfcf: 10.2, eps: 1.78, roe: 12.4, ebit: 7.8, dy: 6.8, dps: 1.50, eq: 40.4, nettovelka: 41.8, revenue: 2952, revenueGrowth: 0.7, earningsGrowth: -20.5, peg: null },
+      2024: { pe: 16.8, pb: 1.4, pfcf: 12.8, eps: 1.02, roe: 7.2, ebit: 5.4, dy: 8.4, dps: 1.50, eq: 38.2, nettovelka: 52.4, revenue: 2873, revenueGrowth: -2.7, earningsGrowth: -42.7, peg: null },
+      2025: { pe: 13.4, pb: 1.3, pfcf: 10.8, eps: 1.24, roe: 8.8, ebit: 6.8, dy: 5.2, dps: 0.86, eq: 39.4, nettovelka: 48.8, revenue: 2812, revenueGrowth: -2.1, earningsGrowth: 21.6, peg: 0.62 },
+    },
+    currentPrice: 16.62, pegRatio: 0.62,
+  },
+  "QTCOM.HE": {
+    name: "Qt Group Oyj", ticker: "QTCOM.HE", sector: "Teknologia", logo: "🖥️",
+    description: "Ohjelmistokehitystyökalut sulautettuihin ja työpöytäsovelluksiin",
+    years: {
+      2021: { pe: 142.4, pb: 38.2, pfcf: 98.4, eps: 0.88, roe: 28.4, ebit: 16.2, dy: 0.0, dps: 0.00, eq: 62.4, nettovelka: -28.4, revenue: 155, revenueGrowth: 28.4, earningsGrowth: 42.8, peg: 3.33 },
+      2022: { pe: 68.4, pb: 18.4, pfcf: 52.8, eps: 0.96, roe: 24.8, ebit: 13.8, dy: 0.0, dps: 0.00, eq: 64.8, nettovelka: -22.4, revenue: 157, revenueGrowth: 1.3, earningsGrowth: 9.1, peg: 7.52 },
+      2023: { pe: 62.8, pb: 16.2, pfcf: 48.4, eps: 1.12, roe: 24.2, ebit: 15.4, dy: 0.0, dps: 0.00, eq: 66.2, nettovelka: -24.8, revenue: 180, revenueGrowth: 14.6, earningsGrowth: 16.7, peg: 3.76 },
+      2024: { pe: 38.4, pb: 12.4, pfcf: 32.4, eps: 1.98, roe: 34.8, ebit: 22.4, dy: 0.0, dps: 0.00, eq: 68.4, nettovelka: -38.4, revenue: 209, revenueGrowth: 16.1, earningsGrowth: 76.8, peg: 0.50 },
+      2025: { pe: 26.8, pb: 8.2, pfcf: 22.4, eps: 2.24, roe: 32.4, ebit: 23.8, dy: 0.0, dps: 0.00, eq: 70.2, nettovelka: -42.2, revenue: 232, revenueGrowth: 11.0, earningsGrowth: 13.1, peg: 2.05 },
+    },
+    currentPrice: 60.05, pegRatio: 2.05,
+  },
+  "NDA-FI.HE": {
+    name: "Nordea Bank Abp", ticker: "NDA-FI.HE", sector: "Rahoitus", logo: "🏛️",
+    description: "Pohjoismaiden suurin pankki, vähittäis- ja yrityspankkitoiminta",
+    years: {
+      2021: { pe: 10.8, pb: 1.3, pfcf: 8.4, eps: 0.94, roe: 11.4, ebit: 48.2, dy: 6.4, dps: 0.69, eq: 5.8, nettovelka: 84.2, revenue: 9375, revenueGrowth: 8.2, earningsGrowth: 54.1, peg: 0.20 },
+      2022: { pe: 9.4, pb: 1.2, pfcf: 7.8, eps: 1.08, roe: 11.8, ebit: 50.4, dy: 7.8, dps: 0.80, eq: 5.4, nettovelka: 82.8, revenue: 9949, revenueGrowth: 6.1, earningsGrowth: 14.9, peg: 0.63 },
+      2023: { pe: 8.2, pb: 1.3, pfcf: 6.8, eps: 1.36, roe: 16.4, ebit: 56.8, dy: 8.2, dps: 0.92, eq: 5.6, nettovelka: 80.4, revenue: 11720, revenueGrowth: 17.8, earningsGrowth: 25.9, peg: 0.32 },
+      2024: { pe: 8.0, pb: 1.3, pfcf: 6.6, eps: 1.40, roe: 16.6, ebit: 55.2, dy: 8.4, dps: 0.94, eq: 5.8, nettovelka: 79.8, revenue: 11990, revenueGrowth: 2.3, earningsGrowth: 2.9, peg: 2.76 },
+      2025: { pe: 8.8, pb: 1.4, pfcf: 7.2, eps: 1.32, roe: 15.2, ebit: 53.4, dy: 8.0, dps: 0.96, eq: 6.0, nettovelka: 78.4, revenue: 11640, revenueGrowth: -2.9, earningsGrowth: -5.7, peg: null },
+    },
+    currentPrice: 11.62, pegRatio: null,
+  },
+  "MANTA.HE": {
+    name: "Mandatum Oyj", ticker: "MANTA.HE", sector: "Rahoitus", logo: "📑",
+    description: "Henkivakuutus, varainhoito ja palkitsemisratkaisut",
+    years: {
+      2021: { pe: 12.4, pb: 1.2, pfcf: 10.2, eps: 0.38, roe: 9.8, ebit: 24.8, dy: 6.2, dps: 0.29, eq: 14.2, nettovelka: 12.4, revenue: 612, revenueGrowth: 4.2, earningsGrowth: 8.4, peg: 1.48 },
+      2022: { pe: 11.8, pb: 1.1, pfcf: 9.8, eps: 0.34, roe: 8.4, ebit: 22.4, dy: 7.4, dps: 0.30, eq: 13.8, nettovelka: 13.2, revenue: 584, revenueGrowth: -4.6, earningsGrowth: -10.5, peg: null },
+      2023: { pe: 10.4, pb: 1.2, pfcf: 8.8, eps: 0.42, roe: 10.8, ebit: 26.2, dy: 8.4, dps: 0.35, eq: 14.4, nettovelka: 12.8, revenue: 642, revenueGrowth: 9.9, earningsGrowth: 23.5, peg: 0.44 },
+      2024: { pe: 11.2, pb: 1.4, pfcf: 9.4, eps: 0.46, roe: 12.2, ebit: 27.8, dy: 8.8, dps: 0.45, eq: 15.2, nettovelka: 11.8, revenue: 688, revenueGrowth: 7.2, earningsGrowth: 9.5, peg: 1.18 },
+      2025: { pe: 12.0, pb: 1.5, pfcf: 10.0, eps: 0.48, roe: 12.8, ebit: 28.4, dy: 8.2, dps: 0.47, eq: 15.8, nettovelka: 11.2, revenue: 714, revenueGrowth: 3.8, earningsGrowth: 4.3, peg: 2.79 },
+    },
+    currentPrice: 5.76, pegRatio: 2.79,
+  },
+  "WRT1V.HE": {
+    name: "Wärtsilä Oyj Abp", ticker: "WRT1V.HE", sector: "Teollisuus", logo: "🚢",
+    description: "Meri- ja energiateollisuuden moottorit, ratkaisut ja huolto",
+    years: {
+      2021: { pe: 38.2, pb: 3.4, pfcf: 14.8, eps: 0.32, roe: 8.8, ebit: 6.2, dy: 2.0, dps: 0.24, eq: 36.4, nettovelka: 12.8, revenue: 4778, revenueGrowth: 4.1, earningsGrowth: 45.5, peg: 0.84 },
+      2022: { pe: -34.8, pb: 2.4, pfcf: 48.2, eps: -0.14, roe: -3.8, ebit: 1.8, dy: 3.4, dps: 0.26, eq: 33.8, nettovelka: 24.8, revenue: 5842, revenueGrowth: 22.3, earningsGrowth: -143.8, peg: null },
+      2023: { pe: 24.2, pb: 3.8, pfcf: 11.2, eps: 0.52, roe: 14.8, ebit: 8.4, dy: 2.4, dps: 0.32, eq: 34.2, nettovelka: 4.8, revenue: 6015, revenueGrowth: 3.0, earningsGrowth: 471.4, peg: 0.05 },
+      2024: { pe: 22.8, pb: 4.6, pfcf: 12.4, eps: 0.74, roe: 19.8, ebit: 10.8, dy: 2.2, dps: 0.42, eq: 35.8, nettovelka: -6.4, revenue: 6449, revenueGrowth: 7.2, earningsGrowth: 42.3, peg: 0.54 },
+      2025: { pe: 21.4, pb: 4.8, pfcf: 13.2, eps: 0.86, roe: 21.2, ebit: 11.8, dy: 2.4, dps: 0.50, eq: 37.2, nettovelka: -10.2, revenue: 6812, revenueGrowth: 5.6, earningsGrowth: 16.2, peg: 1.32 },
+    },
+    currentPrice: 18.41, pegRatio: 1.32,
+  },
+  "METSO.HE": {
+    name: "Metso Oyj", ticker: "METSO.HE", sector: "Teollisuus", logo: "⚙️",
+    description: "Kaivos- ja kiviainesteollisuuden laitteet ja palvelut",
+    years: {
+      2021: { pe: 22.4, pb: 4.2, pfcf: 28.4, eps: 0.41, roe: 14.8, ebit: 12.4, dy: 2.6, dps: 0.24, eq: 38.8, nettovelka: 28.4, revenue: 4236, revenueGrowth: 28.4, earningsGrowth: 112.8, peg: 0.20 },
+      2022: { pe: 19.8, pb: 3.6, pfcf: 32.8, eps: 0.39, roe: 13.4, ebit: 13.8, dy: 3.2, dps: 0.30, eq: 40.2, nettovelka: 32.4, revenue: 5295, revenueGrowth: 25.0, earningsGrowth: -4.9, peg: null },
+      2023: { pe: 13.2, pb: 3.2, pfcf: 18.4, eps: 0.69, roe: 22.4, ebit: 16.8, dy: 3.8, dps: 0.34, eq: 40.8, nettovelka: 34.8, revenue: 5430, revenueGrowth: 2.5, earningsGrowth: 76.9, peg: 0.17 },
+      2024: { pe: 14.8, pb: 2.8, pfcf: 16.2, eps: 0.60, roe: 18.8, ebit: 16.4, dy: 4.2, dps: 0.36, eq: 41.4, nettovelka: 38.2, revenue: 4858, revenueGrowth: -10.5, earningsGrowth: -13.0, peg: null },
+      2025: { pe: 16.4, pb: 3.0, pfcf: 15.8, eps: 0.64, roe: 19.4, ebit: 17.2, dy: 3.6, dps: 0.38, eq: 42.8, nettovelka: 33.4, revenue: 5012, revenueGrowth: 3.2, earningsGrowth: 6.7, peg: 2.45 },
+    },
+    currentPrice: 10.50, pegRatio: 2.45,
+  },
+  "UPM.HE": {
+    name: "UPM-Kymmene Oyj", ticker: "UPM.HE", sector: "Perusteollisuus", logo: "🌲",
+    description: "Metsäteollisuus: sellu, paperi, vaneri ja biopohjaiset materiaalit",
+    years: {
+      2021: { pe: 13.8, pb: 1.6, pfcf: 18.4, eps: 2.30, roe: 11.8, ebit: 13.4, dy: 4.2, dps: 1.30, eq: 60.2, nettovelka: 2.4, revenue: 9814, revenueGrowth: 14.8, earningsGrowth: 45.6, peg: 0.30 },
+      2022: { pe: 7.4, pb: 1.2, pfcf: 22.8, eps: 4.34, roe: 19.2, ebit: 14.8, dy: 4.4, dps: 1.50, eq: 58.4, nettovelka: 14.8, revenue: 11720, revenueGrowth: 19.4, earningsGrowth: 88.7, peg: 0.08 },
+      2023: { pe: 34.8, pb: 1.2, pfcf: 24.4, eps: 0.89, roe: 3.6, ebit: 8.2, dy: 4.8, dps: 1.50, eq: 59.8, nettovelka: 22.4, revenue: 10460, revenueGrowth: -10.8, earningsGrowth: -79.5, peg: null },
+      2024: { pe: 29.8, pb: 1.1, pfcf: 16.4, eps: 0.89, roe: 3.8, ebit: 7.4, dy: 5.6, dps: 1.50, eq: 60.4, nettovelka: 21.8, revenue: 10316, revenueGrowth: -1.4, earningsGrowth: 0.0, peg: null },
+      2025: { pe: 18.4, pb: 1.1, pfcf: 14.2, eps: 1.34, roe: 5.8, ebit: 9.2, dy: 6.2, dps: 1.50, eq: 61.2, nettovelka: 20.4, revenue: 10180, revenueGrowth: -1.3, earningsGrowth: 50.6, peg: 0.36 },
+    },
+    currentPrice: 24.32, pegRatio: 0.36,
+  },
+  "STERV.HE": {
+    name: "Stora Enso Oyj", ticker: "STERV.HE", sector: "Perusteollisuus", logo: "📦",
+    description: "Uusiutuvat pakkausmateriaalit, puutuotteet ja sellu",
+    years: {
+      2021: { pe: 10.2, pb: 1.1, pfcf: 14.8, eps: 1.56, roe: 11.4, ebit: 13.8, dy: 3.4, dps: 0.55, eq: 57.4, nettovelka: 22.8, revenue: 10164, revenueGrowth: 18.2, earningsGrowth: 284.2, peg: 0.04 },
+      2022: { pe: 6.8, pb: 0.9, pfcf: 12.2, eps: 1.92, roe: 12.8, ebit: 13.2, dy: 4.6, dps: 0.60, eq: 56.8, nettovelka: 24.2, revenue: 11680, revenueGrowth: 14.9, earningsGrowth: 23.1, peg: 0.29 },
+      2023: { pe: -14.2, pb: 0.9, pfcf: 38.4, eps: -0.88, roe: -5.8, ebit: -4.2, dy: 4.4, dps: 0.20, eq: 53.2, nettovelka: 34.8, revenue: 9396, revenueGrowth: -19.6, earningsGrowth: -145.8, peg: null },
+      2024: { pe: 48.4, pb: 0.8, pfcf: 28.8, eps: 0.20, roe: 1.4, ebit: 3.4, dy: 2.6, dps: 0.25, eq: 54.4, nettovelka: 32.2, revenue: 9311, revenueGrowth: -0.9, earningsGrowth: 122.7, peg: 0.39 },
+      2025: { pe: 22.8, pb: 0.8, pfcf: 18.4, eps: 0.42, roe: 3.2, ebit: 6.4, dy: 3.0, dps: 0.28, eq: 55.2, nettovelka: 30.4, revenue: 9540, revenueGrowth: 2.5, earningsGrowth: 110.0, peg: 0.21 },
+    },
+    currentPrice: 9.38, pegRatio: 0.21,
+  },
 };
 
-const SECTOR_AVERAGES = {
-  Teknologia: { pe: 18.4, peg: 1.8, pb: 2.8, roe: 12.4, ebit: 9.8, dy: 1.2, eq: 44.2 },
-  Rahoitus:   { pe: 11.8, peg: 1.4, pb: 1.4, roe: 11.8, ebit: 16.4, dy: 5.2, eq: 22.4 },
-  Teollisuus: { pe: 22.4, peg: 2.8, pb: 4.2, roe: 18.4, ebit: 10.2, dy: 3.2, eq: 38.4 },
-  Energia:    { pe: 14.8, peg: 1.6, pb: 2.1, roe: 14.2, ebit: 11.8, dy: 3.4, eq: 38.8 },
+// ============================================================
+// EXAMPLE PRICE HISTORY
+// Deterministic per ticker (and day), so the chart doesn't jump
+// around between renders. Walks backwards from the current price.
+// ============================================================
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function generateMockPrices(ticker, lastPrice, { years = 10, end = new Date() } = {}) {
+  const rand = seededRandom(hashString(ticker));
+  const endDay = Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate());
+  const startDay = endDay - years * 365 * DAY_MS;
+  const out = [];
+  let price = lastPrice;
+  for (let t = endDay; t >= startDay; t -= DAY_MS) {
+    const weekday = new Date(t).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    out.push({ date: new Date(t).toISOString().slice(0, 10), close: Math.round(price * 100) / 100 });
+    // ~1.6 % daily volatility (sum of uniforms ≈ normal), slight upward drift
+    const shock = (rand() + rand() + rand() - 1.5) * 0.028;
+    price = price / Math.exp(0.0002 + shock);
+  }
+  return out.reverse();
+}
+
+// ============================================================
+// EXAMPLE DIVIDENDS
+// Many Finnish companies split the yearly dividend into instalments
+// (Nokia quarterly, UPM and Fortum twice…). The dividend for year Y is
+// paid during Y+1, the last quarterly one early in Y+2. Slots are
+// "<years after Y>-<MM-DD>" ex-dates; the record date is the next day
+// and payment about a week later.
+// ============================================================
+const MOCK_DIVIDEND_SLOTS = {
+  1: ["1-04-02"],
+  2: ["1-04-02", "1-10-28"],
+  4: ["1-04-29", "1-07-22", "1-10-21", "2-01-28"],
+};
+const MOCK_INSTALMENTS = {
+  "NOKIA.HE": 4, "TIETO.HE": 4, "NESTE.HE": 2, "FORTUM.HE": 2, "UPM.HE": 2,
+  "STERV.HE": 2, "WRT1V.HE": 2, "METSO.HE": 2, "MANTA.HE": 1,
 };
-const MARKET_AVERAGE = { pe: 16.2, peg: 1.9, pb: 2.4, roe: 14.8, ebit: 11.4, dy: 3.8, eq: 42.2 };
+
+function shiftDate(iso, days) {
+  return new Date(Date.parse(iso) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function generateMockDividends(stock) {
+  const count = MOCK_INSTALMENTS[stock.ticker] ?? 1;
+  const events = [];
+  for (const year of Object.keys(stock.years).map(Number).sort((a, b) => a - b)) {
+    const dps = stock.years[year].dps;
+    if (!(dps > 0)) continue;
+    for (const slot of MOCK_DIVIDEND_SLOTS[count]) {
+      const exDate = `${year + Number(slot[0])}-${slot.slice(2)}`;
+      events.push({
+        exDate,
+        recordDate:  shiftDate(exDate, 1),
+        paymentDate: shiftDate(exDate, 8),
+        amount:      Math.round((dps / count) * 1000) / 1000,
+      });
+    }
+  }
+  return events;
+}
+
+// ============================================================
+// EXAMPLE QUARTERS
+// Quarter reports consistent with the yearly rows: revenue and EPS
+// split with a mild seasonal pattern and per-ticker noise, the year's
+// dividend booked in Q4, and price and book value per share moving
+// linearly between year ends (price = EPS × P/E, book = price ÷ P/B).
+// ============================================================
+const MOCK_SEASONALITY = [0.23, 0.25, 0.24, 0.28];
+
+function generateMockQuarters(stock) {
+  const rand = seededRandom(hashString(`${stock.ticker}:q`));
+  const years = Object.keys(stock.years).map(Number).sort((a, b) => a - b);
+  const yearEnd = y => {
+    const d = stock.years[y];
+    const price = d.eps != null && d.pe ? d.eps * d.pe : stock.currentPrice;
+    return { price, bvps: d.pb ? price / d.pb : null, fcfps: d.pfcf ? price / d.pfcf : null };
+  };
+  const out = [];
+  years.forEach((y, yi) => {
+    const d = stock.years[y];
+    const end = yearEnd(y);
+    const start = yi > 0 ? yearEnd(years[yi - 1]) : end;
+    // Noise that still sums to the yearly figure
+    const weights = MOCK_SEASONALITY.map(w => w * (0.9 + rand() * 0.2));
+    const total = weights.reduce((a, w) => a + w, 0);
+    const lerp = (a, b, k) => (a != null && b != null ? a + (b - a) * k : b);
+    for (let q = 1; q <= 4; q++) {
+      const share = weights[q - 1] / total;
+      const k = q / 4;
+      out.push({
+        period:     `${y}Q${q}`,
+        revenue:    Math.round(d.revenue * share),
+        eps:        d.eps != null ? Math.round(d.eps * share * 1000) / 1000 : null,
+        dps:        q === 4 ? d.dps : 0,
+        ebit:       d.ebit != null ? Math.round((d.ebit + (rand() - 0.5) * 2) * 10) / 10 : null,
+        eq:         d.eq,
+        nettovelka: d.nettovelka,
+        price:      Math.round(lerp(start.price, end.price, k) * 100) / 100,
+        bvps:       lerp(start.bvps, end.bvps, k),
+        fcfps:      end.fcfps != null ? end.fcfps * share : null,
+      });
+    }
+  });
+  return out;
+}
+
+// ============================================================
+// PROVIDER REGISTRY
+// ============================================================
+// Optional sources, configured like the API key:
+//   VITE_FMP_PROXY_URL=https://oma-palvelin.fi/fmp   (FMP v3 paths, key added by the proxy)
+//   VITE_STATIC_DATA_URL=/data/osakkeet.json         (same shape as MOCK_STOCKS)
+const PROXY_BASE = import.meta.env.VITE_FMP_PROXY_URL;
+const STATIC_DATA_URL = import.meta.env.VITE_STATIC_DATA_URL;
+
+const PROVIDERS = [
+  createFmpProvider({
+    id: "fmp", label: "Financial Modeling Prep", base: FMP_BASE, apiKey: API_KEY, plan: FMP_PLAN,
+    available: hasApiKey(), requirement: "providers.requiresKey",
+  }),
+  createFmpProvider({
+    id: "proxy", label: "providers.proxy", base: PROXY_BASE, apiKey: null,
+    available: Boolean(PROXY_BASE), requirement: "providers.requiresProxy",
+  }),
+  createStaticProvider({
+    id: "json", label: "providers.json", url: STATIC_DATA_URL,
+    requirement: "providers.requiresDataUrl",
+  }),
+  createStaticProvider({ id: "mock", label: "providers.mock", dataset: MOCK_STOCKS }),
+];
+
+// Requested provider if usable, otherwise the first usable one in list order
+function getProvider(id) {
+  const available = PROVIDERS.filter(p => p.isAvailable());
+  return available.find(p => p.id === id) ?? available[0];
+}
+
+// ============================================================
+// BENCHMARKS
+// Sector and market averages are computed from a universe of
+// Helsinki stocks instead of being hard-coded. Every group keeps,
+// per year and per metric, the median, the mean and how many
+// companies had a value; `latest` uses each company's latest year.
+// A sector with fewer than MIN_SECTOR_SAMPLE companies is judged
+// against the whole market instead.
+// ============================================================
+const DEFAULT_UNIVERSE = [
+  "NOKIA.HE", "TIETO.HE", "QTCOM.HE", "SAMPO.HE", "NDA-FI.HE", "MANTA.HE",
+  "KNEBV.HE", "WRT1V.HE", "METSO.HE", "VALMT.HE", "NESTE.HE", "FORTUM.HE",
+  "UPM.HE", "STERV.HE", "OUT1V.HE", "HUH1V.HE", "ELISA.HE", "KESKOB.HE", "ORNBV.HE",
+];
+const BENCHMARK_METRICS = ["pe", "peg", "pb", "pfcf", "roe", "ebit", "dy", "eq", "nettovelka", "revenueGrowth", "earningsGrowth"];
+const BENCHMARK_STATS = labelMap("benchmarkStats", ["median", "mean"]);
+const MIN_SECTOR_SAMPLE = 3;
+
+function summarize(values) {
+  const known = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (known.length === 0) return { median: null, mean: null, count: 0 };
+  const mid = Math.floor(known.length / 2);
+  return {
+    median: known.length % 2 ? known[mid] : (known[mid - 1] + known[mid]) / 2,
+    mean:   known.reduce((a, v) => a + v, 0) / known.length,
+    count:  known.length,
+  };
+}
+
+function benchmarkGroup(stocks) {
+  const allYears = [...new Set(stocks.flatMap(s => Object.keys(s.years)))].sort();
+  const byMetric = rows => Object.fromEntries(BENCHMARK_METRICS.map(m => [m, summarize(rows.map(d => d?.[m]))]));
+  return {
+    count:  stocks.length,
+    latest: byMetric(stocks.map(s => s.years[latestPeriodOf(s)])),
+    years:  Object.fromEntries(allYears.map(y => [y, byMetric(stocks.map(s => s.years[y]))])),
+  };
+}
+
+// { market, sectors: { [sector]: group } } from loaded stocks
+function computeBenchmarks(stocks) {
+  const bySector = {};
+  for (const s of stocks) (bySector[s.sector] ??= []).push(s);
+  return {
+    market:  benchmarkGroup(stocks),
+    sectors: Object.fromEntries(Object.entries(bySector).map(([sector, list]) => [sector, benchmarkGroup(list)])),
+  };
+}
+
+// computeBenchmarks, recomputed only when the set of loaded stocks
+// (or a stock's data) changes rather than on every render
+let benchmarkCache = { key: null, value: null };
+function cachedBenchmarks(stocks) {
+  const key = stocks.map(s => `${s.ticker}@${s.fetchedAt}`).join();
+  if (benchmarkCache.key !== key) benchmarkCache = { key, value: computeBenchmarks(stocks) };
+  return benchmarkCache.value;
+}
+
+// The group a stock is judged against: its own sector when the sample
+// is large enough, the whole market otherwise
+function benchmarkFor(benchmarks, sector) {
+  const own = benchmarks?.sectors[sector];
+  if (own && own.count >= MIN_SECTOR_SAMPLE) return { label: sectorName(sector), group: own, fallback: false };
+  return { label: tr("benchmarks.market"), group: benchmarks?.market ?? null, fallback: true };
+}
+
+// Flat { metric: value } for one statistic, latest year unless given
+function benchmarkValues(group, stat = "median", year = null) {
+  const src = year == null ? group?.latest : group?.years[year];
+  return Object.fromEntries(BENCHMARK_METRICS.map(m => [m, src?.[m]?.[stat] ?? null]));
+}
 
 // Finnish palette
 const C = {
@@ -244,245 +1184,3696 @@ const C = {
 };
 
 // ============================================================
-// SCORING ENGINE
+// LOCAL STORAGE
+// Small wrappers so a full quota, private mode or a missing
+// window (tests, SSR) never breaks the app.
 // ============================================================
-function calculateScore(stock) {
-  const latestYear = Math.max(...Object.keys(stock.years).map(Number));
-  const data = stock.years[latestYear];
-  const s = {};
-  // Arvostus: P/E 30%, PEG 20%, P/B 25%, P/FCF 25%
-  s.arvostus = Math.round(
-    Math.max(0, Math.min(100, ((25 - data.pe) / 20) * 100)) * 0.30 +
-    Math.max(0, Math.min(100, ((3 - stock.pegRatio) / 2.5) * 100)) * 0.20 +
-    Math.max(0, Math.min(100, ((5 - data.pb) / 4.5) * 100)) * 0.25 +
-    Math.max(0, Math.min(100, ((30 - data.pfcf) / 25) * 100)) * 0.25
-  );
-  s.laatu = Math.round(
-    Math.max(0, Math.min(100, (data.roe / 30) * 100)) * 0.55 +
-    Math.max(0, Math.min(100, (data.ebit / 22) * 100)) * 0.45
-  );
-  const avgRev = Object.values(stock.years).reduce((a, y) => a + y.revenueGrowth, 0) / Object.keys(stock.years).length;
-  const avgEar = Object.values(stock.years).reduce((a, y) => a + y.earningsGrowth, 0) / Object.keys(stock.years).length;
-  s.kasvu = Math.round(
-    Math.max(0, Math.min(100, ((avgRev + 5) / 20) * 100)) * 0.5 +
-    Math.max(0, Math.min(100, ((avgEar + 5) / 40) * 100)) * 0.5
-  );
-  s.vakavaraisuus = Math.round(
-    Math.max(0, Math.min(100, (data.eq / 60) * 100)) * 0.4 +
-    Math.max(0, Math.min(100, ((60 - Math.max(0, data.nettovelka)) / 60) * 100)) * 0.35 +
-    Math.max(0, Math.min(100, (data.dy / 7) * 100)) * 0.25
-  );
-  s.total = Math.round(s.arvostus * 0.30 + s.laatu * 0.30 + s.kasvu * 0.20 + s.vakavaraisuus * 0.20);
-  return s;
+function readStored(key) {
+  try {
+    if (typeof localStorage === "undefined") return null;
+    const raw = localStorage.getItem(key);
+    return raw == null ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
 }
 
-// ============================================================
-// COMPONENTS
-// ============================================================
-function ScoreBar({ value }) {
-  const clr = value >= 70 ? C.good : value >= 45 ? C.warn : C.bad;
-  return (
-    <div style={{ background: C.blueBorder, borderRadius: 99, height: 7, overflow: "hidden" }}>
-      <div style={{ width: `${Math.min(100, value)}%`, height: "100%", background: clr, borderRadius: 99, transition: "width .6s" }} />
-    </div>
-  );
+function writeStored(key, value) {
+  try {
+    if (typeof localStorage === "undefined") return;
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Tallennus epäonnistui (${key}):`, err);
+  }
 }
 
-function Badge({ text, blue = false }) {
-  return (
-    <span style={{
-      background: blue ? C.bluePale : C.bg,
-      color: C.blue, border: `1px solid ${C.blueBorder}`,
-      borderRadius: 6, padding: "1px 8px", fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", textTransform: "uppercase"
-    }}>{text}</span>
-  );
+// Run stored payload through numbered migrations until it reaches `version`.
+// migrations[n] upgrades a version n-1 payload to version n.
+function migrateStored(payload, version, migrations) {
+  let data = payload;
+  let from = typeof data?.version === "number" ? data.version : 0;
+  while (from < version) {
+    const step = migrations[from + 1];
+    if (!step) return null;
+    data = step(data);
+    from += 1;
+  }
+  return from === version ? data : null;
 }
 
-function ScoreRing({ score }) {
-  const r = 42, circ = 2 * Math.PI * r;
-  const dash = (score / 100) * circ;
-  const clr = score >= 70 ? C.good : score >= 50 ? C.warn : C.bad;
-  const label = score >= 70 ? "Vahva" : score >= 55 ? "Hyvä" : score >= 40 ? "Neutraali" : "Heikko";
-  return (
-    <svg width="110" height="110" viewBox="0 0 110 110">
-      <circle cx="55" cy="55" r={r} fill="none" stroke={C.blueBorder} strokeWidth="10" />
-      <circle cx="55" cy="55" r={r} fill="none" stroke={clr} strokeWidth="10"
-        strokeDasharray={`${dash} ${circ - dash}`} strokeDashoffset={circ / 4}
-        strokeLinecap="round" style={{ filter: `drop-shadow(0 0 5px ${clr}88)` }} />
-      <text x="55" y="52" textAnchor="middle" fill={C.blue} fontSize="20" fontWeight="800">{score}</text>
+// Trigger a browser download for generated text content
+function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ============================================================
+// WATCHLIST PERSISTENCE
+// Stored as { version, tickers, updatedAt }. When the shape
+// changes, bump WATCHLIST_VERSION and add a migration step.
+// ============================================================
+const WATCHLIST_KEY = "osakeapuri.watchlist";
+const WATCHLIST_VERSION = 1;
+const DEFAULT_WATCHLIST = ["SAMPO.HE", "KNEBV.HE"];
+
+const WATCHLIST_MIGRATIONS = {
+  // v0: bare array of tickers
+  1: (old) => ({ version: 1, tickers: Array.isArray(old) ? old : [], updatedAt: null }),
+};
+
+function normalizeTickers(list) {
+  const out = [];
+  for (const item of list ?? []) {
+    const t = toHelsinkiTicker(String(item ?? ""));
+    if (t && t !== ".HE" && !out.includes(t)) out.push(t);
+  }
+  return out;
+}
+
+function loadWatchlist() {
+  const stored = readStored(WATCHLIST_KEY);
+  if (stored == null) return DEFAULT_WATCHLIST;
+  const data = migrateStored(stored, WATCHLIST_VERSION, WATCHLIST_MIGRATIONS);
+  return data ? normalizeTickers(data.tickers) : DEFAULT_WATCHLIST;
+}
+
+function saveWatchlist(tickers) {
+  writeStored(WATCHLIST_KEY, { version: WATCHLIST_VERSION, tickers, updatedAt: new Date().toISOString() });
+}
+
+function watchlistToJSON(tickers) {
+  return JSON.stringify({ version: WATCHLIST_VERSION, tickers, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+function watchlistToCSV(tickers) {
+  return ["ticker", ...tickers].join("\n") + "\n";
+}
+
+// Accepts our own JSON export (any schema version), a bare JSON array,
+// or a CSV/text file with the ticker in the first column.
+function parseWatchlistFile(text, filename = "") {
+  const trimmed = text.trim();
+  if (filename.toLowerCase().endsWith(".json") || trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const data = migrateStored(JSON.parse(trimmed), WATCHLIST_VERSION, WATCHLIST_MIGRATIONS);
+    if (!data) throw new Error(tr("watchlist.unknownVersion"));
+    return normalizeTickers(data.tickers);
+  }
+  const cells = trimmed.split(/\r?\n/)
+    .map(line => line.split(/[;,\t]/)[0].replace(/"/g, "").trim())
+    .filter(Boolean);
+  if (cells.length && /^(ticker|tunnus|symbol)$/i.test(cells[0])) cells.shift();
+  return normalizeTickers(cells);
+}
+
+// ============================================================
+// SETTINGS PERSISTENCE
+// ============================================================
+const SETTINGS_KEY = "osakeapuri.settings";
+const SETTINGS_VERSION = 1;
+const DEFAULT_SETTINGS = {
+  version:       SETTINGS_VERSION,
+  provider:      null,     // null = first available
+  universe:      null,     // null = DEFAULT_UNIVERSE
+  benchmarkStat: "median", // key of BENCHMARK_STATS
+  notifications: false,    // browser notifications for alerts
+  period:        "annual", // key of PERIODS
+  language:      DEFAULT_LANGUAGE, // key of LANGUAGES
+};
+const SETTINGS_MIGRATIONS = {};
+
+function loadSettings() {
+  const stored = readStored(SETTINGS_KEY);
+  const data = stored && migrateStored(stored, SETTINGS_VERSION, SETTINGS_MIGRATIONS);
+  return data ? { ...DEFAULT_SETTINGS, ...data } : DEFAULT_SETTINGS;
+}
+
+function saveSettings(settings) {
+  writeStored(SETTINGS_KEY, settings);
+}
+
+// ============================================================
+// SCORING ENGINE
+// A scoring profile gives each category a weight and, inside it,
+// each metric a weight plus two breakpoints: `worst` scores 0 and
+// `best` scores 100, linear in between and clamped outside. Lower-
+// is-better metrics simply have worst > best. Weights are relative
+// and normalised by their sum, so they need not add up to 100.
+//
+// In "sector" mode each curve is rescaled so that its midpoint sits
+// on the sector benchmark (see BENCHMARKS; the market when the sector
+// sample is too small): a bank is then judged against banks, not
+// against KONE. Metrics without a benchmark keep their absolute curve.
+//
+// Missing inputs (null/NaN, common in live data) are left out and the
+// remaining weights renormalised, first inside each category and then
+// across categories. How much of the profile's weight was actually
+// backed by data is reported as `confidence`.
+// ============================================================
+const SCORING_MODES = labelMap("scoringModes", ["absolute", "sector"]);
+const SCORE_CATEGORIES = withLabels("scoreCategories", [
+  { key: "arvostus",      icon: "💰" },
+  { key: "laatu",         icon: "⭐" },
+  { key: "kasvu",         icon: "🚀" },
+  { key: "vakavaraisuus", icon: "🛡️" },
+]);
+
+// Mean over the years that have a value; null if none do
+function averageOf(stock, key) {
+  const values = Object.values(stock.years).map(y => y[key]).filter(v => v != null && Number.isFinite(v));
+  return values.length ? values.reduce((a, v) => a + v, 0) / values.length : null;
+}
+
+// Inputs a profile can score. value(stock, latestRow) returns the raw number.
+// fmt is one of formatValue's formats; labels are in scoreMetrics.*
+const SCORE_METRICS = withLabels("scoreMetrics", {
+  pe:             { fmt: "ratio",   value: (stock, d) => d.pe },
+  peg:            { fmt: "ratio",   value: stock => stock.pegRatio },
+  pb:             { fmt: "ratio",   value: (stock, d) => d.pb },
+  pfcf:           { fmt: "ratio",   value: (stock, d) => d.pfcf },
+  roe:            { fmt: "percent", value: (stock, d) => d.roe },
+  ebit:           { fmt: "percent", value: (stock, d) => d.ebit },
+  revenueGrowth:  { fmt: "percent", value: stock => averageOf(stock, "revenueGrowth") },
+  earningsGrowth: { fmt: "percent", value: stock => averageOf(stock, "earningsGrowth") },
+  eq:             { fmt: "percent", value: (stock, d) => d.eq },
+  nettovelka:     { fmt: "percent", value: (stock, d) => d.nettovelka },
+  dy:             { fmt: "percent", value: (stock, d) => d.dy },
+});
+
+const bp = (weight, worst, best) => ({ weight, worst, best });
+
+const SCORING_PRESETS = withLabels("scoringPresets", [
+  {
+    id: "tasapainoinen", builtIn: true,
+    categories: {
+      arvostus:      { weight: 30, metrics: { pe: bp(30, 25, 5), peg: bp(20, 3, 0.5), pb: bp(25, 5, 0.5), pfcf: bp(25, 30, 5) } },
+      laatu:         { weight: 30, metrics: { roe: bp(55, 0, 30), ebit: bp(45, 0, 22) } },
+      kasvu:         { weight: 20, metrics: { revenueGrowth: bp(50, -5, 15), earningsGrowth: bp(50, -5, 35) } },
+      vakavaraisuus: { weight: 20, metrics: { eq: bp(40, 0, 60), nettovelka: bp(35, 60, 0), dy: bp(25, 0, 7) } },
+    },
+  },
+  {
+    id: "osinko", builtIn: true,
+    categories: {
+      arvostus:      { weight: 25, metrics: { pe: bp(40, 22, 8), peg: bp(0, 3, 0.5), pb: bp(30, 4, 0.8), pfcf: bp(30, 25, 6) } },
+      laatu:         { weight: 20, metrics: { roe: bp(50, 0, 25), ebit: bp(50, 0, 20) } },
+      kasvu:         { weight: 10, metrics: { revenueGrowth: bp(50, -5, 10), earningsGrowth: bp(50, -10, 20) } },
+      vakavaraisuus: { weight: 45, metrics: { eq: bp(25, 20, 55), nettovelka: bp(25, 80, 10), dy: bp(50, 2, 8) } },
+    },
+  },
+  {
+    id: "kasvu", builtIn: true,
+    categories: {
+      arvostus:      { weight: 15, metrics: { pe: bp(15, 40, 12), peg: bp(50, 3, 0.5), pb: bp(10, 10, 1), pfcf: bp(25, 45, 10) } },
+      laatu:         { weight: 25, metrics: { roe: bp(50, 5, 35), ebit: bp(50, 0, 25) } },
+      kasvu:         { weight: 45, metrics: { revenueGrowth: bp(50, 0, 25), earningsGrowth: bp(50, 0, 40) } },
+      vakavaraisuus: { weight: 15, metrics: { eq: bp(50, 15, 50), nettovelka: bp(50, 80, 0), dy: bp(0, 0, 7) } },
+    },
+  },
+  {
+    id: "arvo", builtIn: true,
+    categories: {
+      arvostus:      { weight: 50, metrics: { pe: bp(35, 18, 6), peg: bp(10, 2, 0.5), pb: bp(35, 3, 0.6), pfcf: bp(20, 20, 5) } },
+      laatu:         { weight: 20, metrics: { roe: bp(50, 0, 25), ebit: bp(50, 0, 20) } },
+      kasvu:         { weight: 10, metrics: { revenueGrowth: bp(50, -10, 10), earningsGrowth: bp(50, -10, 25) } },
+      vakavaraisuus: { weight: 20, metrics: { eq: bp(50, 20, 60), nettovelka: bp(30, 70, 0), dy: bp(20, 0, 6) } },
+    },
+  },
+], { prop: "name", key: "id" });
+const DEFAULT_SCORING_PROFILE = SCORING_PRESETS[0];
+
+// 0–100 sub-score of `value` between the profile's breakpoints
+function normalizeMetric(value, { worst, best }) {
+  if (best === worst) return value >= best ? 100 : 0;
+  return Math.max(0, Math.min(100, ((value - worst) / (best - worst)) * 100));
+}
+
+// Items with a null score are skipped; null if nothing is left
+function weightedMean(items) {
+  const usable = items.filter(i => i.score != null);
+  const totalWeight = usable.reduce((a, i) => a + i.weight, 0);
+  if (totalWeight <= 0) return null;
+  return usable.reduce((a, i) => a + i.score * i.weight, 0) / totalWeight;
+}
+
+const CONFIDENCE_LEVELS = withLabels("confidence", [
+  { level: "high",   min: 0.9 },
+  { level: "medium", min: 0.65 },
+  { level: "low",    min: 0 },
+], { key: "level" });
+
+// Breakpoints scaled by benchmark / midpoint. Only meaningful when both
+// are positive; otherwise the absolute curve is kept.
+function relativeBreakpoints(cfg, benchmark) {
+  const mid = (cfg.worst + cfg.best) / 2;
+  if (benchmark == null || !(mid > 0) || !(benchmark > 0)) return cfg;
+  const k = benchmark / mid;
+  return { ...cfg, worst: cfg.worst * k, best: cfg.best * k };
+}
+
+// Returns the four category scores and total (null when a category has
+// no data at all), confidence = { level, label, coverage 0–1, missing },
+// and breakdown[category]: one entry per metric with
+//   raw           input value (null if missing)
+//   score         0–100 sub-score (null if missing)
+//   weight        share of the category after renormalisation, 0–1
+//   contribution  points the metric adds to the category score
+//   curve         breakpoints actually used (rescaled in sector mode)
+//   benchmark     sector/market median or mean used in sector mode, if any
+//   note          why the sub-score is not simply the curve value
+function calculateScore(stock, profile = DEFAULT_SCORING_PROFILE, { mode = "absolute", benchmarks = null, stat = "median" } = {}) {
+  const data = latestRowOf(stock);
+  const ref = mode === "sector" ? benchmarkFor(benchmarks, stock.sector) : null;
+  const refValues = ref?.group ? benchmarkValues(ref.group, stat) : null;
+  const s = { mode, reference: ref && { label: ref.label, fallback: ref.fallback, count: ref.group?.count ?? 0, stat }, breakdown: {} };
+  const coverage = {};
+  const missingLabels = [];
+  for (const { key } of SCORE_CATEGORIES) {
+    const metrics = Object.entries(profile.categories[key]?.metrics ?? {}).map(([metricKey, cfg]) => {
+      const raw = SCORE_METRICS[metricKey].value(stock, data);
+      return { metricKey, cfg, raw: raw == null || !Number.isFinite(raw) ? null : raw };
+    });
+    const fullWeight = metrics.reduce((a, m) => a + m.cfg.weight, 0);
+    const weightSum = metrics.filter(m => m.raw != null).reduce((a, m) => a + m.cfg.weight, 0);
+    coverage[key] = fullWeight > 0 ? weightSum / fullWeight : 1;
+    const entries = metrics.map(({ metricKey, cfg, raw }) => {
+      const benchmark = refValues?.[metricKey] ?? null;
+      const curve = benchmark != null ? relativeBreakpoints(cfg, benchmark) : cfg;
+      const missing = raw == null;
+      let score = null, note = null;
+      if (missing) {
+        if (cfg.weight > 0) {
+          missingLabels.push(SCORE_METRICS[metricKey].label);
+          note = tr("scoring.noteMissing");
+        }
+      } else {
+        const unclamped = curve.best === curve.worst ? null : ((raw - curve.worst) / (curve.best - curve.worst)) * 100;
+        score = normalizeMetric(raw, curve);
+        if (unclamped != null && unclamped > 100) note = tr("scoring.noteCappedHigh");
+        else if (unclamped != null && unclamped < 0) note = tr("scoring.noteCappedLow");
+      }
+      const weight = !missing && weightSum > 0 ? cfg.weight / weightSum : 0;
+      return {
+        key: metricKey, label: SCORE_METRICS[metricKey].label, fmt: SCORE_METRICS[metricKey].fmt,
+        raw, score, weight, contribution: missing ? 0 : score * weight,
+        curve: { worst: curve.worst, best: curve.best }, benchmark, note,
+      };
+    });
+    s.breakdown[key] = entries;
+    const mean = weightedMean(entries.map(e => ({ weight: e.weight, score: e.score })));
+    s[key] = mean == null ? null : Math.round(mean);
+  }
+  const total = weightedMean(SCORE_CATEGORIES.map(({ key }) => ({
+    weight: profile.categories[key]?.weight ?? 0,
+    score:  s[key],
+  })));
+  s.total = total == null ? null : Math.round(total);
+
+  const catWeight = SCORE_CATEGORIES.reduce((a, c) => a + (profile.categories[c.key]?.weight ?? 0), 0);
+  const covered = catWeight > 0
+    ? SCORE_CATEGORIES.reduce((a, c) => a + (profile.categories[c.key]?.weight ?? 0) * coverage[c.key], 0) / catWeight
+    : 0;
+  const level = CONFIDENCE_LEVELS.find(l => covered >= l.min);
+  s.confidence = { level: level.level, label: level.label, coverage: covered, missing: missingLabels };
+  return s;
+}
+
+// Category weight as a share of all category weights, e.g. "30%"
+function categoryWeightLabel(profile, key) {
+  const total = SCORE_CATEGORIES.reduce((a, c) => a + (profile.categories[c.key]?.weight ?? 0), 0);
+  return total > 0 ? `${Math.round(((profile.categories[key]?.weight ?? 0) / total) * 100)}%` : "0%";
+}
+
+// ============================================================
+// SCORING PROFILE PERSISTENCE
+// Built-in presets live in code; only user-made profiles and the
+// active profile id are stored.
+// ============================================================
+const SCORING_KEY = "osakeapuri.scoring";
+const SCORING_VERSION = 2;
+const SCORING_MIGRATIONS = {
+  // v2 adds the absolute / sector-relative mode
+  2: old => ({ ...old, version: 2, mode: "absolute" }),
+};
+
+function loadScoring() {
+  const stored = readStored(SCORING_KEY);
+  const data = stored && migrateStored(stored, SCORING_VERSION, SCORING_MIGRATIONS);
+  return data ?? { version: SCORING_VERSION, activeId: DEFAULT_SCORING_PROFILE.id, custom: [], mode: "absolute" };
+}
+
+function saveScoring(scoring) {
+  writeStored(SCORING_KEY, scoring);
+}
+
+function copyScoringProfile(profile) {
+  return {
+    ...JSON.parse(JSON.stringify(profile)),
+    id:      `oma-${Date.now().toString(36)}`,
+    name:    tr("scoring.copyName", { name: profile.name }),
+    builtIn: false,
+  };
+}
+
+// ============================================================
+// DERIVED METRICS
+// Yearly key-figure rows are computed from raw statements in
+// derived-metrics.mjs, which is kept free of the app so that it can
+// be unit-tested.
+// ============================================================
+const STATEMENT_YEARS = 6;     // 5 shown + 1 for the oldest year's growth
+
+// ============================================================
+// PERIODS
+// Besides calendar years the key figures can be viewed per quarter
+// (osavuosikatsaukset) or as trailing twelve months. Providers return
+// raw quarter reports, oldest first:
+//   { period: "2025Q3", revenue (M€), eps, dps, ebit (%), eq (%),
+//     nettovelka (%), price, bvps, fcfps }   price = at quarter end
+// and quarterRows turns them into rows shaped like stock.years. Row
+// keys are "2025" for years and "2025Q3" for quarters; both sort
+// correctly as strings.
+// ============================================================
+const PERIODS = labelMap("periods", ["annual", "quarterly", "ttm"]);
+const QUARTER_ROWS = 8;       // quarters shown
+const QUARTERS_FETCHED = 16;  // + 4 for trailing sums and 4 for growth
+
+function quarterKey(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+}
+
+// Position on a year scale ("2025Q3" → 2025.5), so trends can measure
+// spans in years for either kind of row
+function periodPosition(key) {
+  const m = /^(\d{4})Q([1-4])$/.exec(key);
+  return m ? Number(m[1]) + (Number(m[2]) - 1) / 4 : Number(key);
+}
+
+// Calendar year a row belongs to, e.g. for the yearly benchmarks
+function periodYear(key) {
+  return Number(String(key).slice(0, 4));
+}
+
+function periodKeys(stock) {
+  return Object.keys(stock.years).sort();
+}
+
+function latestPeriodOf(stock) {
+  const keys = periodKeys(stock);
+  return keys[keys.length - 1];
+}
+
+// Figures of the newest period; empty when the metrics failed to load
+function latestRowOf(stock) {
+  return stock.years[latestPeriodOf(stock)] ?? {};
+}
+
+const perShare = (price, value) => (price != null && value > 0 ? price / value : null);
+
+// "2025Q3" moved by n quarters
+function shiftQuarter(key, n) {
+  const index = Number(key.slice(0, 4)) * 4 + Number(key.slice(5)) - 1 + n;
+  return `${Math.floor(index / 4)}Q${(index % 4) + 1}`;
+}
+
+// Flows of the four quarters ending at `key`, or null unless all four
+// were reported; fields are null when any quarter lacks them. EBIT-% is
+// weighted by revenue.
+function trailingFlows(byKey, key) {
+  const last4 = [3, 2, 1, 0].map(n => byKey[shiftQuarter(key, -n)]);
+  if (last4.some(q => !q)) return null;
+  const sum = key => (last4.every(q => q[key] != null) ? last4.reduce((a, q) => a + q[key], 0) : null);
+  const revenue = sum("revenue");
+  const ebitSum = last4.every(q => q.ebit != null && q.revenue != null) ? last4.reduce((a, q) => a + q.ebit * q.revenue, 0) : null;
+  return {
+    revenue, eps: sum("eps"), dps: sum("dps"), fcfps: sum("fcfps"),
+    ebit: ebitSum != null && revenue ? ebitSum / revenue : null,
+  };
+}
+
+// Flows (revenue, EPS, dividend, EBIT-%) are the quarter's own or, with
+// ttm, sums over the trailing four quarters; growth compares with the
+// same period a year earlier. Multiples always use trailing earnings,
+// cash flow and dividends against the quarter-end price, so they read
+// like the annual ones in either view.
+function quarterRows(quarters, ttm) {
+  const byKey = Object.fromEntries(quarters.map(q => [q.period, q]));
+  const rows = {};
+  quarters.forEach(q => {
+    const t = trailingFlows(byKey, q.period);
+    if (!t) return;
+    const yearAgo = shiftQuarter(q.period, -4);
+    const tPrev = trailingFlows(byKey, yearAgo);
+    const flows = ttm ? t : q;
+    const prev = ttm ? tPrev : byKey[yearAgo];
+    const pe = perShare(q.price, t.eps);
+    const ttmGrowth = growthPct(t.eps, tPrev?.eps);
+    rows[q.period] = {
+      pe,
+      peg:            pe != null && ttmGrowth > 0 ? pe / ttmGrowth : null,
+      pb:             perShare(q.price, q.bvps),
+      pfcf:           perShare(q.price, t.fcfps),
+      eps:            flows.eps,
+      roe:            t.eps != null && q.bvps > 0 ? (t.eps / q.bvps) * 100 : null,
+      ebit:           flows.ebit,
+      dy:             t.dps != null && q.price > 0 ? (t.dps / q.price) * 100 : null,
+      dps:            flows.dps,
+      eq:             q.eq,
+      nettovelka:     q.nettovelka,
+      revenue:        flows.revenue,
+      revenueGrowth:  growthPct(flows.revenue, prev?.revenue),
+      earningsGrowth: growthPct(flows.eps, prev?.eps),
+      payout:         t.eps > 0 && t.dps != null ? (t.dps / t.eps) * 100 : null,
+      fcfYield:       t.fcfps != null && q.price > 0 ? (t.fcfps / q.price) * 100 : null,
+    };
+  });
+  return rows;
+}
+
+// The stock as seen in `period`: years replaced by that period's rows
+// (the latest QUARTER_ROWS of them). Falls back to the annual rows
+// when the stock was loaded without quarter reports.
+function stockForPeriod(stock, period) {
+  if (period === "annual" || !stock.quarters?.length) return stock;
+  const years = Object.fromEntries(Object.entries(quarterRows(stock.quarters, period === "ttm")).slice(-QUARTER_ROWS));
+  if (Object.keys(years).length === 0) return stock;
+  const latest = years[Object.keys(years).sort().pop()];
+  return { ...stock, years, pegRatio: latest.peg };
+}
+
+// ============================================================
+// KEY FIGURES
+// Rows of the key figures table. bm is the benchmark the cell colour
+// is judged against (lo: lower is better); trend picks how the
+// multi-year trend is summarised. Rows a stock has no values for are
+// left out of the tables.
+// ============================================================
+function keyFigureRows(sectorAvg = {}) {
+  return withLabels("keyFigures", [
+    { key: "pe",               fmt: "ratio",   lo: true, bm: sectorAvg.pe,   trend: "slope" },
+    { key: "peg",              fmt: "ratio",   lo: true, bm: sectorAvg.peg,  trend: "slope" },
+    { key: "pb",               fmt: "ratio",   lo: true, bm: sectorAvg.pb,   trend: "slope" },
+    { key: "pfcf",             fmt: "ratio",   lo: true, bm: 20,             trend: "slope" },
+    { key: "eps",              fmt: "eps",     bm: 0,                        trend: "cagr" },
+    { key: "roe",              fmt: "percent", bm: sectorAvg.roe,            trend: "slope" },
+    { key: "ebit",             fmt: "percent", bm: sectorAvg.ebit,           trend: "slope" },
+    { key: "dps",              fmt: "eps",     bm: null,                     trend: "cagr" },
+    { key: "dy",               fmt: "percent", bm: sectorAvg.dy,             trend: "slope" },
+    { key: "eq",               fmt: "percent", bm: sectorAvg.eq,             trend: "slope" },
+    { key: "nettovelka",       fmt: "percent", lo: true, bm: 30,             trend: "slope" },
+    { key: "revenue",          fmt: "num0",    bm: null,                     trend: "cagr" },
+    { key: "revenueGrowth",    fmt: "percent", bm: 0,                        trend: "slope" },
+    { key: "earningsGrowth",   fmt: "percent", bm: 0,                        trend: "slope" },
+    { key: "payout",           fmt: "percent", bm: null,                     trend: "slope" },
+    { key: "roic",             fmt: "percent", bm: 10,                       trend: "slope" },
+    { key: "fcfYield",         fmt: "percent", bm: 5,                        trend: "slope" },
+    { key: "interestCoverage", fmt: "ratio",   bm: 3,                        trend: "slope" },
+    { key: "netDebtToEbitda",  fmt: "ratio",   lo: true, bm: 3,              trend: "slope" },
+  ]);
+}
+
+// points = [{ year, value }] oldest first, year being a row key of
+// any period (see periodPosition). "cagr" compounds between the
+// first and last known value (levels such as revenue, EPS, dividend);
+// "slope" is the least-squares change per year, used for ratios where a
+// growth rate means nothing. CAGR falls back to slope when an end point
+// is zero or negative.
+function trendOf(points, kind) {
+  const pts = points
+    .filter(p => p.value != null && Number.isFinite(p.value))
+    .map(p => ({ year: periodPosition(p.year), value: p.value }));
+  if (pts.length < 2) return null;
+  const first = pts[0], last = pts[pts.length - 1];
+  const span = last.year - first.year;
+  if (span <= 0) return null;
+  if (kind === "cagr" && first.value > 0 && last.value > 0) {
+    return { kind: "cagr", value: (Math.pow(last.value / first.value, 1 / span) - 1) * 100, span };
+  }
+  const mx = pts.reduce((a, p) => a + p.year, 0) / pts.length;
+  const my = pts.reduce((a, p) => a + p.value, 0) / pts.length;
+  const num = pts.reduce((a, p) => a + (p.year - mx) * (p.value - my), 0);
+  const den = pts.reduce((a, p) => a + (p.year - mx) ** 2, 0);
+  return { kind: "slope", value: num / den, span };
+}
+
+const TREND_UNITS = labelMap("trend.units", ["percent", "ratio", "eps", "num0"]);
+
+function formatTrend(trend, fmt) {
+  if (!trend) return "—";
+  if (trend.kind === "cagr") return tr("trend.cagr", { value: formatPercent(trend.value, 1, { signed: true }) });
+  const digits = fmt === "eps" ? 2 : fmt === "num0" ? 0 : 1;
+  return tr("trend.slope", { value: formatNumber(trend.value, digits, { signed: true }), unit: TREND_UNITS[fmt] ?? "" });
+}
+
+// ============================================================
+// SCREENER
+// A screen is { id, name, filters: [{ field, op, value }], sort }.
+// Fields are the latest-year key figures plus the score categories
+// and total; a stock without a value for a filtered field is left
+// out. Built-in screens live in code, saved ones in storage.
+// ============================================================
+const SCREEN_OPS = { gt: ">", lt: "<" };
+
+const SCREEN_FIELDS = [
+  { key: "total", get label() { return tr("screener.totalScore"); }, fmt: "num0", score: true },
+  ...SCORE_CATEGORIES.map(c => ({ key: c.key, get label() { return tr("screener.categoryScore", { category: c.label }); }, fmt: "num0", score: true })),
+  // The universe is loaded without cash flow statements, so figures
+  // that need one would always be missing
+  ...keyFigureRows()
+    .filter(r => !CASHFLOW_FIGURES.includes(r.key))
+    .map(r => ({ key: r.key, get label() { return tr(`keyFigures.${r.key}`); }, fmt: r.fmt, lo: r.lo ?? false })),
+];
+
+const BUILTIN_SCREENS = withLabels("builtinScreens", [
+  {
+    id: "osinko", builtIn: true,
+    filters: [{ field: "dy", op: "gt", value: 4 }, { field: "eq", op: "gt", value: 40 }],
+    sort: { field: "dy", dir: "desc" },
+  },
+  {
+    id: "edulliset", builtIn: true,
+    filters: [{ field: "pe", op: "lt", value: 15 }, { field: "roe", op: "gt", value: 12 }],
+    sort: { field: "pe", dir: "asc" },
+  },
+  {
+    id: "pisteet", builtIn: true,
+    filters: [{ field: "total", op: "gt", value: 60 }],
+    sort: { field: "total", dir: "desc" },
+  },
+], { prop: "name", key: "id" });
+const EMPTY_SCREEN = { id: null, name: "", filters: [], sort: { field: "total", dir: "desc" } };
+
+// row = { stock, data (latest year), scores }
+function screenValue(row, field) {
+  const v = SCREEN_FIELDS.find(f => f.key === field)?.score ? row.scores[field] : row.data?.[field];
+  return v == null || !Number.isFinite(v) ? null : v;
+}
+
+// Rows passing every filter, sorted by screen.sort with missing values last
+function runScreen(rows, screen) {
+  const passed = rows.filter(row => screen.filters.every(f => {
+    const v = screenValue(row, f.field);
+    return v != null && (f.op === "lt" ? v < f.value : v > f.value);
+  }));
+  const { field, dir } = screen.sort;
+  return passed.sort((a, b) => {
+    const va = screenValue(a, field), vb = screenValue(b, field);
+    if (va == null) return vb == null ? 0 : 1;
+    if (vb == null) return -1;
+    return dir === "asc" ? va - vb : vb - va;
+  });
+}
+
+const SCREENS_KEY = "osakeapuri.screens";
+const SCREENS_VERSION = 2;
+const SCREENS_MIGRATIONS = {
+  // v2 drops the cash-flow figures, which can no longer be screened
+  2: old => ({
+    ...old, version: 2,
+    screens: (old.screens ?? []).map(sc => ({
+      ...sc,
+      filters: (sc.filters ?? []).filter(f => !CASHFLOW_FIGURES.includes(f.field)),
+      sort:    CASHFLOW_FIGURES.includes(sc.sort?.field) ? EMPTY_SCREEN.sort : sc.sort,
+    })),
+  }),
+};
+
+function loadScreens() {
+  const stored = readStored(SCREENS_KEY);
+  const data = stored && migrateStored(stored, SCREENS_VERSION, SCREENS_MIGRATIONS);
+  return Array.isArray(data?.screens) ? data.screens : [];
+}
+
+function saveScreens(screens) {
+  writeStored(SCREENS_KEY, { version: SCREENS_VERSION, screens });
+}
+
+// ============================================================
+// VALUATION
+// Intrinsic value per share from a DCF on free cash flow and a
+// Gordon growth dividend discount model. Rates and growth are
+// percentages like every other figure in the app; a model returns
+// null when its inputs make it undefined.
+// ============================================================
+const DCF_YEARS = 5;      // explicit forecast before the terminal value
+const FCF_BASE_YEARS = 3; // base cash flow = average of the latest years
+const DEFAULT_DISCOUNT_RATE = 8;
+const DEFAULT_TERMINAL_GROWTH = 2;
+// Historical growth is a starting point only; outliers are capped
+const SUGGESTED_GROWTH = { min: -5, max: 10 };
+const SUGGESTED_DIVIDEND_GROWTH_MAX = 5; // perpetual, so kept modest
+// Step per assumption in the sensitivity tables (%-points)
+const SENSITIVITY_STEPS = { discountRate: 1, terminalGrowth: 0.5, requiredReturn: 1, dividendGrowth: 0.5 };
+
+// Historical CAGR of points clamped to the suggestion range, or null
+function suggestedGrowth(points, max = SUGGESTED_GROWTH.max) {
+  const trend = trendOf(points, "cagr");
+  if (trend?.kind !== "cagr") return null;
+  return Math.round(Math.min(max, Math.max(SUGGESTED_GROWTH.min, trend.value)) * 10) / 10;
+}
+
+// Per-share history and balance figures for the models. With a cash
+// flow statement (live providers) FCF/share comes from it; otherwise
+// it is recovered from the yearly rows as year-end price ÷ P/FCF,
+// with the price itself recovered as EPS × P/E.
+function valuationInputs(stock, statements) {
+  const years = Object.keys(stock.years).map(Number).sort((a, b) => a - b);
+  const latest = stock.years[years[years.length - 1]] ?? {};
+  const income = statements?.income ?? [];
+
+  let fcf = (statements?.cashflow ?? [])
+    .map(cf => {
+      const shares = income.find(i => i.date === cf.date)?.shares ?? stock.sharesOutstanding;
+      return { year: new Date(cf.date).getFullYear(), value: shares && cf.freeCashFlow != null ? cf.freeCashFlow / shares : null };
+    })
+    .filter(p => p.value != null)
+    .reverse();
+  const fcfSource = fcf.length ? "cashflow" : "multiples";
+  if (!fcf.length) {
+    fcf = years
+      .map(y => {
+        const d = stock.years[y];
+        return { year: y, value: d.eps != null && d.pe && d.pfcf ? d.eps * d.pe / d.pfcf : null };
+      })
+      .filter(p => p.value != null);
+  }
+  const base = fcf.slice(-FCF_BASE_YEARS);
+
+  // Net debt per share: from the balance sheet when there is one,
+  // otherwise gearing × book value per share (price ÷ P/B)
+  const bal = statements?.balance?.[0];
+  let netDebt = 0;
+  if (bal && stock.sharesOutstanding) {
+    netDebt = (bal.totalDebt - (bal.cash || 0)) / stock.sharesOutstanding;
+  } else if (latest.nettovelka != null && latest.eps != null && latest.pe && latest.pb) {
+    netDebt = latest.nettovelka / 100 * (latest.eps * latest.pe / latest.pb);
+  }
+
+  const dps = years.map(y => ({ year: y, value: stock.years[y].dps })).filter(p => p.value != null);
+
+  return {
+    fcf, fcfSource, netDebt, dps,
+    fcfBase: base.length ? base.reduce((a, p) => a + p.value, 0) / base.length : null,
+    dpsBase: dps.length ? dps[dps.length - 1].value : null,
+    growth:         suggestedGrowth(fcf),
+    dividendGrowth: suggestedGrowth(dps, SUGGESTED_DIVIDEND_GROWTH_MAX),
+  };
+}
+
+function defaultAssumptions(inputs) {
+  return {
+    growth:         inputs.growth ?? DEFAULT_TERMINAL_GROWTH,
+    discountRate:   DEFAULT_DISCOUNT_RATE,
+    terminalGrowth: DEFAULT_TERMINAL_GROWTH,
+    requiredReturn: DEFAULT_DISCOUNT_RATE,
+    dividendGrowth: inputs.dividendGrowth ?? DEFAULT_TERMINAL_GROWTH,
+  };
+}
+
+// FCF grows at `growth` for DCF_YEARS, then at `terminalGrowth` for
+// ever; both legs are discounted at `discountRate` (WACC) and net
+// debt is taken off the resulting enterprise value
+function dcfValue({ fcfBase, netDebt }, { growth, discountRate, terminalGrowth }) {
+  if (!(fcfBase > 0) || discountRate <= terminalGrowth) return null;
+  const r = discountRate / 100;
+  const flows = [];
+  let cf = fcfBase;
+  for (let t = 1; t <= DCF_YEARS; t++) {
+    cf *= 1 + growth / 100;
+    flows.push({ t, cf, pv: cf / Math.pow(1 + r, t) });
+  }
+  const terminal = cf * (1 + terminalGrowth / 100) / (r - terminalGrowth / 100);
+  const pvFlows = flows.reduce((a, f) => a + f.pv, 0);
+  const pvTerminal = terminal / Math.pow(1 + r, DCF_YEARS);
+  return { value: pvFlows + pvTerminal - netDebt, pvFlows, pvTerminal, netDebt, flows };
+}
+
+// Gordon growth: next year's dividend ÷ (required return − growth)
+function ddmValue({ dpsBase }, { requiredReturn, dividendGrowth }) {
+  if (!(dpsBase > 0) || requiredReturn <= dividendGrowth) return null;
+  const d1 = dpsBase * (1 + dividendGrowth / 100);
+  return { value: d1 / ((requiredReturn - dividendGrowth) / 100), d1 };
+}
+
+// How far below fair value the price is, in % of fair value;
+// negative when the stock trades above it
+function marginOfSafety(fairValue, price) {
+  if (!(fairValue > 0) || price == null) return null;
+  return (fairValue - price) / fairValue * 100;
+}
+
+// model values with two assumptions varied ±2 steps around their
+// current values; cells[i][j] pairs rows[i] with cols[j]
+function sensitivityGrid(model, inputs, assumptions, rowKey, colKey) {
+  const around = key => [-2, -1, 0, 1, 2].map(k => assumptions[key] + k * SENSITIVITY_STEPS[key]);
+  const rows = around(rowKey);
+  const cols = around(colKey);
+  return {
+    rows, cols,
+    cells: rows.map(rv => cols.map(cv => model(inputs, { ...assumptions, [rowKey]: rv, [colKey]: cv })?.value ?? null)),
+  };
+}
+
+// ============================================================
+// PORTFOLIO
+// Transactions { id, type, ticker, date, quantity, price, fees } are
+// the only stored state; positions and returns are derived from them.
+// A dividend row uses quantity = shares and price = dividend per share,
+// fees = tax withheld. Positions use the running average cost (fees
+// included in the cost of a buy and deducted from a sale).
+// ============================================================
+const TRANSACTION_TYPES = labelMap("transactionTypes", ["buy", "sell", "dividend"]);
+const PORTFOLIO_KEY = "osakeapuri.portfolio";
+const PORTFOLIO_VERSION = 1;
+const PORTFOLIO_MIGRATIONS = {};
+const QTY_EPSILON = 1e-9;
+
+function loadPortfolio() {
+  const stored = readStored(PORTFOLIO_KEY);
+  const data = stored && migrateStored(stored, PORTFOLIO_VERSION, PORTFOLIO_MIGRATIONS);
+  return Array.isArray(data?.transactions) ? data.transactions : [];
+}
+
+function savePortfolio(transactions) {
+  writeStored(PORTFOLIO_KEY, { version: PORTFOLIO_VERSION, transactions, updatedAt: new Date().toISOString() });
+}
+
+// Oldest first; on the same day buys go before sells
+const TYPE_ORDER = { buy: 0, dividend: 1, sell: 2 };
+function sortTransactions(list) {
+  return [...list].sort((a, b) => a.date.localeCompare(b.date) || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]);
+}
+
+// Quantity held per ticker after all transactions up to `date` (inclusive)
+function holdingsAt(transactions, date = "9999-12-31") {
+  const held = {};
+  for (const t of sortTransactions(transactions)) {
+    if (t.date > date) break;
+    if (t.type === "buy")  held[t.ticker] = (held[t.ticker] ?? 0) + t.quantity;
+    if (t.type === "sell") held[t.ticker] = Math.max(0, (held[t.ticker] ?? 0) - t.quantity);
+  }
+  return held;
+}
+
+// prices = { [ticker]: current price }; a missing price leaves the
+// market value and unrealised gain of that position null
+function computePositions(transactions, prices = {}) {
+  const byTicker = {};
+  for (const t of sortTransactions(transactions)) {
+    const p = (byTicker[t.ticker] ??= { ticker: t.ticker, quantity: 0, cost: 0, realized: 0, dividends: 0, fees: 0 });
+    p.fees += t.fees;
+    if (t.type === "buy") {
+      p.quantity += t.quantity;
+      p.cost += t.quantity * t.price + t.fees;
+    } else if (t.type === "sell") {
+      const qty = Math.min(t.quantity, p.quantity);
+      const avg = p.quantity > 0 ? p.cost / p.quantity : 0;
+      p.realized += qty * t.price - t.fees - avg * qty;
+      p.cost -= avg * qty;
+      p.quantity -= qty;
+      if (p.quantity < QTY_EPSILON) { p.quantity = 0; p.cost = 0; }
+    } else if (t.type === "dividend") {
+      p.dividends += t.quantity * t.price - t.fees;
+    }
+  }
+  return Object.values(byTicker)
+    .map(p => {
+      const price = prices[p.ticker] ?? null;
+      const marketValue = p.quantity === 0 ? 0 : price != null ? p.quantity * price : null;
+      const unrealized = marketValue != null ? marketValue - p.cost : null;
+      return {
+        ...p, price, marketValue, unrealized,
+        avgCost:       p.quantity > 0 ? p.cost / p.quantity : null,
+        unrealizedPct: unrealized != null && p.cost > 0 ? (unrealized / p.cost) * 100 : null,
+      };
+    })
+    .sort((a, b) => (b.quantity > 0) - (a.quantity > 0) || a.ticker.localeCompare(b.ticker));
+}
+
+function portfolioTotals(positions) {
+  const sum = key => positions.reduce((a, p) => a + (p[key] ?? 0), 0);
+  const unpriced = positions.filter(p => p.quantity > 0 && p.marketValue == null).map(p => p.ticker);
+  return {
+    marketValue: sum("marketValue"),
+    cost:        sum("cost"),
+    unrealized:  sum("unrealized"),
+    realized:    sum("realized"),
+    dividends:   sum("dividends"),
+    fees:        sum("fees"),
+    unpriced,
+  };
+}
+
+// Last close on or before `date`; histories are oldest first
+function closeOnOrBefore(history, date) {
+  if (!history?.length || history[0].date > date) return null;
+  let lo = 0, hi = history.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (history[mid].date <= date) lo = mid; else hi = mid - 1;
+  }
+  return history[lo].close;
+}
+
+// Time-weighted return. The holding period is cut at every buy and
+// sell; each sub-period returns (value just before the flow + dividends
+// received) / value right after the previous flow, and the sub-period
+// returns are chained, so the timing and size of deposits doesn't
+// distort the result. A ticker traded on the day is valued at its trade
+// price, others at the close from `histories` (ticker -> closes) or the
+// latest trade price; the end value uses `endPrices`.
+// Returns { total, annualized, since } in percent.
+function timeWeightedReturn(transactions, histories = {}, endPrices = {}, endDate = new Date().toISOString().slice(0, 10)) {
+  const sorted = sortTransactions(transactions).filter(t => t.date <= endDate);
+  if (!sorted.some(t => t.type === "buy")) return null;
+  const held = {}, tradePrice = {};
+  // `known` prices win over the close: the day's own trade prices, or the end prices
+  const valueAt = (date, known = {}) => Object.entries(held).reduce((a, [ticker, qty]) => {
+    const price = known[ticker] ?? closeOnOrBefore(histories[ticker], date) ?? tradePrice[ticker] ?? 0;
+    return a + qty * price;
+  }, 0);
+
+  let growth = 1, base = 0, income = 0;
+  const dates = [...new Set(sorted.map(t => t.date))];
+  for (const date of dates) {
+    const day = sorted.filter(t => t.date === date);
+    income += day.filter(t => t.type === "dividend").reduce((a, t) => a + t.quantity * t.price - t.fees, 0);
+    const trades = day.filter(t => t.type !== "dividend");
+    if (trades.length === 0) continue;
+    const dayPrices = Object.fromEntries(trades.map(t => [t.ticker, t.price]));
+    if (base > 0) growth *= (valueAt(date, dayPrices) + income) / base;
+    income = 0;
+    for (const t of trades) {
+      held[t.ticker] = Math.max(0, (held[t.ticker] ?? 0) + (t.type === "buy" ? t.quantity : -t.quantity));
+      tradePrice[t.ticker] = t.price;
+    }
+    base = valueAt(date, dayPrices);
+  }
+  if (base > 0) growth *= (valueAt(endDate, endPrices) + income) / base;
+
+  const since = sorted.find(t => t.type === "buy").date;
+  const yearsHeld = (Date.parse(endDate) - Date.parse(since)) / (365.25 * DAY_MS);
+  return {
+    total:      (growth - 1) * 100,
+    annualized: yearsHeld >= 1 ? (Math.pow(growth, 1 / yearsHeld) - 1) * 100 : null,
+    since,
+  };
+}
+
+// ---- CSV import / export ----------------------------------
+// Column names of broker exports (Nordnet in fi/sv/en) and of our
+// own export, first match wins.
+const TRANSACTION_COLUMNS = {
+  date:     ["kauppapäivä", "trade day", "handelsdag", "date", "päivämäärä", "kirjauspäivä"],
+  type:     ["tapahtumatyyppi", "transaction type", "transaktionstyp", "type", "tyyppi"],
+  ticker:   ["arvopaperi", "symbol", "värdepapper", "ticker", "tunnus"],
+  quantity: ["määrä", "quantity", "antal", "kpl"],
+  price:    ["kurssi", "price", "kurs", "hinta"],
+  fees:     ["kokonaiskulut", "total fees", "totala avgifter", "välityspalkkio", "courtage", "fees", "kulut"],
+};
+const TRANSACTION_TYPE_ALIASES = {
+  buy:      ["osto", "buy", "köpt", "köp"],
+  sell:     ["myynti", "sell", "sålt", "sälj"],
+  dividend: ["osinko", "dividend", "utdelning"],
+};
+
+// Broker files are often UTF-16 (Nordnet): pick the encoding by BOM.
+// TextDecoder drops the BOM itself.
+function decodeTextFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const encoding = bytes[0] === 0xff && bytes[1] === 0xfe ? "utf-16le"
+    : bytes[0] === 0xfe && bytes[1] === 0xff ? "utf-16be"
+    : "utf-8";
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cell += '"'; i++; } else quoted = !quoted;
+    } else if (ch === delimiter && !quoted) {
+      cells.push(cell.trim()); cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// "1 234,50", "1,234.50" and "1234.5" all parse
+function parseLocaleNumber(str) {
+  let s = String(str ?? "").replace(/\s/g, "");
+  if (s.includes(",") && s.includes(".")) {
+    s = s.lastIndexOf(",") > s.lastIndexOf(".") ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  } else {
+    s = s.replace(",", ".");
+  }
+  const n = Number(s);
+  return s === "" || !Number.isFinite(n) ? null : n;
+}
+
+// "2024-03-15", "15.3.2024" -> "2024-03-15"
+function parseTradeDate(str) {
+  const s = String(str ?? "").trim();
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const fi = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (fi) return `${fi[3]}-${fi[2].padStart(2, "0")}-${fi[1].padStart(2, "0")}`;
+  return null;
+}
+
+// Returns { transactions, skipped }; rows of other types (deposits,
+// withholding tax, interest…) are counted in `skipped`.
+function parseTransactionsCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new Error(tr("portfolio.import.noRows"));
+  const header = lines[0];
+  const delimiter = header.includes("\t") ? "\t"
+    : (header.split(";").length > header.split(",").length ? ";" : ",");
+  const names = splitCsvLine(header, delimiter).map(h => h.replace(/"/g, "").toLowerCase());
+  const col = {};
+  for (const [field, aliases] of Object.entries(TRANSACTION_COLUMNS)) {
+    const alias = aliases.find(a => names.includes(a));
+    col[field] = alias == null ? -1 : names.indexOf(alias);
+  }
+  const missing = ["date", "type", "ticker", "quantity", "price"].filter(f => col[f] < 0);
+  if (missing.length) throw new Error(tr("portfolio.import.missingColumns", { columns: missing.join(", ") }));
+
+  const transactions = [];
+  let skipped = 0;
+  const stamp = Date.now().toString(36);
+  lines.slice(1).forEach((line, i) => {
+    const cells = splitCsvLine(line, delimiter);
+    const typeText = (cells[col.type] ?? "").toLowerCase();
+    const type = Object.keys(TRANSACTION_TYPE_ALIASES).find(k => TRANSACTION_TYPE_ALIASES[k].includes(typeText));
+    const date = parseTradeDate(cells[col.date]);
+    const quantity = parseLocaleNumber(cells[col.quantity]);
+    const price = parseLocaleNumber(cells[col.price]);
+    const ticker = toHelsinkiTicker((cells[col.ticker] ?? "").replace(/\s+/g, "-"));
+    if (!type || !date || !quantity || price == null || ticker === ".HE") { skipped++; return; }
+    transactions.push({
+      id: `tx-${stamp}-${i}`, type, ticker, date,
+      quantity: Math.abs(quantity), price: Math.abs(price),
+      fees: col.fees >= 0 ? Math.abs(parseLocaleNumber(cells[col.fees]) ?? 0) : 0,
+    });
+  });
+  return { transactions, skipped };
+}
+
+// Imported sales the holding cannot cover (an export that starts after
+// the purchase, a mistyped ticker) would otherwise be clamped away by
+// holdingsAt without a word. They are rejected instead; sales already
+// in `existing` count towards the holding like any other row.
+// Returns { accepted, oversold }, both lists of imported transactions.
+function checkImportedSales(existing, imported) {
+  const importedIds = new Set(imported.map(t => t.id));
+  const held = {}, accepted = [], oversold = [];
+  for (const t of sortTransactions([...existing, ...imported])) {
+    const isNew = importedIds.has(t.id);
+    if (t.type === "sell" && isNew && t.quantity > (held[t.ticker] ?? 0) + QTY_EPSILON) {
+      oversold.push(t);
+      continue;
+    }
+    if (t.type === "buy")  held[t.ticker] = (held[t.ticker] ?? 0) + t.quantity;
+    if (t.type === "sell") held[t.ticker] = Math.max(0, (held[t.ticker] ?? 0) - t.quantity);
+    if (isNew) accepted.push(t);
+  }
+  return { accepted, oversold };
+}
+
+function transactionsToCSV(transactions) {
+  const rows = sortTransactions(transactions).map(t => [t.date, t.type, t.ticker, t.quantity, t.price, t.fees].join(";"));
+  return ["date;type;ticker;quantity;price;fees", ...rows].join("\n") + "\n";
+}
+
+// Same trade imported twice (e.g. overlapping exports) is recognised
+function transactionKey(t) {
+  return [t.date, t.type, t.ticker, t.quantity, t.price].join("|");
+}
+
+// ============================================================
+// CAPITAL GAINS TAX (Finland)
+// Sales are matched to purchases first-in-first-out. For every
+// matched lot the gain is the smaller of
+//   actual: proceeds − sale costs − purchase price − purchase costs
+//   deemed: proceeds − 20 % of proceeds (40 % if held ≥ 10 years),
+//           the hankintameno-olettama; no costs are deducted then
+// Dividends from listed companies are 85 % taxable capital income.
+// Small sales (TVL 48 § and 50 §): gains are tax-free when the year's
+// proceeds total at most SMALL_SALES_LIMIT, and losses are not
+// deductible when the acquisition costs do so as well. A helper, not
+// tax advice.
+// ============================================================
+const DEEMED_COST_RATE = 0.2;
+const DEEMED_COST_RATE_LONG = 0.4;
+const DEEMED_COST_LONG_YEARS = 10;
+const DIVIDEND_TAXABLE_SHARE = 0.85;
+const SMALL_SALES_LIMIT = 1000;
+const TAX_METHODS = labelMap("tax.methods", ["actual", "deemed"]);
+
+function heldAtLeast(from, to, years) {
+  return `${Number(from.slice(0, 4)) + years}${from.slice(4)}` <= to;
+}
+
+// One entry per sale, with the FIFO lots it consumed in `lots`.
+// `unmatched` is the quantity sold without a known purchase.
+function computeRealizedGains(transactions) {
+  const queues = {};
+  const sales = [];
+  for (const t of sortTransactions(transactions)) {
+    if (t.type === "buy") {
+      (queues[t.ticker] ??= []).push({ date: t.date, quantity: t.quantity, unitCost: t.price + t.fees / t.quantity });
+    }
+    if (t.type !== "sell") continue;
+    const queue = queues[t.ticker] ?? [];
+    const lots = [];
+    let remaining = t.quantity;
+    while (remaining > QTY_EPSILON && queue.length) {
+      const lot = queue[0];
+      const quantity = Math.min(remaining, lot.quantity);
+      const proceeds = quantity * t.price;
+      const saleCosts = t.fees * (quantity / t.quantity);
+      const cost = quantity * lot.unitCost;
+      const long = heldAtLeast(lot.date, t.date, DEEMED_COST_LONG_YEARS);
+      const deemedCost = proceeds * (long ? DEEMED_COST_RATE_LONG : DEEMED_COST_RATE);
+      const actualGain = proceeds - saleCosts - cost;
+      const deemedGain = proceeds - deemedCost;
+      const method = deemedGain < actualGain ? "deemed" : "actual";
+      lots.push({
+        date: lot.date, quantity, proceeds, saleCosts, cost, deemedCost, long, method,
+        deducted: method === "deemed" ? deemedCost : cost + saleCosts,
+        gain:     method === "deemed" ? deemedGain : actualGain,
+      });
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity < QTY_EPSILON) queue.shift();
+    }
+    sales.push({
+      id: t.id, date: t.date, ticker: t.ticker, quantity: t.quantity, price: t.price,
+      proceeds:  t.quantity * t.price,
+      saleCosts: t.fees,
+      cost:      lots.reduce((a, l) => a + l.cost, 0),
+      deducted:  lots.reduce((a, l) => a + l.deducted, 0),
+      gain:      lots.reduce((a, l) => a + l.gain, 0),
+      unmatched: remaining > QTY_EPSILON ? remaining : 0,
+      lots,
+    });
+  }
+  return sales;
+}
+
+// Years that have sales or dividends, newest first
+function taxYears(transactions) {
+  return [...new Set(transactions.filter(t => t.type !== "buy").map(t => Number(t.date.slice(0, 4))))].sort((a, b) => b - a);
+}
+
+function taxReport(transactions, year) {
+  const inYear = t => t.date.startsWith(`${year}-`);
+  const sales = computeRealizedGains(transactions).filter(inYear);
+  const dividends = sortTransactions(transactions).filter(t => t.type === "dividend" && inYear(t)).map(t => {
+    const gross = t.quantity * t.price;
+    return { id: t.id, date: t.date, ticker: t.ticker, gross, taxable: gross * DIVIDEND_TAXABLE_SHARE, taxFree: gross * (1 - DIVIDEND_TAXABLE_SHARE), withheld: t.fees };
+  });
+  const sum = (list, key) => list.reduce((a, x) => a + x[key], 0);
+  const proceeds = sum(sales, "proceeds");
+  const gains = sales.filter(s => s.gain > 0).reduce((a, s) => a + s.gain, 0);
+  const losses = -sales.filter(s => s.gain < 0).reduce((a, s) => a + s.gain, 0);
+  // Actual acquisition costs, whichever method each lot was taxed with
+  const cost = sum(sales, "cost");
+  const gainsTaxFree = sales.length > 0 && proceeds <= SMALL_SALES_LIMIT;
+  const smallSalesExempt = gainsTaxFree && cost <= SMALL_SALES_LIMIT;
+  return {
+    year, sales, proceeds, cost, gains, losses,
+    deducted:         sum(sales, "deducted"),
+    // Taxable: the exempt side of the small-sales rule drops out
+    net:              (gainsTaxFree ? 0 : gains) - (smallSalesExempt ? 0 : losses),
+    gainsTaxFree,
+    smallSalesExempt,
+    unmatched:        sales.filter(s => s.unmatched > 0).map(s => s.ticker),
+    dividends,
+    dividendTotals: {
+      gross:    sum(dividends, "gross"),
+      taxable:  sum(dividends, "taxable"),
+      taxFree:  sum(dividends, "taxFree"),
+      withheld: sum(dividends, "withheld"),
+    },
+  };
+}
+
+// Column names follow the UI language; amounts keep dot decimals so
+// the file reads the same in any spreadsheet locale
+function taxReportToCSV(report) {
+  const n = v => v.toFixed(2);
+  const rows = [
+    tr("tax.csv.salesHeader"),
+    ...report.sales.flatMap(s => s.lots.map(l => [
+      s.date, s.ticker, l.quantity, n(l.proceeds), n(l.saleCosts), l.date, n(l.cost), n(l.deemedCost),
+      TAX_METHODS[l.method], n(l.deducted), n(l.gain),
+    ].join(";"))),
+    "",
+    tr("tax.csv.dividendsHeader"),
+    ...report.dividends.map(d => [d.date, d.ticker, n(d.gross), n(d.taxable), n(d.taxFree), n(d.withheld)].join(";")),
+  ];
+  return rows.join("\n") + "\n";
+}
+
+// "Olettama 40 %" for a lot taxed with the deemed acquisition cost
+function deemedMethodLabel(lot) {
+  return tr("tax.deemedAt", { rate: formatPercent((lot.long ? DEEMED_COST_RATE_LONG : DEEMED_COST_RATE) * 100, 0) });
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// Standalone printable page; the browser's print dialog saves it as PDF
+function taxReportToHTML(report) {
+  const table = (head, rows) => `<table><thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${
+    rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  const eur = v => formatEur(v);
+  return `<!doctype html><html lang="${activeLanguage}"><head><meta charset="utf-8"><title>${escapeHtml(tr("tax.report.title", { year: report.year }))}</title>
+<style>body{font-family:system-ui,sans-serif;color:#0A1F44;margin:24px}h1{font-size:20px}h2{font-size:15px;margin-top:24px}
+table{border-collapse:collapse;width:100%;font-size:11px}th,td{border-bottom:1px solid #B8CEE8;padding:4px 6px;text-align:right}
+th:first-child,td:first-child,th:nth-child(2),td:nth-child(2){text-align:left}p{font-size:12px}</style></head><body>
+<h1>${escapeHtml(tr("tax.report.heading", { year: report.year }))}</h1>
+<p>${escapeHtml(tr("tax.report.totals", {
+  proceeds: eur(report.proceeds), deducted: eur(report.deducted), gains: eur(report.gains), losses: eur(report.losses), net: eur(report.net),
+}))}</p>
+${report.gainsTaxFree ? `<p>${escapeHtml(tr(report.smallSalesExempt ? "tax.smallSalesExempt" : "tax.smallSalesGainsFree", { limit: eur(SMALL_SALES_LIMIT) }))}</p>` : ""}
+<h2>${escapeHtml(tr("tax.report.sales"))}</h2>
+${table(tr("tax.report.salesColumns"),
+  report.sales.flatMap(s => s.lots.map(l => [s.date, s.ticker, l.quantity, l.date, eur(l.proceeds), eur(l.cost), eur(l.saleCosts),
+    l.method === "deemed" ? deemedMethodLabel(l) : TAX_METHODS.actual, eur(l.gain)])))}
+<h2>${escapeHtml(tr("tax.report.dividends"))}</h2>
+${table(tr("tax.report.dividendColumns"),
+  report.dividends.map(d => [d.date, d.ticker, eur(d.gross), eur(d.taxable), eur(d.taxFree), eur(d.withheld)]))}
+<p>${escapeHtml(tr("tax.disclaimer"))}</p>
+</body></html>`;
+}
+
+// ============================================================
+// DIVIDEND CALENDAR
+// Events come from provider.dividends(). The number of instalments is
+// counted over the latest 12 months of ex-dates. When nothing has been
+// announced yet, the next dates are estimated by moving the latest
+// cycle a year forward and splitting the latest dps evenly over it.
+// Share counts entered by the user are stored per ticker; portfolio
+// holdings are used for tickers without an entry.
+// ============================================================
+const DIVIDENDS_KEY = "osakeapuri.dividends";
+const DIVIDENDS_VERSION = 1;
+const DIVIDENDS_MIGRATIONS = {};
+
+function loadDividendShares() {
+  const stored = readStored(DIVIDENDS_KEY);
+  const data = stored && migrateStored(stored, DIVIDENDS_VERSION, DIVIDENDS_MIGRATIONS);
+  return data?.shares && typeof data.shares === "object" ? data.shares : {};
+}
+
+function saveDividendShares(shares) {
+  writeStored(DIVIDENDS_KEY, { version: DIVIDENDS_VERSION, shares });
+}
+
+function shiftYear(iso, years) {
+  return iso && `${Number(iso.slice(0, 4)) + years}${iso.slice(4)}`;
+}
+
+function latestDividendCycle(events) {
+  if (!events.length) return [];
+  const from = shiftDate(events[events.length - 1].exDate, -365);
+  return events.filter(e => e.exDate > from);
+}
+
+// { instalments, upcoming, recent } as seen on `today`; estimated
+// events carry estimated: true
+function dividendSchedule(events, dps, today) {
+  const cycle = latestDividendCycle(events);
+  const paidOn = e => e.paymentDate ?? e.exDate;
+  let upcoming = events.filter(e => paidOn(e) >= today);
+  if (upcoming.length === 0 && dps > 0 && cycle.length) {
+    upcoming = cycle
+      .map(e => ({
+        exDate:      shiftYear(e.exDate, 1),
+        recordDate:  shiftYear(e.recordDate, 1),
+        paymentDate: shiftYear(e.paymentDate, 1),
+        amount:      dps / cycle.length,
+        estimated:   true,
+      }))
+      .filter(e => paidOn(e) >= today);
+  }
+  return {
+    instalments: Math.max(1, cycle.length),
+    upcoming,
+    recent: events.filter(e => paidOn(e) < today && paidOn(e) >= shiftDate(today, -365)),
+  };
+}
+
+// ============================================================
+// ALERTS
+// A rule { id, ticker, kind, value, state } fires when its condition
+// turns from false to true (or the score band changes) between two
+// evaluations. `state` keeps the last evaluated result, so reloading
+// unchanged data never fires twice; a new or edited rule has no state
+// and its first evaluation only records the baseline.
+// ============================================================
+const ALERT_KINDS = withLabels("alerts.kinds", {
+  priceAbove: { fmt: "eps",     above: true,  value: s => s.currentPrice },
+  priceBelow: { fmt: "eps",     above: false, value: s => s.currentPrice },
+  peBelow:    { fmt: "ratio",   above: false, value: (s, d) => d.pe },
+  dyAbove:    { fmt: "percent", above: true,  value: (s, d) => d.dy },
+  scoreBand:  { fmt: null },
+});
+// Same bands as the ScoreRing label; a scoreBand rule's state is the key
+const SCORE_BANDS = withLabels("scoreBands", [
+  { key: "strong",  min: 70 },
+  { key: "good",    min: 55 },
+  { key: "neutral", min: 40 },
+  { key: "weak",    min: -Infinity },
+]);
+const ALERTS_KEY = "osakeapuri.alerts";
+const ALERTS_VERSION = 2;
+const ALERTS_MIGRATIONS = {
+  // v2 stores score bands by key instead of their Finnish label
+  2: old => {
+    const bandKeys = { Vahva: "strong", "Hyvä": "good", Neutraali: "neutral", Heikko: "weak" };
+    return {
+      ...old, version: 2,
+      rules: (old.rules ?? []).map(r => (r.kind === "scoreBand" && r.state != null ? { ...r, state: bandKeys[r.state] ?? null } : r)),
+    };
+  },
+};
+const ALERT_INBOX_MAX = 100;
+
+function scoreBand(total) {
+  return total == null ? null : SCORE_BANDS.find(b => total >= b.min).key;
+}
+
+const scoreBandLabel = band => SCORE_BANDS.find(b => b.key === band)?.label ?? "—";
+
+function loadAlerts() {
+  const stored = readStored(ALERTS_KEY);
+  const data = stored && migrateStored(stored, ALERTS_VERSION, ALERTS_MIGRATIONS);
+  return {
+    rules: Array.isArray(data?.rules) ? data.rules : [],
+    inbox: Array.isArray(data?.inbox) ? data.inbox : [],
+  };
+}
+
+function saveAlerts({ rules, inbox }) {
+  writeStored(ALERTS_KEY, { version: ALERTS_VERSION, rules, inbox });
+}
+
+// → { state, basis, fired, message }
+// A score band is only comparable under the scoring basis it was
+// computed with; when the basis changes the band is re-baselined
+// without firing.
+function evaluateAlert(rule, stock, total, basis) {
+  const kind = ALERT_KINDS[rule.kind];
+  if (rule.kind === "scoreBand") {
+    const band = scoreBand(total);
+    if (rule.basis !== basis) return { state: band, basis, fired: false, message: null };
+    const fired = band != null && rule.state != null && band !== rule.state;
+    return {
+      state: band ?? rule.state, basis, fired,
+      message: fired
+        ? tr("alerts.bandMessage", { name: stock.name, total, from: scoreBandLabel(rule.state), to: scoreBandLabel(band) })
+        : null,
+    };
+  }
+  const v = kind.value(stock, latestRowOf(stock));
+  if (v == null || !Number.isFinite(v)) return { state: rule.state, fired: false, message: null };
+  const state = kind.above ? v > rule.value : v < rule.value;
+  const fired = state && rule.state === false;
+  return {
+    state, fired,
+    message: fired
+      ? tr("alerts.valueMessage", {
+        name: stock.name, kind: kind.label.toLowerCase(), limit: formatValue(rule.value, kind.fmt), value: formatValue(v, kind.fmt),
+      })
+      : null,
+  };
+}
+
+// Browser notification, if the user has allowed them
+function showNotification(alert) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  try {
+    new Notification(tr("alerts.notificationTitle"), { body: alert.message, tag: alert.ruleId });
+  } catch {
+    // Some mobile browsers only allow notifications from a service worker
+  }
+}
+
+// ============================================================
+// ROUTING
+// The selected stock and tab live in the path, e.g.
+// /osake/KNEBV.HE/vertailu, and the comparison set and screener
+// filters in the query string, so a link reproduces the view.
+// Paths are relative to Vite's BASE_URL; the host must answer them
+// with index.html (Vite's dev server does).
+// ============================================================
+const DEFAULT_TICKER = "NOKIA.HE";
+const DEFAULT_TAB = "yhteenveto";
+const ROUTE_BASE = (import.meta.env.BASE_URL ?? "/").replace(/\/$/, "");
+
+// Tab id -> path segment
+const TAB_SLUGS = {
+  yhteenveto: "yhteenveto",
+  historia:   "tunnusluvut",
+  vertailu:   "vertailu",
+  arvo:       "arvonmaaritys",
+  seulonta:   "seulonta",
+  seuranta:   "seuranta",
+  osingot:    "osingot",
+  salkku:     "salkku",
+};
+
+// Filters as "dy_gt_4,eq_gt_40", sort as "dy_desc"; "" for the empty screen
+function screenParams(screen) {
+  const sortDefault = screen.sort.field === EMPTY_SCREEN.sort.field && screen.sort.dir === EMPTY_SCREEN.sort.dir;
+  return {
+    ehdot:     screen.filters.map(f => `${f.field}_${f.op}_${f.value}`).join(","),
+    jarjestys: screen.filters.length || !sortDefault ? `${screen.sort.field}_${screen.sort.dir}` : "",
+  };
+}
+
+// Unknown fields, operators and sort keys are dropped rather than guessed
+function parseScreenParams(params) {
+  const fields = SCREEN_FIELDS.map(f => f.key);
+  const filters = (params.get("ehdot") ?? "").split(",").map(part => {
+    const [field, op, value] = part.split("_");
+    return { field, op, value: Number(value) };
+  }).filter(f => fields.includes(f.field) && f.op in SCREEN_OPS && Number.isFinite(f.value));
+  const [field, dir] = (params.get("jarjestys") ?? "").split("_");
+  const sort = fields.includes(field) && (dir === "asc" || dir === "desc") ? { field, dir } : EMPTY_SCREEN.sort;
+  return { filters, sort };
+}
+
+// The known screen with these filters and sort, or an unnamed one
+function matchScreen({ filters, sort }, screens) {
+  const key = sc => JSON.stringify(screenParams(sc));
+  const wanted = key({ filters, sort });
+  return screens.find(sc => key(sc) === wanted) ?? { ...EMPTY_SCREEN, filters, sort };
+}
+
+// Ticker from its path segment; a malformed escape (a hand-edited or
+// truncated link) falls back to the default stock
+function routeTicker(segment) {
+  try {
+    return toHelsinkiTicker(decodeURIComponent(segment));
+  } catch {
+    return DEFAULT_TICKER;
+  }
+}
+
+// { ticker, tab, compare, screen } from a location. compare and
+// screen are null when the URL does not mention them.
+function parseRoute({ pathname, search }) {
+  const path = pathname.startsWith(ROUTE_BASE) ? pathname.slice(ROUTE_BASE.length) : pathname;
+  const [, section, ticker, slug] = path.split("/");
+  const params = new URLSearchParams(search);
+  return {
+    ticker:  section === "osake" && ticker ? routeTicker(ticker) : DEFAULT_TICKER,
+    tab:     Object.keys(TAB_SLUGS).find(id => TAB_SLUGS[id] === slug) ?? DEFAULT_TAB,
+    compare: params.get("vertaa")
+      ? [...new Set(params.get("vertaa").split(",").filter(Boolean).map(toHelsinkiTicker))].slice(0, COMPARE_MAX)
+      : null,
+    screen:  params.has("ehdot") || params.has("jarjestys") ? parseScreenParams(params) : null,
+  };
+}
+
+function currentRoute() {
+  return typeof window === "undefined" ? parseRoute({ pathname: "/", search: "" }) : parseRoute(window.location);
+}
+
+// Path and query for a view. Query parameters only appear on the tab
+// they belong to, which keeps other links short.
+function routeUrl({ ticker, tab, compare, screen }) {
+  let url = `${ROUTE_BASE}/osake/${encodeURIComponent(ticker)}`;
+  if (tab !== DEFAULT_TAB) url += `/${TAB_SLUGS[tab]}`;
+  const query = [];
+  if (tab === "vertailu" && compare.length) query.push(`vertaa=${compare.map(encodeURIComponent).join(",")}`);
+  if (tab === "seulonta") {
+    Object.entries(screenParams(screen)).forEach(([k, v]) => { if (v) query.push(`${k}=${encodeURIComponent(v).replace(/%2C/g, ",")}`); });
+  }
+  return query.length ? `${url}?${query.join("&")}` : url;
+}
+
+// ============================================================
+// DATA HOOKS
+// ============================================================
+
+// Loads several tickers in parallel and tracks each one separately, so a
+// slow or failing ticker never blocks the rest of the list. Callers pass
+// an empty list until a view needs the data; what was loaded stays.
+// { cashflow: true } for views that show CASHFLOW_FIGURES.
+// entries[ticker] = { status: "loading" | "ready" | "error", stock?, error? };
+// a ready entry with an error is stale data whose refetch failed.
+function useStocks(tickers, provider, { cashflow = false } = {}) {
+  const [entries, setEntries] = useState({});
+  const startedRef = useRef(new Set());
+  // Aborted when the provider changes, so its late answers never land
+  // in the next provider's list
+  const controllerRef = useRef(null);
+
+  // opts.fresh bypasses the cache; the old entry stays visible meanwhile
+  function load(ticker, opts = {}) {
+    const { signal } = controllerRef.current;
+    const settle = entry => { if (!signal.aborted) setEntries(p => ({ ...p, [ticker]: entry })); };
+    startedRef.current.add(ticker);
+    setEntries(p => (opts.fresh && p[ticker]?.status === "ready" ? p : { ...p, [ticker]: { status: "loading" } }));
+    fetchStockData(ticker, { provider, cashflow, signal, ...opts })
+      .then(stock => {
+        settle({ status: "ready", stock });
+        // Stale cache hit: keep showing it and refetch what expired
+        if (stock.stale) {
+          fetchStockData(ticker, { provider, cashflow, signal, revalidate: true })
+            .then(fresh => settle({ status: "ready", stock: fresh, error: fresh.refreshError?.message }))
+            .catch(err => settle({ status: "ready", stock, error: err.message }));
+        }
+      })
+      .catch(err => settle({ status: "error", error: err.message }));
+  }
+
+  useEffect(() => {
+    // Switching provider invalidates everything loaded so far
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    startedRef.current = new Set();
+    setEntries({});
+    return () => controller.abort();
+  }, [provider.id]);
+
+  useEffect(() => {
+    tickers.filter(t => !startedRef.current.has(t)).forEach(t => load(t));
+  }, [tickers.join(","), provider.id]);
+
+  return { entries, reload: load };
+}
+
+// One provider series (method = "prices" | "dividends") for several
+// tickers, e.g. closes to value the portfolio on past dates.
+// series[ticker] appears once loaded; a failing ticker is left out.
+function useProviderSeries(method, tickers, provider) {
+  const [series, setSeries] = useState({});
+  useEffect(() => {
+    const controller = new AbortController();
+    setSeries({});
+    tickers.forEach(t => {
+      provider[method](t, { signal: controller.signal })
+        .then(res => { if (!controller.signal.aborted) setSeries(p => ({ ...p, [t]: res.data })); })
+        .catch(() => {});
+    });
+    return () => controller.abort();
+  }, [method, tickers.join(","), provider.id]);
+  return series;
+}
+
+// ============================================================
+// COMPONENTS
+// ============================================================
+// Hidden from sight but read by screen readers
+const SR_ONLY = {
+  position: "absolute", width: 1, height: 1, padding: 0, margin: -1,
+  overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap", border: 0,
+};
+
+function ScoreBar({ value, label }) {
+  const clr = value >= 70 ? C.good : value >= 45 ? C.warn : C.bad;
+  return (
+    <div role="meter" aria-label={label} aria-valuemin={0} aria-valuemax={100} aria-valuenow={value ?? undefined}
+      aria-valuetext={value == null ? tr("common.noData") : `${value} / 100`}
+      style={{ background: C.blueBorder, borderRadius: 99, height: 7, overflow: "hidden" }}>
+      <div style={{ width: `${Math.min(100, value ?? 0)}%`, height: "100%", background: clr, borderRadius: 99, transition: "width .6s" }} />
+    </div>
+  );
+}
+
+function Badge({ text, blue = false, warn = false, title }) {
+  return (
+    <span title={title} style={{
+      background: warn ? C.warnBg : blue ? C.bluePale : C.bg,
+      color: warn ? C.warn : C.blue, border: `1px solid ${warn ? "#f59e0b" : C.blueBorder}`,
+      borderRadius: 6, padding: "1px 8px", fontSize: 11, fontWeight: 700, letterSpacing: "0.05em", textTransform: "uppercase"
+    }}>{text}</span>
+  );
+}
+
+// Placeholder for a section of a live stock that failed to load
+function MissingSection({ section, error }) {
+  return (
+    <div style={{ padding: "18px 20px", border: `1.5px dashed #f59e0b`, borderRadius: 10, background: C.warnBg, color: C.warn, fontSize: 13 }}>
+      <strong>{tr("missing.title", { section: STOCK_SECTIONS[section] })}</strong>
+      {error && <> — {sectionErrorText(error)}</>}
+      <div style={{ fontSize: 11, marginTop: 4, color: C.textMid }}>{tr("missing.note")}</div>
+    </div>
+  );
+}
+
+function ScoreRing({ score }) {
+  const r = 42, circ = 2 * Math.PI * r;
+  const dash = ((score ?? 0) / 100) * circ;
+  const clr = score == null ? C.textLight : score >= 70 ? C.good : score >= 50 ? C.warn : C.bad;
+  const label = score == null ? tr("common.noData") : scoreBandLabel(scoreBand(score));
+  return (
+    <svg width="110" height="110" viewBox="0 0 110 110" role="img"
+      aria-label={score == null ? tr("score.ringEmpty") : tr("score.ring", { score, band: label })}>
+      <circle cx="55" cy="55" r={r} fill="none" stroke={C.blueBorder} strokeWidth="10" />
+      <circle cx="55" cy="55" r={r} fill="none" stroke={clr} strokeWidth="10"
+        strokeDasharray={`${dash} ${circ - dash}`} strokeDashoffset={circ / 4}
+        strokeLinecap="round" style={{ filter: `drop-shadow(0 0 5px ${clr}88)` }} />
+      <text x="55" y="52" textAnchor="middle" fill={C.blue} fontSize="20" fontWeight="800">{score ?? "—"}</text>
       <text x="55" y="67" textAnchor="middle" fill={clr} fontSize="10" fontWeight="700">{label}</text>
     </svg>
   );
 }
 
-function Card({ children, style = {} }) {
+function Card({ children, style = {} }) {
+  return (
+    <div style={{ background: C.white, border: `1.5px solid ${C.blueBorder}`, borderRadius: 14, boxShadow: "0 2px 10px rgba(0,53,128,0.07)", ...style }}>
+      {children}
+    </div>
+  );
+}
+
+function SectionTitle({ children }) {
+  return (
+    <div style={{ fontSize: 11, fontWeight: 800, letterSpacing: "0.1em", textTransform: "uppercase", color: C.blue, marginBottom: 16 }}>
+      {children}
+    </div>
+  );
+}
+
+// Header stock search as an ARIA 1.2 combobox: arrows move the
+// highlighted option, Enter picks it, Escape closes the list (or
+// clears the query when already closed). A live region reads out
+// loading and result counts.
+function SearchCombobox({ inputRef, query, suggestions, loading, error, onQueryChange, onSelect }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const listId = "search-listbox";
+  const optionId = i => `search-option-${i}`;
+  const searched = query.trim() !== "" && !loading;
+  const expanded = open && (loading || searched);
+
+  // A new result list starts without a highlight
+  useEffect(() => { setActive(-1); }, [suggestions]);
+
+  function pick(ticker) {
+    setOpen(false);
+    onSelect(ticker);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!suggestions.length) return;
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // Wraps around through -1, i.e. back to the typed text
+      setActive(i => {
+        const next = i + step;
+        return next < -1 ? suggestions.length - 1 : next >= suggestions.length ? -1 : next;
+      });
+    } else if (e.key === "Enter") {
+      const choice = suggestions[active] ?? (suggestions.length === 1 ? suggestions[0] : null);
+      if (expanded && choice) { e.preventDefault(); pick(choice.ticker); }
+    } else if (e.key === "Escape") {
+      if (expanded) setOpen(false);
+      else onQueryChange("");
+    }
+  }
+
+  const status = loading ? tr("search.loading")
+    : !searched ? ""
+    : suggestions.length ? tr("search.resultCount", { n: suggestions.length })
+    : tr("search.noResults");
+
+  return (
+    <div style={{ position: "relative", width: "100%", maxWidth: 380 }}>
+      <span aria-hidden="true" style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", color: C.textLight, fontSize: 14 }}>🔍</span>
+      <input
+        ref={inputRef} value={query}
+        role="combobox" aria-label={tr("search.label")} aria-autocomplete="list"
+        aria-expanded={expanded} aria-controls={listId}
+        aria-activedescendant={expanded && active >= 0 ? optionId(active) : undefined}
+        aria-keyshortcuts="/"
+        onChange={e => { setOpen(true); onQueryChange(e.target.value); }}
+        onKeyDown={onKeyDown}
+        placeholder={tr("search.placeholder")}
+        style={{
+          width: "100%", boxSizing: "border-box",
+          background: C.bluePale, border: `1.5px solid ${C.blueBorder}`,
+          borderRadius: 10, padding: "10px 16px 10px 36px",
+          fontSize: 13, color: C.text, outline: "none",
+        }}
+        onFocus={e => { e.target.style.borderColor = C.blue; setOpen(true); }}
+        onBlur={e => { e.target.style.borderColor = C.blueBorder; setOpen(false); }}
+      />
+      <div role="status" aria-live="polite" style={SR_ONLY}>{status}</div>
+      {expanded && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 4px)", left: 0, right: 0, zIndex: 50,
+          background: C.white, border: `1.5px solid ${C.blueBorder}`,
+          borderRadius: 12, overflow: "hidden", boxShadow: "0 8px 28px rgba(0,53,128,0.14)"
+        }}>
+          {loading ? (
+            <div style={{ padding: "16px", display: "flex", alignItems: "center", gap: 10, color: C.textMid }}>
+              <div style={{ width: 16, height: 16, border: `2px solid ${C.blueBorder}`, borderTopColor: C.blue, borderRadius: "50%", animation: "spin 0.6s linear infinite" }} />
+              <span style={{ fontSize: 12 }}>{tr("search.searching")}</span>
+            </div>
+          ) : (<>
+            {error && (
+              <div style={{ padding: "8px 16px", fontSize: 11, color: C.bad, background: "#fee2e2" }}>
+                {tr("search.failed", { reason: API_ERROR_KINDS[error.kind] ?? tr("search.failedGeneric") })}
+              </div>
+            )}
+            {!suggestions.length && (
+              <div style={{ padding: "12px 16px", fontSize: 12, color: C.textLight }}>{tr("search.noMatches", { query: query.trim() })}</div>
+            )}
+            <ul role="listbox" id={listId} aria-label={tr("search.results")} style={{ listStyle: "none", margin: 0, padding: 0 }}>
+              {suggestions.map((s, i) => (
+                <li key={s.ticker} id={optionId(i)} role="option" aria-selected={i === active}
+                  // Keep focus in the input so the click lands before blur closes the list
+                  onMouseDown={e => e.preventDefault()}
+                  onClick={() => pick(s.ticker)}
+                  onMouseEnter={() => setActive(i)}
+                  style={{
+                    padding: "10px 16px", display: "flex", alignItems: "center", gap: 10, cursor: "pointer",
+                    borderBottom: `1px solid ${C.bluePale}`, background: i === active ? C.bluePale : "none",
+                  }}
+                >
+                  <span aria-hidden="true" style={{ fontSize: 20 }}>{s.logo}</span>
+                  <div>
+                    <div style={{ fontSize: 13, fontWeight: 700, color: C.text }}>{s.name}</div>
+                    <div style={{ fontSize: 11, color: C.textLight }}>{s.ticker} · {sectorName(s.sector)}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SettingsMenu({ open, onToggle, settings, onChange, activeProvider, universeStatus }) {
+  const [cacheCleared, setCacheCleared] = useState(false);
+  const universe = settings.universe ?? DEFAULT_UNIVERSE;
+  const [universeDraft, setUniverseDraft] = useState(universe.join(", "));
+
+  function saveUniverse() {
+    const tickers = normalizeTickers(universeDraft.split(/[\s,;]+/).filter(Boolean));
+    onChange({ universe: tickers.length ? tickers : null });
+    setUniverseDraft((tickers.length ? tickers : DEFAULT_UNIVERSE).join(", "));
+  }
+
+  function resetUniverse() {
+    onChange({ universe: null });
+    setUniverseDraft(DEFAULT_UNIVERSE.join(", "));
+  }
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={onToggle} title={tr("settings.title")}
+        style={{ padding: "8px 12px", borderRadius: 10, fontSize: 13, fontWeight: 700, cursor: "pointer", background: open ? C.blue : C.bluePale, color: open ? C.white : C.blue, border: `1.5px solid ${C.blueBorder}` }}>
+        ⚙️ {tr("settings.title")}
+      </button>
+      {open && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 6px)", right: 0, zIndex: 60, width: 300,
+          background: C.white, border: `1.5px solid ${C.blueBorder}`, borderRadius: 12,
+          boxShadow: "0 8px 28px rgba(0,53,128,0.14)", padding: 16,
+        }}>
+          <SectionTitle>{tr("settings.dataSource")}</SectionTitle>
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {PROVIDERS.map(p => {
+              const available = p.isAvailable();
+              return (
+                <label key={p.id} style={{ display: "flex", gap: 8, alignItems: "flex-start", fontSize: 13, cursor: available ? "pointer" : "default", opacity: available ? 1 : 0.5 }}>
+                  <input type="radio" name="provider" disabled={!available}
+                    checked={activeProvider.id === p.id}
+                    onChange={() => onChange({ provider: p.id })} />
+                  <span>
+                    <span style={{ fontWeight: 700, color: C.blue }}>{p.label}</span>
+                    {p.live && <span style={{ fontSize: 10, color: C.good, fontWeight: 700 }}> ● live</span>}
+                    {!available && p.requirement && <div style={{ fontSize: 11, color: C.textLight }}>{p.requirement}</div>}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+          <div style={{ marginTop: 16 }}>
+            <SectionTitle>{tr("settings.universe")}</SectionTitle>
+          </div>
+          <div style={{ fontSize: 11, color: C.textLight, marginBottom: 6 }}>
+            {tr("settings.universeHint", { ready: universeStatus.ready, total: universe.length })}
+          </div>
+          <textarea value={universeDraft} onChange={e => setUniverseDraft(e.target.value)} rows={4}
+            style={{ width: "100%", boxSizing: "border-box", fontSize: 12, fontFamily: "inherit", padding: 8, borderRadius: 8, border: `1.5px solid ${C.blueBorder}`, color: C.text, resize: "vertical" }} />
+          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+            <button onClick={saveUniverse}
+              style={{ flex: 1, padding: "6px 10px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.blue, color: C.white, border: "none" }}>
+              {tr("common.save")}
+            </button>
+            <button onClick={resetUniverse} disabled={settings.universe == null}
+              style={{ flex: 1, padding: "6px 10px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}`, opacity: settings.universe == null ? 0.5 : 1 }}>
+              {tr("settings.resetUniverse")}
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 14, marginTop: 10, fontSize: 13 }}>
+            {Object.entries(BENCHMARK_STATS).map(([key, label]) => (
+              <label key={key} style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                <input type="radio" name="benchmarkStat" checked={settings.benchmarkStat === key}
+                  onChange={() => onChange({ benchmarkStat: key })} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <button onClick={() => { clearResponseCache(); setCacheCleared(true); }}
+            style={{ marginTop: 14, width: "100%", padding: "7px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` }}>
+            {cacheCleared ? tr("settings.cacheCleared") : tr("settings.clearCache")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const CONFIDENCE_COLORS = {
+  high:   { fg: C.good, bg: C.goodBg },
+  medium: { fg: C.warn, bg: C.warnBg },
+  low:    { fg: C.bad,  bg: C.badBg },
+};
+
+// How much of the scoring profile was backed by actual data
+function ConfidenceBadge({ confidence }) {
+  const clr = CONFIDENCE_COLORS[confidence.level];
+  const title = confidence.missing.length
+    ? tr("confidence.missing", { metrics: confidence.missing.join(", ") })
+    : tr("confidence.complete");
+  return (
+    <span title={title} style={{
+      background: clr.bg, color: clr.fg, border: `1px solid ${clr.fg}55`,
+      borderRadius: 6, padding: "2px 8px", fontSize: 11, fontWeight: 700, whiteSpace: "nowrap",
+    }}>
+      {tr("confidence.badge", { level: confidence.label, coverage: formatPercent(confidence.coverage * 100, 0) })}
+    </span>
+  );
+}
+
+// Per-metric table under a score card
+function ScoreBreakdown({ entries }) {
+  const cell = { padding: "4px 0", textAlign: "right", fontVariantNumeric: "tabular-nums" };
+  return (
+    <div style={{ marginTop: 12, borderTop: `1px solid ${C.blueBorder}`, paddingTop: 10 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+        <thead>
+          <tr style={{ color: C.textLight }}>
+            <th style={{ ...cell, textAlign: "left", fontWeight: 700 }}>{tr("breakdown.metric")}</th>
+            <th style={{ ...cell, fontWeight: 700 }}>{tr("breakdown.value")}</th>
+            <th style={{ ...cell, fontWeight: 700 }} title={tr("breakdown.scoreHint")}>{tr("breakdown.score")}</th>
+            <th style={{ ...cell, fontWeight: 700 }} title={tr("breakdown.weightHint")}>{tr("breakdown.weight")}</th>
+            <th style={{ ...cell, fontWeight: 700 }} title={tr("breakdown.contributionHint")}>{tr("breakdown.contribution")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(e => (
+            <Fragment key={e.key}>
+              <tr style={{ borderTop: `1px solid ${C.bluePale}` }}>
+                <td style={{ ...cell, textAlign: "left", color: C.textMid, fontWeight: 700 }}
+                  title={tr("breakdown.curve", { worst: formatValue(e.curve.worst, e.fmt), best: formatValue(e.curve.best, e.fmt) })
+                    + (e.benchmark != null ? tr("breakdown.benchmark", { value: formatValue(e.benchmark, e.fmt) }) : "")}>
+                  {e.label}
+                </td>
+                <td style={{ ...cell, color: C.text }}>{formatValue(e.raw, e.fmt)}</td>
+                <td style={{ ...cell, fontWeight: 800, color: e.score == null ? C.textLight : e.score >= 70 ? C.good : e.score >= 45 ? C.warn : C.bad }}>{e.score == null ? "—" : Math.round(e.score)}</td>
+                <td style={{ ...cell, color: C.textLight }}>{formatPercent(e.weight * 100, 0)}</td>
+                <td style={{ ...cell, fontWeight: 700, color: C.blue }}>{formatNumber(e.contribution)}</td>
+              </tr>
+              {e.note && (
+                <tr>
+                  <td colSpan={5} style={{ padding: "0 0 4px", fontSize: 10, color: e.raw == null ? C.bad : C.warn }}>↳ {e.note}</td>
+                </tr>
+              )}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const PRICE_RANGES = withLabels("priceRanges", [
+  { id: "1M",  days: 31 },
+  { id: "6M",  days: 183 },
+  { id: "1Y",  days: 366 },
+  { id: "5Y",  days: 5 * 366 },
+  { id: "MAX", days: null },
+], { key: "id" });
+
+// Dividend for fiscal year Y is paid after the AGM the next spring;
+// without payment dates the marker goes on the first trading day of April.
+function dividendMarkers(stock) {
+  return Object.entries(stock.years)
+    .filter(([, d]) => d.dps != null && d.dps > 0)
+    .map(([year, d]) => ({ date: `${Number(year) + 1}-04-01`, dps: d.dps, year: Number(year) }));
+}
+
+// Closing-price line chart for the stock hero
+function PriceChart({ stock, provider }) {
+  const [prices, setPrices] = useState(null);
+  const [error, setError] = useState(null);
+  const [range, setRange] = useState("1Y");
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setPrices(null);
+    setError(null);
+    provider.prices(stock.ticker, { signal: controller.signal })
+      .then(res => { if (!controller.signal.aborted) setPrices(res.data); })
+      .catch(err => { if (!controller.signal.aborted) setError(err.message); });
+    return () => controller.abort();
+  }, [stock.ticker, provider.id]);
+
+  const W = 640, H = 170, PAD = { top: 12, right: 8, bottom: 20, left: 8 };
+
+  let body;
+  if (error) {
+    body = <div style={{ padding: "30px 0", textAlign: "center", fontSize: 12, color: C.textLight }}>{tr("price.unavailableBecause", { error })}</div>;
+  } else if (!prices) {
+    body = <div style={{ padding: "30px 0", textAlign: "center", fontSize: 12, color: C.textLight }}>{tr("price.loading")}</div>;
+  } else if (prices.length < 2) {
+    body = <div style={{ padding: "30px 0", textAlign: "center", fontSize: 12, color: C.textLight }}>{tr("price.unavailable")}</div>;
+  } else {
+    const days = PRICE_RANGES.find(r => r.id === range).days;
+    const lastDate = prices[prices.length - 1].date;
+    const cutoff = days ? new Date(Date.parse(lastDate) - days * DAY_MS).toISOString().slice(0, 10) : "";
+    const inRange = prices.filter(p => p.date >= cutoff);
+    // Keep the SVG path light on long ranges
+    const step = Math.max(1, Math.ceil(inRange.length / 400));
+    const points = inRange.filter((_, i) => i % step === 0 || i === inRange.length - 1);
+    const first = points[0].close, last = points[points.length - 1].close;
+    const change = ((last - first) / first) * 100;
+    const min = Math.min(...points.map(p => p.close));
+    const max = Math.max(...points.map(p => p.close));
+    const x = i => PAD.left + (i / (points.length - 1)) * (W - PAD.left - PAD.right);
+    const y = v => PAD.top + (max === min ? 0.5 : (max - v) / (max - min)) * (H - PAD.top - PAD.bottom);
+    const line = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.close).toFixed(1)}`).join("");
+    const area = `${line}L${x(points.length - 1).toFixed(1)},${H - PAD.bottom}L${x(0).toFixed(1)},${H - PAD.bottom}Z`;
+    const clr = change >= 0 ? C.good : C.bad;
+    const markers = dividendMarkers(stock)
+      .map(m => ({ ...m, index: points.findIndex(p => p.date >= m.date) }))
+      .filter(m => m.index >= 0 && points[0].date <= m.date);
+    const hovered = hover != null ? points[hover] : null;
+
+    function onMove(e) {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const rel = ((e.clientX - rect.left) / rect.width) * W;
+      const i = Math.round(((rel - PAD.left) / (W - PAD.left - PAD.right)) * (points.length - 1));
+      setHover(Math.max(0, Math.min(points.length - 1, i)));
+    }
+
+    body = (
+      <>
+        <div style={{ display: "flex", alignItems: "baseline", gap: 10, fontSize: 12, marginBottom: 4 }}>
+          <span style={{ fontWeight: 800, color: clr }}>{change >= 0 ? "▲" : "▼"} {formatPercent(change, 1, { signed: true })}</span>
+          <span style={{ color: C.textLight }}>{formatDate(points[0].date)} – {formatDate(points[points.length - 1].date)}</span>
+          {!provider.live && <span style={{ color: C.warn, fontWeight: 700 }}>· {tr("price.generated")}</span>}
+        </div>
+        <div style={{ position: "relative" }}>
+          <svg viewBox={`0 0 ${W} ${H}`} width="100%" height={H} preserveAspectRatio="none"
+            onMouseMove={onMove} onMouseLeave={() => setHover(null)} style={{ display: "block", cursor: "crosshair" }}>
+            <defs>
+              <linearGradient id="priceFill" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0%" stopColor={clr} stopOpacity="0.22" />
+                <stop offset="100%" stopColor={clr} stopOpacity="0" />
+              </linearGradient>
+            </defs>
+            <path d={area} fill="url(#priceFill)" />
+            <path d={line} fill="none" stroke={clr} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {markers.map(m => (
+              <g key={m.year}>
+                <line x1={x(m.index)} x2={x(m.index)} y1={PAD.top} y2={H - PAD.bottom} stroke={C.blueLight} strokeDasharray="3 3" vectorEffect="non-scaling-stroke" />
+                <circle cx={x(m.index)} cy={H - PAD.bottom} r="4" fill={C.blue}>
+                  <title>{tr("price.dividendMarker", { year: m.year, dps: formatEur(m.dps) })}</title>
+                </circle>
+              </g>
+            ))}
+            {hovered && (
+              <>
+                <line x1={x(hover)} x2={x(hover)} y1={PAD.top} y2={H - PAD.bottom} stroke={C.textLight} vectorEffect="non-scaling-stroke" />
+                <circle cx={x(hover)} cy={y(hovered.close)} r="4" fill={clr} stroke={C.white} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+              </>
+            )}
+            <text x={PAD.left} y={H - 4} fontSize="10" fill={C.textLight}>min {formatEur(min)}</text>
+            <text x={W - PAD.right} y={H - 4} fontSize="10" fill={C.textLight} textAnchor="end">max {formatEur(max)}</text>
+          </svg>
+          {hovered && (
+            <div style={{
+              position: "absolute", top: 0, left: `${(x(hover) / W) * 100}%`, transform: `translateX(${hover > points.length / 2 ? "-105%" : "5%"})`,
+              background: C.white, border: `1px solid ${C.blueBorder}`, borderRadius: 8, padding: "4px 8px",
+              fontSize: 11, pointerEvents: "none", boxShadow: "0 2px 8px rgba(0,53,128,0.12)", whiteSpace: "nowrap",
+            }}>
+              <div style={{ color: C.textLight }}>{formatDate(hovered.date)}</div>
+              <div style={{ fontWeight: 800, color: C.blue }}>{formatEur(hovered.close)}</div>
+              {markers.filter(m => m.index === hover).map(m => (
+                <div key={m.year} style={{ color: C.blueMid, fontWeight: 700 }}>{tr("price.dividendTooltip", { year: m.year, dps: formatEur(m.dps) })}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: 18, borderTop: `1px solid ${C.bluePale}`, paddingTop: 14 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8, flexWrap: "wrap", gap: 8 }}>
+        <span style={{ fontSize: 11, fontWeight: 800, color: C.blue, textTransform: "uppercase", letterSpacing: "0.08em" }}>{tr("price.title")}</span>
+        <div style={{ display: "flex", gap: 2, background: C.bluePale, borderRadius: 8, padding: 2 }}>
+          {PRICE_RANGES.map(r => (
+            <button key={r.id} onClick={() => { setRange(r.id); setHover(null); }}
+              style={{
+                padding: "3px 9px", borderRadius: 6, fontSize: 11, fontWeight: 700, cursor: "pointer", border: "none",
+                ...(range === r.id ? { background: C.blue, color: C.white } : { background: "transparent", color: C.textMid }),
+              }}>
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {body}
+      <div style={{ fontSize: 10, color: C.textLight, marginTop: 4 }}>● {tr("price.dividendLegend")}</div>
+    </div>
+  );
+}
+
+function Sparkline({ values, color, width = 72, height = 22 }) {
+  const pts = values.map((v, i) => ({ v, i })).filter(p => p.v != null && Number.isFinite(p.v));
+  if (pts.length < 2) return <span style={{ display: "inline-block", width, color: C.textLight, fontSize: 11, textAlign: "center" }}>—</span>;
+  const min = Math.min(...pts.map(p => p.v)), max = Math.max(...pts.map(p => p.v));
+  const x = i => 2 + (i / (values.length - 1)) * (width - 4);
+  const y = v => 2 + (max === min ? 0.5 : (max - v) / (max - min)) * (height - 4);
+  const last = pts[pts.length - 1];
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ verticalAlign: "middle" }}>
+      <polyline points={pts.map(p => `${x(p.i).toFixed(1)},${y(p.v).toFixed(1)}`).join(" ")} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+      <circle cx={x(last.i)} cy={y(last.v)} r="2.2" fill={color} />
+    </svg>
+  );
+}
+
+// Larger yearly chart of one key figure against its benchmark.
+// benchmark is a number (flat line) or { [year]: value }.
+function MetricHistoryChart({ label, points, benchmark, benchmarkLabel = tr("history.sectorAverage"), fmt }) {
+  const W = 640, H = 200, PAD = { top: 20, right: 90, bottom: 26, left: 16 };
+  const bmAt = year => (benchmark != null && typeof benchmark === "object" ? benchmark[year] ?? null : benchmark);
+  const known = points.filter(p => p.value != null && Number.isFinite(p.value));
+  const all = [...known.map(p => p.value), ...points.map(p => bmAt(p.year)).filter(v => v != null)];
+  if (known.length === 0) return <div style={{ padding: 16, fontSize: 12, color: C.textLight }}>{tr("history.noValues")}</div>;
+  let min = Math.min(...all), max = Math.max(...all);
+  if (min === max) { min -= 1; max += 1; }
+  const x = i => PAD.left + (points.length === 1 ? 0.5 : i / (points.length - 1)) * (W - PAD.left - PAD.right);
+  const y = v => PAD.top + ((max - v) / (max - min)) * (H - PAD.top - PAD.bottom);
+  const idx = year => points.findIndex(p => p.year === year);
+  const bmPoints = points.map((p, i) => ({ i, v: bmAt(p.year) })).filter(p => p.v != null);
   return (
-    <div style={{ background: C.white, border: `1.5px solid ${C.blueBorder}`, borderRadius: 14, boxShadow: "0 2px 10px rgba(0,53,128,0.07)", ...style }}>
-      {children}
+    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ display: "block", maxWidth: W }}>
+      <text x={PAD.left} y={12} fontSize="11" fontWeight="800" fill={C.blue}>{label}</text>
+      {bmPoints.length > 0 && (
+        <>
+          <polyline points={bmPoints.map(p => `${x(p.i)},${y(p.v)}`).join(" ")} fill="none" stroke={C.blueLight} strokeWidth="1.5" strokeDasharray="5 4" />
+          <text x={x(bmPoints[bmPoints.length - 1].i) + 8} y={y(bmPoints[bmPoints.length - 1].v) + 4} fontSize="10" fill={C.blueLight}>
+            {benchmarkLabel} {formatValue(bmPoints[bmPoints.length - 1].v, fmt)}
+          </text>
+        </>
+      )}
+      <polyline points={known.map(p => `${x(idx(p.year))},${y(p.value)}`).join(" ")} fill="none" stroke={C.blue} strokeWidth="2.5" strokeLinejoin="round" />
+      {known.map(p => (
+        <g key={p.year}>
+          <circle cx={x(idx(p.year))} cy={y(p.value)} r="4" fill={C.white} stroke={C.blue} strokeWidth="2" />
+          <text x={x(idx(p.year))} y={y(p.value) - 8} fontSize="10" fontWeight="700" fill={C.text} textAnchor="middle">{formatValue(p.value, fmt)}</text>
+        </g>
+      ))}
+      {points.map((p, i) => (
+        <text key={p.year} x={x(i)} y={H - 8} fontSize="10" fill={C.textLight} textAnchor="middle">{p.year}</text>
+      ))}
+    </svg>
+  );
+}
+
+const COMPARE_COLORS = ["#003580", "#d97706", "#15803d", "#9333ea", "#b91c1c"];
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 5;
+
+// Four score categories as a radar; series = [{ label, color, scores }]
+function RadarChart({ series, size = 260 }) {
+  const c = size / 2, R = size / 2 - 38;
+  const axes = SCORE_CATEGORIES.map((cat, i) => {
+    const angle = -Math.PI / 2 + (i / SCORE_CATEGORIES.length) * 2 * Math.PI;
+    return { ...cat, dx: Math.cos(angle), dy: Math.sin(angle) };
+  });
+  const pt = (axis, v) => `${(c + axis.dx * R * (v / 100)).toFixed(1)},${(c + axis.dy * R * (v / 100)).toFixed(1)}`;
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} width={size} height={size} style={{ maxWidth: "100%" }}>
+      {[25, 50, 75, 100].map(level => (
+        <polygon key={level} points={axes.map(a => pt(a, level)).join(" ")} fill="none" stroke={C.blueBorder} strokeWidth="1" />
+      ))}
+      {axes.map(a => (
+        <g key={a.key}>
+          <line x1={c} y1={c} x2={c + a.dx * R} y2={c + a.dy * R} stroke={C.blueBorder} />
+          <text x={c + a.dx * (R + 18)} y={c + a.dy * (R + 18) + 4} fontSize="10" fontWeight="700" fill={C.textMid} textAnchor="middle">{a.label}</text>
+        </g>
+      ))}
+      {series.map(s => (
+        <polygon key={s.label} points={axes.map(a => pt(a, s.scores[a.key] ?? 0)).join(" ")}
+          fill={s.color} fillOpacity="0.12" stroke={s.color} strokeWidth="2" />
+      ))}
+    </svg>
+  );
+}
+
+// Side-by-side comparison of 2–5 stocks: key figures of the latest
+// year, the score categories and a radar, best/worst marked per row.
+function StockComparison({ tickers, entries, candidates, onAdd, onRemove, profile, scoreOptions, period }) {
+  const [input, setInput] = useState("");
+  const columns = tickers.map((t, i) => {
+    const entry = entries[t] ?? { status: "loading" };
+    const stock = entry.status === "ready" ? entry.stock : null;
+    return {
+      ticker: t, entry, stock, color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+      data: stock ? latestRowOf(stock) : null,
+      scores: stock ? calculateScore(stock, profile, scoreOptions) : null,
+    };
+  });
+  const ready = columns.filter(c => c.stock);
+
+  function add() {
+    const t = toHelsinkiTicker(input);
+    if (t && t !== ".HE") onAdd(t);
+    setInput("");
+  }
+
+  // best / worst column indexes for a row of values
+  function extremes(values, lowerIsBetter) {
+    const known = values.map((v, i) => ({ v, i })).filter(x => x.v != null && Number.isFinite(x.v));
+    if (known.length < 2) return {};
+    const sorted = [...known].sort((a, b) => (lowerIsBetter ? a.v - b.v : b.v - a.v));
+    if (sorted[0].v === sorted[sorted.length - 1].v) return {};
+    return { best: sorted[0].i, worst: sorted[sorted.length - 1].i };
+  }
+
+  function renderRow(label, values, render, lowerIsBetter, key) {
+    const { best, worst } = extremes(values, lowerIsBetter);
+    return (
+      <tr key={key} style={{ borderBottom: `1px solid ${C.blueBorder}40` }}>
+        <td style={{ padding: "7px 12px", color: C.textMid, fontWeight: 600, fontSize: 12, whiteSpace: "nowrap" }}>{label}</td>
+        {values.map((v, i) => (
+          <td key={columns[i].ticker} style={{
+            padding: "7px 12px", textAlign: "right", fontVariantNumeric: "tabular-nums",
+            fontWeight: i === best || i === worst ? 800 : 400,
+            color: i === best ? C.good : i === worst ? C.bad : C.text,
+            background: i === best ? C.goodBg : i === worst ? C.badBg : "transparent",
+          }}>
+            {columns[i].stock ? render(v) : ""}
+          </td>
+        ))}
+      </tr>
+    );
+  }
+
+  const rows = keyFigureRows();
+
+  return (
+    <Card style={{ padding: 20 }}>
+      <SectionTitle>⚖️ {tr("compare.title", { n: tickers.length, max: COMPARE_MAX })}</SectionTitle>
+      <AnnualScoresNote period={period} />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 16 }}>
+        {columns.map(c => (
+          <span key={c.ticker} style={{ display: "inline-flex", alignItems: "center", gap: 6, padding: "4px 6px 4px 10px", borderRadius: 99, background: C.bluePale, border: `1.5px solid ${c.color}`, fontSize: 12, fontWeight: 700, color: c.color }}>
+            {c.stock?.name ?? c.ticker}
+            {c.entry.status === "loading" && <span style={{ color: C.textLight }}>…</span>}
+            {c.entry.status === "error" && <span title={c.entry.error} style={{ color: C.bad }}>⚠️</span>}
+            <button onClick={() => onRemove(c.ticker)} title={tr("compare.remove")}
+              style={{ background: "none", border: "none", cursor: "pointer", color: C.textLight, fontSize: 13, padding: "0 2px" }}>×</button>
+          </span>
+        ))}
+        {tickers.length < COMPARE_MAX && (
+          <span style={{ display: "inline-flex", gap: 4 }}>
+            <input list="compare-candidates" value={input} onChange={e => setInput(e.target.value)}
+              onKeyDown={e => { if (e.key === "Enter") add(); }}
+              placeholder={tr("compare.addPlaceholder")}
+              style={{ padding: "5px 10px", fontSize: 12, borderRadius: 8, border: `1.5px solid ${C.blueBorder}`, width: 180 }} />
+            <datalist id="compare-candidates">
+              {candidates.filter(t => !tickers.includes(t)).map(t => <option key={t} value={t} />)}
+            </datalist>
+            <button onClick={add} disabled={!input.trim()}
+              style={{ padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.blue, color: C.white, border: "none", opacity: input.trim() ? 1 : 0.5 }}>
+              {tr("common.add")}
+            </button>
+          </span>
+        )}
+      </div>
+
+      {ready.length < COMPARE_MIN ? (
+        <div style={{ textAlign: "center", padding: "28px 0", color: C.textMid, fontSize: 13 }}>
+          {tr("compare.pickMore", { n: COMPARE_MIN })}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 20, alignItems: "flex-start" }}>
+          <div style={{ overflowX: "auto", flex: "2 1 420px" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr style={{ background: C.blue }}>
+                  <th style={{ padding: "9px 12px", textAlign: "left", color: C.white, fontSize: 11, fontWeight: 800, letterSpacing: "0.06em", textTransform: "uppercase" }}>{tr("keyFigures.column")}</th>
+                  {columns.map(c => (
+                    <th key={c.ticker} style={{ padding: "9px 12px", textAlign: "right", color: C.white, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap" }}>
+                      <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 99, background: c.color, border: `1.5px solid ${C.white}`, marginRight: 5 }} />
+                      {c.stock?.name.split(" ")[0] ?? c.ticker}
+                      {c.stock && <div style={{ fontWeight: 600, opacity: 0.75 }}>{latestPeriodOf(c.stock)}</div>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {SCORE_CATEGORIES.map(cat =>
+                  renderRow(`${cat.icon} ${cat.label}`, columns.map(c => c.scores?.[cat.key] ?? null), v => v ?? "—", false, `score-${cat.key}`)
+                )}
+                {renderRow(tr("screener.totalScore"), columns.map(c => c.scores?.total ?? null), v => v ?? "—", false, "score-total")}
+                {rows.filter(row => columns.some(c => c.data?.[row.key] != null)).map(row =>
+                  renderRow(row.label, columns.map(c => c.data?.[row.key] ?? null), v => formatValue(v, row.fmt), row.lo, row.key)
+                )}
+              </tbody>
+            </table>
+            <div style={{ display: "flex", gap: 16, fontSize: 11, marginTop: 8 }}>
+              <span style={{ color: C.good, fontWeight: 700 }}>● {tr("compare.best")}</span>
+              <span style={{ color: C.bad, fontWeight: 700 }}>● {tr("compare.worst")}</span>
+            </div>
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", alignItems: "center", flex: "1 1 260px" }}>
+            <RadarChart series={ready.map(c => ({ label: c.ticker, color: c.color, scores: c.scores }))} />
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 10, justifyContent: "center", fontSize: 11 }}>
+              {ready.map(c => <span key={c.ticker} style={{ color: c.color, fontWeight: 700 }}>● {c.stock.name.split(" ")[0]}</span>)}
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Value per share over a grid of two assumptions, base case in the
+// centre. Cells are coloured against the price when there is one.
+function SensitivityTable({ grid, rowLabel, colLabel, price }) {
+  const td = { padding: "6px 8px", textAlign: "right", fontVariantNumeric: "tabular-nums", whiteSpace: "nowrap" };
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr>
+            <th style={{ ...td, textAlign: "left", fontSize: 10, color: C.textLight }}>{rowLabel} ↓ / {colLabel} →</th>
+            {grid.cols.map(c => <th key={c} style={{ ...td, color: C.blue }}>{formatValue(c, "percent")}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.rows.map((r, i) => (
+            <tr key={r} style={{ borderTop: `1px solid ${C.blueBorder}40` }}>
+              <td style={{ ...td, textAlign: "left", fontWeight: 700, color: C.blue }}>{formatValue(r, "percent")}</td>
+              {grid.cells[i].map((v, j) => {
+                const center = i === 2 && j === 2;
+                return (
+                  <td key={j} style={{ ...td, fontWeight: center ? 900 : 600, background: center ? C.bluePale : undefined,
+                    color: v == null ? C.textLight : price == null ? C.text : v >= price ? C.good : C.bad }}>
+                    {formatValue(v, "eps")}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
-function SectionTitle({ children }) {
+// DCF and dividend discount model for one stock. Assumptions start
+// from the stock's own history and defaults; edits are kept until the
+// stock changes (the parent keys this panel by ticker).
+function ValuationPanel({ stock, statements }) {
+  const [overrides, setOverrides] = useState({});
+  const inputs = valuationInputs(stock, statements);
+  const a = { ...defaultAssumptions(inputs), ...overrides };
+  const dcf = dcfValue(inputs, a);
+  const ddm = ddmValue(inputs, a);
+  const price = stock.currentPrice;
+  const set = key => v => setOverrides(p => ({ ...p, [key]: v }));
+  const marginColor = m => m == null ? C.textLight : m >= 20 ? C.good : m >= 0 ? C.warn : C.bad;
+
+  const summary = [
+    { title: tr("valuation.price"), value: price, note: stock.name },
+    { title: tr("valuation.dcfValue"), value: dcf?.value, margin: marginOfSafety(dcf?.value, price), note: tr("valuation.dcfNote") },
+    { title: tr("valuation.ddmValue"), value: ddm?.value, margin: marginOfSafety(ddm?.value, price), note: tr("valuation.ddmNote") },
+  ];
+
+  const assumption = (label, key) => (
+    <label key={key} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, fontSize: 12, color: C.textMid, fontWeight: 600 }}>
+      {label}
+      <span><NumberInput value={a[key]} width={64} step={0.5} onChange={set(key)} /> %</span>
+    </label>
+  );
+  const detail = (label, value, bold) => (
+    <div key={label} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, padding: "3px 0", fontWeight: bold ? 800 : 500, color: bold ? C.blue : C.text }}>
+      <span>{label}</span><span style={{ fontVariantNumeric: "tabular-nums" }}>{value}</span>
+    </div>
+  );
+  const undefinedNote = text => <div style={{ fontSize: 12, color: C.warn, fontWeight: 600, padding: "6px 0" }}>{text}</div>;
+
   return (
-    <div style={{ fontSize: 11, fontWeight: 800, letterSpacing: "0.1em", textTransform: "uppercase", color: C.blue, marginBottom: 16 }}>
-      {children}
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 12 }}>
+        {summary.map(c => (
+          <Card key={c.title} style={{ padding: "14px 16px" }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: C.textLight, textTransform: "uppercase", letterSpacing: "0.06em" }}>{c.title}</div>
+            <div style={{ fontSize: 22, fontWeight: 900, color: C.blue, marginTop: 4 }}>{formatValue(c.value, "eps")}</div>
+            <div style={{ fontSize: 11, color: C.textLight }}>
+              {"margin" in c && c.value != null
+                ? <span style={{ fontWeight: 700, color: marginColor(c.margin) }}>
+                    {c.margin >= 0
+                      ? tr("valuation.margin", { margin: formatValue(c.margin, "percent") })
+                      : tr("valuation.aboveValue", { margin: formatValue(-c.margin, "percent") })}
+                  </span>
+                : c.note}
+            </div>
+          </Card>
+        ))}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(340px, 1fr))", gap: 20 }}>
+        <Card style={{ padding: 20 }}>
+          <SectionTitle>💰 {tr("valuation.dcfTitle")}</SectionTitle>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 12 }}>
+            {assumption(tr("valuation.growth", { years: DCF_YEARS }), "growth")}
+            {assumption(tr("valuation.discountRate"), "discountRate")}
+            {assumption(tr("valuation.terminalGrowth"), "terminalGrowth")}
+          </div>
+          {detail(tr("valuation.fcfBase", { years: Math.min(FCF_BASE_YEARS, inputs.fcf.length) }), formatValue(inputs.fcfBase, "eps"))}
+          {dcf ? (
+            <>
+              {detail(tr("valuation.pvFlows"), formatValue(dcf.pvFlows, "eps"))}
+              {detail(tr("valuation.pvTerminal"), formatValue(dcf.pvTerminal, "eps"))}
+              {detail(tr("valuation.netDebt"), formatValue(dcf.netDebt, "eps"))}
+              {detail(tr("valuation.perShare"), formatValue(dcf.value, "eps"), true)}
+              <div style={{ marginTop: 12 }}>
+                <SensitivityTable grid={sensitivityGrid(dcfValue, inputs, a, "discountRate", "terminalGrowth")}
+                  rowLabel="WACC" colLabel={tr("valuation.terminalGrowthAxis")} price={price} />
+              </div>
+            </>
+          ) : undefinedNote(!(inputs.fcfBase > 0) ? tr("valuation.dcfNoFcf") : tr("valuation.dcfRateTooLow"))}
+        </Card>
+
+        <Card style={{ padding: 20 }}>
+          <SectionTitle>💶 {tr("valuation.ddmTitle")}</SectionTitle>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 12 }}>
+            {assumption(tr("valuation.requiredReturn"), "requiredReturn")}
+            {assumption(tr("valuation.dividendGrowth"), "dividendGrowth")}
+          </div>
+          {detail(tr("valuation.latestDividend"), formatValue(inputs.dpsBase, "eps"))}
+          {ddm ? (
+            <>
+              {detail(tr("valuation.nextDividend"), formatValue(ddm.d1, "eps"))}
+              {detail(tr("valuation.perShare"), formatValue(ddm.value, "eps"), true)}
+              <div style={{ marginTop: 12 }}>
+                <SensitivityTable grid={sensitivityGrid(ddmValue, inputs, a, "requiredReturn", "dividendGrowth")}
+                  rowLabel={tr("valuation.requiredReturn")} colLabel={tr("valuation.growthAxis")} price={price} />
+              </div>
+            </>
+          ) : undefinedNote(!(inputs.dpsBase > 0) ? tr("valuation.ddmNoDividend") : tr("valuation.ddmReturnTooLow"))}
+        </Card>
+      </div>
+
+      <Card style={{ padding: 20 }}>
+        <SectionTitle>📜 {tr("valuation.inputsTitle")}</SectionTitle>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <tbody>
+              {[
+                { label: tr("valuation.fcfPerShare"),      points: inputs.fcf },
+                { label: tr("valuation.dividendPerShare"), points: inputs.dps },
+              ].map(row => (
+                <tr key={row.label} style={{ borderBottom: `1px solid ${C.blueBorder}40` }}>
+                  <td style={{ padding: "6px 8px", fontWeight: 700, color: C.blue, whiteSpace: "nowrap" }}>{row.label}</td>
+                  {row.points.map(p => (
+                    <td key={p.year} style={{ padding: "6px 8px", textAlign: "right", whiteSpace: "nowrap", fontVariantNumeric: "tabular-nums" }}>
+                      <div style={{ fontSize: 10, color: C.textLight }}>{p.year}</div>
+                      {formatValue(p.value, "eps")}
+                    </td>
+                  ))}
+                  <td style={{ padding: "6px 8px", textAlign: "right", fontSize: 11, color: C.textMid, whiteSpace: "nowrap" }}>
+                    {formatTrend(trendOf(row.points, "cagr"), "eps")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ marginTop: 12, fontSize: 11, color: C.textLight, lineHeight: 1.6 }}>
+          {inputs.fcfSource === "cashflow" ? tr("valuation.sourceCashflow") : tr("valuation.sourceMultiples")}
+          {" "}{tr("valuation.growthNote")}
+          {stock.sector === "Rahoitus" && <> {tr("valuation.financialsNote")}</>}
+          {" "}{tr("valuation.disclaimer")}
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+// Seulonta: filter rows of the benchmark universe, sort by any column,
+// save screens and add hits to the watchlist.
+function ScreenerPanel({ rows, universeSize, screen, onScreenChange, savedScreens, onSave, onDelete, watchlist, onToggleWatchlist, onSelect, period }) {
+  const [saveName, setSaveName] = useState("");
+  const results = runScreen(rows, screen);
+  const field = key => SCREEN_FIELDS.find(f => f.key === key);
+  const columns = [...new Set([...screen.filters.map(f => f.field), "pe", "dy", "eq"])].filter(k => k !== "total");
+  const smallBtn = { padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` };
+
+  function updateFilter(i, patch) {
+    onScreenChange({ ...screen, filters: screen.filters.map((f, j) => (j === i ? { ...f, ...patch } : f)) });
+  }
+
+  function sortBy(key) {
+    const dir = screen.sort.field === key
+      ? (screen.sort.dir === "asc" ? "desc" : "asc")
+      : (field(key)?.lo ? "asc" : "desc");
+    onScreenChange({ ...screen, sort: { field: key, dir } });
+  }
+
+  function save() {
+    const name = saveName.trim();
+    if (!name) return;
+    onSave({ ...screen, id: `seul-${Date.now().toString(36)}`, name, builtIn: false });
+    setSaveName("");
+  }
+
+  const sortMark = key => (screen.sort.field === key ? (screen.sort.dir === "asc" ? " ▲" : " ▼") : "");
+  const th = { padding: "9px 12px", color: C.white, fontSize: 11, fontWeight: 800, cursor: "pointer", whiteSpace: "nowrap", userSelect: "none" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <Card style={{ padding: 20 }}>
+        <SectionTitle>🔎 {tr("tabs.seulonta")}</SectionTitle>
+        <AnnualScoresNote period={period} />
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 14 }}>
+          {[...BUILTIN_SCREENS, ...savedScreens].map(sc => {
+            const active = screen.id === sc.id;
+            return (
+              <span key={sc.id} style={{ display: "inline-flex", alignItems: "center", borderRadius: 99, border: `1.5px solid ${C.blueBorder}`, background: active ? C.blue : C.bluePale }}>
+                <button onClick={() => onScreenChange(sc)}
+                  style={{ padding: "4px 12px", fontSize: 12, fontWeight: 700, cursor: "pointer", background: "none", border: "none", color: active ? C.white : C.blue }}>
+                  {sc.name}
+                </button>
+                {!sc.builtIn && (
+                  <button onClick={() => onDelete(sc.id)} title={tr("screener.deleteSaved")}
+                    style={{ padding: "0 8px 0 0", fontSize: 13, cursor: "pointer", background: "none", border: "none", color: active ? C.white : C.textLight }}>×</button>
+                )}
+              </span>
+            );
+          })}
+          <button onClick={() => onScreenChange(EMPTY_SCREEN)}
+            style={{ ...smallBtn, borderRadius: 99, padding: "4px 12px", background: C.white }}>{tr("screener.clear")}</button>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {screen.filters.map((f, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+              <select value={f.field} onChange={e => updateFilter(i, { field: e.target.value })}
+                style={{ padding: "4px 8px", borderRadius: 6, fontSize: 12, border: `1px solid ${C.blueBorder}`, color: C.text, minWidth: 190 }}>
+                {SCREEN_FIELDS.map(sf => <option key={sf.key} value={sf.key}>{sf.label}</option>)}
+              </select>
+              <select value={f.op} onChange={e => updateFilter(i, { op: e.target.value })}
+                style={{ padding: "4px 8px", borderRadius: 6, fontSize: 12, border: `1px solid ${C.blueBorder}`, color: C.text }}>
+                {Object.entries(SCREEN_OPS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+              </select>
+              <NumberInput value={f.value} width={72} onChange={v => updateFilter(i, { value: v })} />
+              <button onClick={() => onScreenChange({ ...screen, filters: screen.filters.filter((_, j) => j !== i) })} title={tr("screener.removeFilter")}
+                style={{ background: "none", border: "none", cursor: "pointer", color: C.textLight, fontSize: 15 }}>×</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+            <button style={smallBtn} onClick={() => onScreenChange({ ...screen, filters: [...screen.filters, { field: "pe", op: "lt", value: 15 }] })}>
+              + {tr("screener.addFilter")}
+            </button>
+            <span style={{ marginLeft: "auto", display: "inline-flex", gap: 6 }}>
+              <input value={saveName} onChange={e => setSaveName(e.target.value)} onKeyDown={e => { if (e.key === "Enter") save(); }}
+                placeholder={tr("screener.namePlaceholder")}
+                style={{ padding: "5px 10px", fontSize: 12, borderRadius: 8, border: `1.5px solid ${C.blueBorder}`, width: 160 }} />
+              <button style={{ ...smallBtn, opacity: saveName.trim() ? 1 : 0.5 }} disabled={!saveName.trim()} onClick={save}>{tr("screener.save")}</button>
+            </span>
+          </div>
+        </div>
+      </Card>
+
+      <Card style={{ overflow: "hidden" }}>
+        <div style={{ padding: "12px 20px", background: C.bluePale, borderBottom: `1px solid ${C.blueBorder}`, fontSize: 12, color: C.textMid, fontWeight: 700 }}>
+          {tr("screener.matches", { n: results.length, total: rows.length })}
+          {rows.length < universeSize && <span style={{ color: C.textLight, fontWeight: 400 }}> · {tr("screener.unavailable", { n: universeSize - rows.length })}</span>}
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: C.blue }}>
+                <th style={{ ...th, textAlign: "left", cursor: "default" }}>{tr("common.stock")}</th>
+                <th style={{ ...th, textAlign: "right" }} onClick={() => sortBy("total")}>{tr("common.score")}{sortMark("total")}</th>
+                {columns.map(key => (
+                  <th key={key} style={{ ...th, textAlign: "right" }} onClick={() => sortBy(key)}>{field(key).label}{sortMark(key)}</th>
+                ))}
+                <th style={{ ...th, cursor: "default" }} />
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((row, i) => {
+                const inList = watchlist.includes(row.stock.ticker);
+                return (
+                  <tr key={row.stock.ticker} style={{ background: i % 2 === 0 ? C.white : C.bluePale, borderBottom: `1px solid ${C.blueBorder}40` }}>
+                    <td style={{ padding: "8px 12px" }}>
+                      <button onClick={() => onSelect(row.stock.ticker)}
+                        style={{ background: "none", border: "none", padding: 0, cursor: "pointer", textAlign: "left" }}>
+                        <div style={{ fontWeight: 800, color: C.blue, fontSize: 13 }}>{row.stock.logo} {row.stock.name}</div>
+                        <div style={{ fontSize: 11, color: C.textLight }}>{row.stock.ticker} · {sectorName(row.stock.sector)}</div>
+                      </button>
+                    </td>
+                    <td style={{ padding: "8px 12px", textAlign: "right", fontWeight: 800, color: C.blue }}>{row.scores.total ?? "—"}</td>
+                    {columns.map(key => (
+                      <td key={key} style={{ padding: "8px 12px", textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+                        {formatValue(screenValue(row, key), field(key).fmt)}
+                      </td>
+                    ))}
+                    <td style={{ padding: "8px 12px", textAlign: "right" }}>
+                      <button onClick={() => onToggleWatchlist(row.stock.ticker)} title={inList ? tr("watchlist.remove") : tr("watchlist.add")}
+                        style={{ padding: "4px 10px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", whiteSpace: "nowrap", background: inList ? C.goodBg : C.bluePale, color: inList ? C.good : C.blue, border: `1.5px solid ${inList ? C.good : C.blueBorder}` }}>
+                        {inList ? `★ ${tr("watchlist.inList")}` : `☆ ${tr("watchlist.toList")}`}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {results.length === 0 && (
+                <tr>
+                  <td colSpan={columns.length + 3} style={{ padding: "28px 0", textAlign: "center", color: C.textMid, fontSize: 13 }}>
+                    {rows.length === 0 ? tr("screener.loadingUniverse") : tr("screener.noMatches")}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+const gainColor = v => (v == null || v === 0 ? C.text : v > 0 ? C.good : C.bad);
+
+// Salkku: summary, positions and the transaction log with a small
+// entry form; all figures are derived from `transactions` by the caller.
+function PortfolioPanel({ transactions, positions, totals, twr, names, onAdd, onDelete, onImport, onExport, message, onSelect }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const [draft, setDraft] = useState({ type: "buy", ticker: "", date: today, quantity: "", price: "", fees: "" });
+  const [formError, setFormError] = useState(null);
+  const importRef = useRef(null);
+  const set = patch => setDraft(d => ({ ...d, ...patch }));
+
+  function submit() {
+    const ticker = toHelsinkiTicker(draft.ticker);
+    const quantity = parseLocaleNumber(draft.quantity);
+    const price = parseLocaleNumber(draft.price);
+    const fees = parseLocaleNumber(draft.fees) ?? 0;
+    if (!ticker || ticker === ".HE") return setFormError(tr("portfolio.form.needTicker"));
+    if (!draft.date) return setFormError(tr("portfolio.form.needDate"));
+    if (!(quantity > 0)) return setFormError(tr("portfolio.form.needQuantity"));
+    if (price == null || price < 0) return setFormError(tr("portfolio.form.needPrice"));
+    if (draft.type === "sell") {
+      const held = holdingsAt(transactions, draft.date)[ticker] ?? 0;
+      if (quantity > held + QTY_EPSILON) {
+        return setFormError(tr("portfolio.form.oversold", { held: formatQuantity(held), date: formatDate(draft.date) }));
+      }
+    }
+    onAdd({ id: `tx-${Date.now().toString(36)}`, type: draft.type, ticker, date: draft.date, quantity, price, fees: Math.abs(fees) });
+    setFormError(null);
+    set({ ticker: "", quantity: "", price: "", fees: "" });
+  }
+
+  const input = { padding: "5px 8px", fontSize: 12, borderRadius: 6, border: `1px solid ${C.blueBorder}`, color: C.text, boxSizing: "border-box" };
+  const smallBtn = { padding: "6px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` };
+  const th = { padding: "9px 12px", color: C.white, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap", textAlign: "right" };
+  const td = { padding: "8px 12px", textAlign: "right", fontVariantNumeric: "tabular-nums", whiteSpace: "nowrap" };
+  const totalReturn = totals.unrealized + totals.realized + totals.dividends;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12 }}>
+        {[
+          { label: tr("portfolio.marketValue"),   value: formatEur(totals.marketValue) },
+          { label: tr("portfolio.cost"),          value: formatEur(totals.cost) },
+          { label: tr("portfolio.unrealized"),    value: formatEur(totals.unrealized), color: gainColor(totals.unrealized) },
+          { label: tr("portfolio.realized"),      value: formatEur(totals.realized),   color: gainColor(totals.realized) },
+          { label: tr("portfolio.dividendsNet"),  value: formatEur(totals.dividends),  color: gainColor(totals.dividends) },
+          { label: tr("portfolio.totalReturn"),   value: formatEur(totalReturn),       color: gainColor(totalReturn) },
+          {
+            label: tr("portfolio.twr"),
+            value: twr ? formatPercent(twr.total, 1, { signed: true }) : "—",
+            sub:   twr
+              ? (twr.annualized != null
+                ? tr("portfolio.twrAnnualized", { rate: formatPercent(twr.annualized), since: formatDate(twr.since) })
+                : tr("portfolio.since", { since: formatDate(twr.since) }))
+              : null,
+            color: gainColor(twr?.total),
+          },
+        ].map(card => (
+          <Card key={card.label} style={{ padding: "14px 16px" }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: C.textLight, textTransform: "uppercase", letterSpacing: "0.06em" }}>{card.label}</div>
+            <div style={{ fontSize: 20, fontWeight: 900, color: card.color ?? C.blue, marginTop: 4 }}>{card.value}</div>
+            {card.sub && <div style={{ fontSize: 11, color: C.textLight, marginTop: 2 }}>{card.sub}</div>}
+          </Card>
+        ))}
+      </div>
+      {totals.unpriced.length > 0 && (
+        <div style={{ fontSize: 12, color: C.warn }}>
+          ⚠️ {tr("portfolio.unpriced", { tickers: totals.unpriced.join(", ") })}
+        </div>
+      )}
+
+      <Card style={{ overflow: "hidden" }}>
+        <div style={{ padding: "14px 20px", background: C.bluePale, borderBottom: `1px solid ${C.blueBorder}` }}>
+          <SectionTitle>💼 {tr("portfolio.holdings")}</SectionTitle>
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: C.blue }}>
+                <th style={{ ...th, textAlign: "left" }}>{tr("common.stock")}</th>
+                <th style={th}>{tr("common.quantity")}</th>
+                <th style={th}>{tr("portfolio.avgCost")}</th>
+                <th style={th}>{tr("valuation.price")}</th>
+                <th style={th}>{tr("breakdown.value")}</th>
+                <th style={th}>{tr("portfolio.unrealized")}</th>
+                <th style={th}>{tr("portfolio.realized")}</th>
+                <th style={th}>{tr("tax.report.dividends")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {positions.map((p, i) => (
+                <tr key={p.ticker} style={{ background: i % 2 === 0 ? C.white : C.bluePale, borderBottom: `1px solid ${C.blueBorder}40`, color: p.quantity > 0 ? C.text : C.textLight }}>
+                  <td style={{ padding: "8px 12px" }}>
+                    <button onClick={() => onSelect(p.ticker)} style={{ background: "none", border: "none", padding: 0, cursor: "pointer", textAlign: "left" }}>
+                      <div style={{ fontWeight: 800, color: C.blue }}>{names[p.ticker] ?? p.ticker}</div>
+                      <div style={{ fontSize: 11, color: C.textLight }}>{p.ticker}{p.quantity === 0 ? ` · ${tr("portfolio.soldOut")}` : ""}</div>
+                    </button>
+                  </td>
+                  <td style={td}>{formatQuantity(p.quantity)}</td>
+                  <td style={td}>{formatValue(p.avgCost, "eps")}</td>
+                  <td style={td}>{formatValue(p.price, "eps")}</td>
+                  <td style={{ ...td, fontWeight: 700 }}>{formatEur(p.marketValue)}</td>
+                  <td style={{ ...td, color: gainColor(p.unrealized) }}>
+                    {formatEur(p.unrealized)}
+                    {p.unrealizedPct != null && <div style={{ fontSize: 11 }}>{formatPercent(p.unrealizedPct, 1, { signed: true })}</div>}
+                  </td>
+                  <td style={{ ...td, color: gainColor(p.realized) }}>{formatEur(p.realized)}</td>
+                  <td style={td}>{formatEur(p.dividends)}</td>
+                </tr>
+              ))}
+              {positions.length === 0 && (
+                <tr>
+                  <td colSpan={8} style={{ padding: "28px 0", textAlign: "center", color: C.textMid, fontSize: 13 }}>
+                    {tr("portfolio.empty")}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card style={{ padding: 20 }}>
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-start", justifyContent: "space-between", gap: 10 }}>
+          <SectionTitle>🧾 {tr("portfolio.transactions", { n: transactions.length })}</SectionTitle>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button style={smallBtn} onClick={() => importRef.current?.click()}>{tr("portfolio.importCsv")}</button>
+            <button style={{ ...smallBtn, opacity: transactions.length ? 1 : 0.5 }} disabled={!transactions.length} onClick={onExport}>{tr("portfolio.exportCsv")}</button>
+            <input ref={importRef} type="file" accept=".csv,.txt,text/csv" style={{ display: "none" }}
+              onChange={e => { onImport(e.target.files[0]); e.target.value = ""; }} />
+          </div>
+        </div>
+        {message && (
+          <div style={{ fontSize: 12, fontWeight: 600, color: message.ok ? C.good : C.bad, marginBottom: 10 }}>{message.text}</div>
+        )}
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", padding: 12, background: C.bluePale, borderRadius: 10, border: `1px solid ${C.blueBorder}`, marginBottom: 14 }}>
+          <select value={draft.type} onChange={e => set({ type: e.target.value })} style={input}>
+            {Object.entries(TRANSACTION_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <input value={draft.ticker} onChange={e => set({ ticker: e.target.value })} placeholder={tr("common.ticker")} style={{ ...input, width: 100 }} />
+          <input type="date" value={draft.date} onChange={e => set({ date: e.target.value })} style={input} />
+          <input value={draft.quantity} onChange={e => set({ quantity: e.target.value })} placeholder={tr("common.quantity")} inputMode="decimal" style={{ ...input, width: 80 }} />
+          <input value={draft.price} onChange={e => set({ price: e.target.value })} placeholder={draft.type === "dividend" ? tr("valuation.dividendPerShare") : tr("portfolio.form.price")} inputMode="decimal" style={{ ...input, width: 110 }} />
+          <input value={draft.fees} onChange={e => set({ fees: e.target.value })} placeholder={draft.type === "dividend" ? tr("portfolio.form.withheld") : tr("portfolio.form.fees")} inputMode="decimal" style={{ ...input, width: 110 }} />
+          <button onClick={submit} style={{ ...smallBtn, background: C.blue, color: C.white, border: "none" }}>{tr("common.add")}</button>
+          {formError && <span style={{ fontSize: 12, color: C.bad, fontWeight: 600 }}>{formError}</span>}
+        </div>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <tbody>
+              {sortTransactions(transactions).reverse().map(t => (
+                <tr key={t.id} style={{ borderBottom: `1px solid ${C.blueBorder}40` }}>
+                  <td style={{ padding: "6px 8px", color: C.textMid }}>{formatDate(t.date)}</td>
+                  <td style={{ padding: "6px 8px", fontWeight: 700, color: t.type === "sell" ? C.bad : t.type === "dividend" ? C.good : C.blue }}>{TRANSACTION_TYPES[t.type]}</td>
+                  <td style={{ padding: "6px 8px", fontWeight: 700 }}>{t.ticker}</td>
+                  <td style={{ ...td, padding: "6px 8px" }}>{tr("portfolio.shares", { n: formatQuantity(t.quantity) })}</td>
+                  <td style={{ ...td, padding: "6px 8px" }}>à {formatValue(t.price, "eps")}</td>
+                  <td style={{ ...td, padding: "6px 8px", color: C.textLight }}>{t.fees ? tr("portfolio.feesAmount", { fees: formatEur(t.fees) }) : ""}</td>
+                  <td style={{ ...td, padding: "6px 8px", fontWeight: 700 }}>{formatEur(t.quantity * t.price)}</td>
+                  <td style={{ padding: "6px 8px", textAlign: "right" }}>
+                    <button onClick={() => onDelete(t.id)} title={tr("portfolio.deleteTransaction")}
+                      style={{ background: "none", border: "none", cursor: "pointer", color: C.textLight, fontSize: 14 }}>×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
     </div>
   );
 }
 
+// Verolaskelma: FIFO sales and dividends of one tax year
+function TaxReportPanel({ transactions }) {
+  const years = taxYears(transactions);
+  const [year, setYear] = useState(years[0] ?? new Date().getFullYear());
+  const [printBlocked, setPrintBlocked] = useState(false);
+  const report = taxReport(transactions, year);
+  const smallBtn = { padding: "6px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` };
+  const th = { padding: "8px 10px", color: C.white, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap", textAlign: "right" };
+  const td = { padding: "6px 10px", textAlign: "right", fontVariantNumeric: "tabular-nums", whiteSpace: "nowrap" };
+
+  function printReport() {
+    const w = window.open("", "_blank");
+    if (!w) { setPrintBlocked(true); return; }
+    setPrintBlocked(false);
+    w.document.write(taxReportToHTML(report));
+    w.document.close();
+    w.focus();
+    w.print();
+  }
+
+  return (
+    <Card style={{ padding: 20 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-start", justifyContent: "space-between", gap: 10 }}>
+        <SectionTitle>🧮 {tr("tax.title")}</SectionTitle>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <select value={year} onChange={e => setYear(Number(e.target.value))}
+            style={{ padding: "5px 10px", borderRadius: 8, fontSize: 13, fontWeight: 700, color: C.blue, border: `1.5px solid ${C.blueBorder}`, background: C.white }}>
+            {(years.includes(year) ? years : [year, ...years]).map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+          <button style={smallBtn} onClick={() => downloadFile(`verolaskelma-${year}.csv`, taxReportToCSV(report), "text/csv")}>{tr("portfolio.exportCsv")}</button>
+          <button style={smallBtn} onClick={printReport}>{tr("tax.print")}</button>
+        </div>
+      </div>
+      {printBlocked && <div style={{ fontSize: 12, color: C.bad, marginBottom: 8 }}>{tr("tax.printBlocked")}</div>}
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: 10, marginBottom: 14 }}>
+        {[
+          { label: tr("tax.proceeds"),        value: report.proceeds },
+          { label: tr("tax.deducted"),        value: report.deducted },
+          { label: tr("tax.gains"),           value: report.gains,   color: C.good },
+          { label: tr("tax.losses"),          value: -report.losses, color: report.losses ? C.bad : undefined },
+          { label: tr("tax.net"),             value: report.net,     color: gainColor(report.net) },
+          { label: tr("tax.dividendsTaxable"), value: report.dividendTotals.taxable },
+        ].map(item => (
+          <div key={item.label} style={{ background: C.bluePale, borderRadius: 10, padding: "10px 12px", border: `1px solid ${C.blueBorder}` }}>
+            <div style={{ fontSize: 10, fontWeight: 700, color: C.textLight, textTransform: "uppercase", letterSpacing: "0.06em" }}>{item.label}</div>
+            <div style={{ fontSize: 16, fontWeight: 900, color: item.color ?? C.blue, marginTop: 2 }}>{formatEur(item.value)}</div>
+          </div>
+        ))}
+      </div>
+
+      {report.gainsTaxFree && (
+        <div style={{ fontSize: 12, color: C.good, fontWeight: 600, marginBottom: 10 }}>
+          {tr(report.smallSalesExempt ? "tax.smallSalesExempt" : "tax.smallSalesGainsFree", { limit: formatEur(SMALL_SALES_LIMIT) })}
+        </div>
+      )}
+      {report.unmatched.length > 0 && (
+        <div style={{ fontSize: 12, color: C.warn, fontWeight: 600, marginBottom: 10 }}>
+          ⚠️ {tr("tax.unmatched", { tickers: [...new Set(report.unmatched)].join(", ") })}
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto", marginBottom: 16 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr style={{ background: C.blue }}>
+              <th style={{ ...th, textAlign: "left" }}>{tr("tax.sold")}</th>
+              <th style={{ ...th, textAlign: "left" }}>{tr("common.stock")}</th>
+              <th style={th}>{tr("common.quantity")}</th>
+              <th style={th}>{tr("tax.bought")}</th>
+              <th style={th}>{tr("tax.saleProceeds")}</th>
+              <th style={th}>{tr("tax.costWithFees")}</th>
+              <th style={th}>{tr("tax.methods.deemed")}</th>
+              <th style={th}>{tr("tax.method")}</th>
+              <th style={th}>{tr("tax.gainLoss")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.sales.map(sale => (
+              <Fragment key={sale.id}>
+                {sale.lots.map((l, i) => (
+                  <tr key={i} style={{ borderBottom: `1px solid ${C.blueBorder}40` }}>
+                    <td style={{ ...td, textAlign: "left" }}>{i === 0 ? formatDate(sale.date) : ""}</td>
+                    <td style={{ ...td, textAlign: "left", fontWeight: 700 }}>{i === 0 ? sale.ticker : ""}</td>
+                    <td style={td}>{formatQuantity(l.quantity)}</td>
+                    <td style={td}>{formatDate(l.date)}</td>
+                    <td style={td}>{formatEur(l.proceeds)}</td>
+                    <td style={td}>{formatEur(l.cost + l.saleCosts)}</td>
+                    <td style={td}>{formatEur(l.deemedCost)} <span style={{ color: C.textLight }}>({formatPercent((l.long ? DEEMED_COST_RATE_LONG : DEEMED_COST_RATE) * 100, 0)})</span></td>
+                    <td style={{ ...td, fontWeight: 700, color: l.method === "deemed" ? C.blueMid : C.textMid }}>{TAX_METHODS[l.method]}</td>
+                    <td style={{ ...td, fontWeight: 800, color: gainColor(l.gain) }}>{formatEur(l.gain)}</td>
+                  </tr>
+                ))}
+                {sale.lots.length > 1 && (
+                  <tr style={{ borderBottom: `1px solid ${C.blueBorder}`, background: C.bluePale }}>
+                    <td colSpan={8} style={{ ...td, color: C.textMid }}>{tr("tax.saleTotal", { ticker: sale.ticker, date: formatDate(sale.date) })}</td>
+                    <td style={{ ...td, fontWeight: 800, color: gainColor(sale.gain) }}>{formatEur(sale.gain)}</td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {report.sales.length === 0 && (
+              <tr><td colSpan={9} style={{ padding: "20px 0", textAlign: "center", color: C.textMid }}>{tr("tax.noSales", { year })}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {report.dividends.length > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr style={{ background: C.blue }}>
+                <th style={{ ...th, textAlign: "left" }}>{tr("tax.dividendPaid")}</th>
+                <th style={{ ...th, textAlign: "left" }}>{tr("common.stock")}</th>
+                <th style={th}>{tr("transactionTypes.dividend")}</th>
+                <th style={th}>{tr("tax.taxable")}</th>
+                <th style={th}>{tr("tax.taxFree")}</th>
+                <th style={th}>{tr("tax.withheld")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.dividends.map(d => (
+                <tr key={d.id} style={{ borderBottom: `1px solid ${C.blueBorder}40` }}>
+                  <td style={{ ...td, textAlign: "left" }}>{formatDate(d.date)}</td>
+                  <td style={{ ...td, textAlign: "left", fontWeight: 700 }}>{d.ticker}</td>
+                  <td style={td}>{formatEur(d.gross)}</td>
+                  <td style={td}>{formatEur(d.taxable)}</td>
+                  <td style={td}>{formatEur(d.taxFree)}</td>
+                  <td style={td}>{formatEur(d.withheld)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ fontSize: 11, color: C.textLight, marginTop: 10 }}>
+        {tr("tax.method_note", {
+          rate: formatPercent(DEEMED_COST_RATE * 100, 0), longRate: formatPercent(DEEMED_COST_RATE_LONG * 100, 0), years: DEEMED_COST_LONG_YEARS,
+        })}
+      </div>
+    </Card>
+  );
+}
+
+// Osingot: forecast income per stock and the upcoming dividend dates.
+// rows = [{ ticker, name, dps, dpsYear, dy, shares, schedule }]; schedule
+// is null while the provider's dividend data is still loading.
+function DividendPanel({ rows, onSharesChange }) {
+  const annual = rows.reduce((a, r) => a + (r.dps ?? 0) * r.shares, 0);
+  const events = rows
+    .flatMap(r => (r.schedule?.upcoming ?? []).map(e => ({ ...e, row: r })))
+    .sort((a, b) => a.exDate.localeCompare(b.exDate));
+  const recent = rows
+    .flatMap(r => (r.schedule?.recent ?? []).map(e => ({ ...e, row: r })))
+    .sort((a, b) => b.exDate.localeCompare(a.exDate));
+  const next12 = events.reduce((a, e) => a + e.amount * e.row.shares, 0);
+  const th = { padding: "9px 12px", color: C.white, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap", textAlign: "right" };
+  const td = { padding: "8px 12px", textAlign: "right", fontVariantNumeric: "tabular-nums", whiteSpace: "nowrap" };
+
+  const eventRows = (list, status) => list.map((e, i) => (
+    <tr key={`${e.row.ticker}-${e.exDate}-${i}`} style={{ borderBottom: `1px solid ${C.blueBorder}40`, color: e.estimated ? C.textMid : C.text }}>
+      <td style={{ ...td, textAlign: "left", fontWeight: 700 }}>{formatDate(e.exDate)}</td>
+      <td style={{ ...td, textAlign: "left" }}>{formatDate(e.paymentDate)}</td>
+      <td style={{ ...td, textAlign: "left" }}>
+        <span style={{ fontWeight: 800, color: C.blue }}>{e.row.name}</span>
+        {e.row.schedule.instalments > 1 && <span style={{ fontSize: 11, color: C.textLight }}> · {tr("dividends.instalments", { n: e.row.schedule.instalments })}</span>}
+      </td>
+      <td style={td}>{formatValue(e.amount, "eps")}</td>
+      <td style={{ ...td, fontWeight: 700 }}>{e.row.shares ? formatEur(e.amount * e.row.shares) : "—"}</td>
+      <td style={{ ...td, fontSize: 11, fontWeight: 700, color: e.estimated ? C.warn : status === "paid" ? C.textLight : C.good }}>
+        {e.estimated ? tr("dividends.estimated") : status === "paid" ? tr("dividends.paid") : tr("dividends.announced")}
+      </td>
+    </tr>
+  ));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 12 }}>
+        <Card style={{ padding: "14px 16px" }}>
+          <div style={{ fontSize: 11, fontWeight: 700, color: C.textLight, textTransform: "uppercase", letterSpacing: "0.06em" }}>{tr("dividends.annualForecast")}</div>
+          <div style={{ fontSize: 22, fontWeight: 900, color: C.blue, marginTop: 4 }}>{formatEur(annual)}</div>
+          <div style={{ fontSize: 11, color: C.textLight }}>{tr("dividends.annualHint")}</div>
+        </Card>
+        <Card style={{ padding: "14px 16px" }}>
+          <div style={{ fontSize: 11, fontWeight: 700, color: C.textLight, textTransform: "uppercase", letterSpacing: "0.06em" }}>{tr("dividends.upcoming")}</div>
+          <div style={{ fontSize: 22, fontWeight: 900, color: C.good, marginTop: 4 }}>{formatEur(next12)}</div>
+          <div style={{ fontSize: 11, color: C.textLight }}>{tr("dividends.upcomingHint", { n: events.length })}</div>
+        </Card>
+      </div>
+
+      <Card style={{ overflow: "hidden" }}>
+        <div style={{ padding: "14px 20px", background: C.bluePale, borderBottom: `1px solid ${C.blueBorder}` }}>
+          <SectionTitle>💶 {tr("dividends.forecastTitle")}</SectionTitle>
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: C.blue }}>
+                <th style={{ ...th, textAlign: "left" }}>{tr("common.stock")}</th>
+                <th style={th}>{tr("dividends.shares")}</th>
+                <th style={th}>{tr("valuation.dividendPerShare")}</th>
+                <th style={th}>{tr("dividends.instalmentsColumn")}</th>
+                <th style={th}>{tr("scoreMetrics.dy")}</th>
+                <th style={th}>{tr("dividends.perYear")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={r.ticker} style={{ background: i % 2 === 0 ? C.white : C.bluePale, borderBottom: `1px solid ${C.blueBorder}40` }}>
+                  <td style={{ padding: "8px 12px" }}>
+                    <div style={{ fontWeight: 800, color: C.blue }}>{r.name}</div>
+                    <div style={{ fontSize: 11, color: C.textLight }}>{r.ticker}{r.dpsYear ? ` · ${tr("dividends.fiscalYear", { year: r.dpsYear })}` : ""}</div>
+                  </td>
+                  <td style={td}><NumberInput value={r.shares} width={80} step={1} onChange={v => onSharesChange(r.ticker, Math.max(0, v))} /></td>
+                  <td style={td}>{formatValue(r.dps, "eps")}</td>
+                  <td style={td}>{r.schedule ? r.schedule.instalments : "…"}</td>
+                  <td style={td}>{formatValue(r.dy, "percent")}</td>
+                  <td style={{ ...td, fontWeight: 800 }}>{formatEur((r.dps ?? 0) * r.shares)}</td>
+                </tr>
+              ))}
+              {rows.length === 0 && (
+                <tr><td colSpan={6} style={{ padding: "28px 0", textAlign: "center", color: C.textMid }}>{tr("dividends.empty")}</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card style={{ overflow: "hidden" }}>
+        <div style={{ padding: "14px 20px", background: C.bluePale, borderBottom: `1px solid ${C.blueBorder}` }}>
+          <SectionTitle>📅 {tr("dividends.calendarTitle")}</SectionTitle>
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: C.blue }}>
+                <th style={{ ...th, textAlign: "left" }}>{tr("dividends.exDate")}</th>
+                <th style={{ ...th, textAlign: "left" }}>{tr("dividends.paymentDate")}</th>
+                <th style={{ ...th, textAlign: "left" }}>{tr("common.stock")}</th>
+                <th style={th}>{tr("valuation.dividendPerShare")}</th>
+                <th style={th}>{tr("dividends.yourShare")}</th>
+                <th style={th}>{tr("dividends.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {eventRows(events, "upcoming")}
+              {events.length === 0 && (
+                <tr><td colSpan={6} style={{ padding: "20px 0", textAlign: "center", color: C.textMid }}>{tr("dividends.noUpcoming")}</td></tr>
+              )}
+              {recent.length > 0 && (
+                <tr><td colSpan={6} style={{ padding: "10px 12px 4px", fontSize: 11, fontWeight: 800, color: C.textMid, textTransform: "uppercase", letterSpacing: "0.06em" }}>{tr("dividends.recent")}</td></tr>
+              )}
+              {eventRows(recent, "paid")}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ padding: "10px 20px", fontSize: 11, color: C.textLight, borderTop: `1px solid ${C.blueBorder}` }}>
+          {tr("dividends.estimateNote")}
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+// Fired alerts, newest first. Opening the tab does not mark them read;
+// the user acknowledges them explicitly.
+function AlertInbox({ inbox, onMarkRead, onClear, onSelect, notifications, onToggleNotifications }) {
+  const unread = inbox.filter(a => !a.read).length;
+  const supported = typeof Notification !== "undefined";
+  const denied = supported && Notification.permission === "denied";
+  const btn = { padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` };
+
+  return (
+    <Card style={{ padding: 20 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-start", justifyContent: "space-between", gap: 10 }}>
+        <SectionTitle>🔔 {unread > 0 ? tr("alerts.titleUnread", { n: unread }) : tr("alerts.title")}</SectionTitle>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          {supported && (
+            <button onClick={onToggleNotifications} disabled={denied} title={denied ? tr("alerts.notificationsBlocked") : undefined}
+              style={{ ...btn, opacity: denied ? 0.5 : 1, cursor: denied ? "default" : "pointer", ...(notifications && !denied ? { background: C.blue, color: C.white, borderColor: C.blue } : {}) }}>
+              {notifications && !denied ? tr("alerts.notificationsOn") : tr("alerts.enableNotifications")}
+            </button>
+          )}
+          <button onClick={onMarkRead} disabled={unread === 0} style={{ ...btn, opacity: unread === 0 ? 0.5 : 1 }}>{tr("alerts.markRead")}</button>
+          <button onClick={onClear} disabled={inbox.length === 0} style={{ ...btn, opacity: inbox.length === 0 ? 0.5 : 1 }}>{tr("screener.clear")}</button>
+        </div>
+      </div>
+      {inbox.length === 0 ? (
+        <div style={{ fontSize: 12, color: C.textMid }}>
+          {tr("alerts.empty")}
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, maxHeight: 260, overflowY: "auto" }}>
+          {inbox.map(a => (
+            <button key={a.id} onClick={() => onSelect(a.ticker)}
+              style={{ display: "flex", justifyContent: "space-between", gap: 12, padding: "8px 12px", borderRadius: 8, cursor: "pointer", textAlign: "left", fontSize: 12,
+                background: a.read ? C.white : C.bluePale, border: `1px solid ${a.read ? C.blueBorder + "80" : C.blueBorder}`, color: C.text, fontWeight: a.read ? 500 : 700 }}>
+              <span>{a.read ? "" : "● "}{a.message}</span>
+              <span style={{ color: C.textLight, whiteSpace: "nowrap", fontWeight: 500 }}>{formatDate(a.at, { dateStyle: "short", timeStyle: "short" })}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Inline rule editor under a watchlist row. Changing a rule's kind or
+// level clears its state so the next evaluation sets a new baseline.
+function AlertRulesEditor({ ticker, rules, stock, score, onChange }) {
+  const data = stock ? latestRowOf(stock) : null;
+
+  function current(kindKey) {
+    if (!stock) return "—";
+    if (kindKey === "scoreBand") return scoreBandLabel(scoreBand(score));
+    const kind = ALERT_KINDS[kindKey];
+    return formatValue(kind.value(stock, data), kind.fmt);
+  }
+
+  function defaultValue(kindKey) {
+    const kind = ALERT_KINDS[kindKey];
+    const v = kind.fmt && stock ? kind.value(stock, data) : null;
+    return v != null && Number.isFinite(v) ? Math.round(v * 10) / 10 : 0;
+  }
+
+  function update(id, patch) {
+    onChange(rules.map(r => (r.id === id ? { ...r, ...patch, state: undefined } : r)));
+  }
+
+  function add() {
+    onChange([...rules, { id: `hal-${Date.now().toString(36)}`, ticker, kind: "priceBelow", value: defaultValue("priceBelow") }]);
+  }
+
+  const select = { padding: "3px 6px", fontSize: 12, borderRadius: 6, border: `1px solid ${C.blueBorder}`, color: C.text, background: C.white };
+
+  return (
+    <div style={{ margin: "-6px 0 0", padding: "12px 16px", background: C.white, borderRadius: "0 0 12px 12px", border: `1.5px solid ${C.blueBorder}`, borderTop: "none", display: "flex", flexDirection: "column", gap: 8, fontSize: 12 }}>
+      {rules.length === 0 && <div style={{ color: C.textMid }}>{tr("alerts.noRules")}</div>}
+      {rules.map(r => {
+        const kind = ALERT_KINDS[r.kind];
+        return (
+          <div key={r.id} style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8 }}>
+            <select value={r.kind} style={select}
+              onChange={e => update(r.id, { kind: e.target.value, value: defaultValue(e.target.value) })}>
+              {Object.entries(ALERT_KINDS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+            </select>
+            {kind.fmt && <NumberInput value={r.value} width={80} onChange={v => update(r.id, { value: v })} />}
+            <span style={{ color: C.textLight }}>{tr("alerts.now", { value: current(r.kind) })}</span>
+            <span style={{ color: r.state === true ? C.good : C.textLight, fontWeight: 700 }}>
+              {r.state === undefined ? tr("alerts.waiting") : kind.fmt ? (r.state ? tr("alerts.met") : tr("alerts.notMet")) : ""}
+            </span>
+            <button onClick={() => onChange(rules.filter(x => x.id !== r.id))} title={tr("alerts.deleteRule")}
+              style={{ marginLeft: "auto", background: "none", border: "none", cursor: "pointer", color: C.bad, fontSize: 14 }}>×</button>
+          </div>
+        );
+      })}
+      <div>
+        <button onClick={add}
+          style={{ padding: "4px 10px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` }}>
+          + {tr("alerts.addRule")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// One-of-many toggle; options = { id: label }
+function SegmentedControl({ options, value, onChange, style, label }) {
+  return (
+    <div role="group" aria-label={label} style={{ display: "flex", gap: 2, background: C.bluePale, border: `1.5px solid ${C.blueBorder}`, borderRadius: 9, padding: 2, ...style }}>
+      {Object.entries(options).map(([id, label]) => (
+        <button key={id} onClick={() => onChange(id)} aria-pressed={value === id}
+          style={{
+            padding: "4px 10px", borderRadius: 7, fontSize: 12, fontWeight: 700, cursor: "pointer", border: "none",
+            ...(value === id ? { background: C.blue, color: C.white } : { background: "transparent", color: C.textMid }),
+          }}>
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Views other than the selected stock score on annual figures, since
+// quarters are only fetched for that one stock; say so when the
+// period toggle is on something else.
+function AnnualScoresNote({ period }) {
+  if (period === "annual") return null;
+  return (
+    <div style={{ fontSize: 12, color: C.textMid, marginBottom: 12 }}>
+      📅 {tr("scoring.annualOnly", { period: PERIODS[period] })}
+    </div>
+  );
+}
+
+function NumberInput({ value, onChange, width = 52, step = "any" }) {
+  return (
+    <input type="number" value={value} step={step}
+      onChange={e => onChange(e.target.value === "" ? 0 : Number(e.target.value))}
+      style={{ width, boxSizing: "border-box", padding: "3px 5px", fontSize: 12, borderRadius: 6, border: `1px solid ${C.blueBorder}`, color: C.text, textAlign: "right" }} />
+  );
+}
+
+// Profile picker plus an inline editor for user-made profiles.
+// Built-in presets are read-only; the copy button makes an editable copy.
+function ScoringProfilePanel({ profiles, profile, onSelect, onCopy, onUpdate, onDelete, mode, onModeChange }) {
+  const [editing, setEditing] = useState(false);
+  const canEdit = !profile.builtIn;
+
+  function updateCategory(catKey, patch) {
+    const cat = profile.categories[catKey];
+    onUpdate({ ...profile, categories: { ...profile.categories, [catKey]: { ...cat, ...patch } } });
+  }
+
+  function updateMetric(catKey, metricKey, patch) {
+    const metrics = profile.categories[catKey].metrics;
+    updateCategory(catKey, { metrics: { ...metrics, [metricKey]: { ...metrics[metricKey], ...patch } } });
+  }
+
+  const smallBtn = { padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` };
+
+  return (
+    <Card style={{ padding: 18 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10 }}>
+        <span style={{ fontSize: 11, fontWeight: 800, color: C.blue, textTransform: "uppercase", letterSpacing: "0.08em" }}>⚖️ {tr("scoring.profile")}</span>
+        <select value={profile.id} onChange={e => onSelect(e.target.value)}
+          style={{ padding: "5px 10px", borderRadius: 8, fontSize: 13, fontWeight: 700, color: C.blue, border: `1.5px solid ${C.blueBorder}`, background: C.white }}>
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}{p.builtIn ? "" : " ✎"}</option>)}
+        </select>
+        <button style={smallBtn} onClick={() => { onCopy(); setEditing(true); }}>{tr("scoring.copy")}</button>
+        {canEdit && (
+          <>
+            <button style={smallBtn} onClick={() => setEditing(e => !e)}>{editing ? tr("scoring.closeEditor") : tr("scoring.edit")}</button>
+            <button style={{ ...smallBtn, color: C.bad, background: C.badBg, borderColor: C.bad }} onClick={() => onDelete(profile.id)}>{tr("common.delete")}</button>
+          </>
+        )}
+        <SegmentedControl options={SCORING_MODES} value={mode} onChange={onModeChange} style={{ marginLeft: "auto" }} label={tr("scoring.mode")} />
+      </div>
+
+      {canEdit && editing && (
+        <div style={{ marginTop: 16 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: C.textMid, fontWeight: 600, marginBottom: 14 }}>
+            {tr("scoring.name")}
+            <input value={profile.name} onChange={e => onUpdate({ ...profile, name: e.target.value })}
+              style={{ padding: "4px 8px", fontSize: 13, borderRadius: 6, border: `1px solid ${C.blueBorder}`, color: C.text }} />
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))", gap: 14 }}>
+            {SCORE_CATEGORIES.map(cat => {
+              const catCfg = profile.categories[cat.key];
+              return (
+                <div key={cat.key} style={{ background: C.bluePale, borderRadius: 10, padding: 12, border: `1px solid ${C.blueBorder}` }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+                    <span style={{ fontSize: 12, fontWeight: 800, color: C.blue }}>{cat.icon} {cat.label}</span>
+                    <span style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 11, color: C.textMid }}>
+                      {tr("scoring.weight")} <NumberInput value={catCfg.weight} onChange={v => updateCategory(cat.key, { weight: Math.max(0, v) })} />
+                    </span>
+                  </div>
+                  <table style={{ width: "100%", fontSize: 11, borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ color: C.textLight }}>
+                        <th style={{ textAlign: "left", fontWeight: 700 }}>{tr("breakdown.metric")}</th>
+                        <th style={{ textAlign: "right", fontWeight: 700 }}>{tr("breakdown.weight")}</th>
+                        <th style={{ textAlign: "right", fontWeight: 700 }} title={tr("scoring.pointsHint", { n: 0 })}>{tr("scoring.points", { n: 0 })}</th>
+                        <th style={{ textAlign: "right", fontWeight: 700 }} title={tr("scoring.pointsHint", { n: 100 })}>{tr("scoring.points", { n: 100 })}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(catCfg.metrics).map(([metricKey, cfg]) => (
+                        <tr key={metricKey}>
+                          <td style={{ color: C.textMid, fontWeight: 600, padding: "3px 0" }}>{SCORE_METRICS[metricKey].label}</td>
+                          <td style={{ textAlign: "right" }}><NumberInput value={cfg.weight} onChange={v => updateMetric(cat.key, metricKey, { weight: Math.max(0, v) })} width={46} /></td>
+                          <td style={{ textAlign: "right" }}><NumberInput value={cfg.worst} onChange={v => updateMetric(cat.key, metricKey, { worst: v })} /></td>
+                          <td style={{ textAlign: "right" }}><NumberInput value={cfg.best} onChange={v => updateMetric(cat.key, metricKey, { best: v })} /></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ fontSize: 11, color: C.textLight, marginTop: 10 }}>
+            {tr("scoring.editorNote")}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
 // ============================================================
 // MAIN APP
 // ============================================================
 export default function App() {
   const [query, setQuery] = useState("");
-  const [selected, setSelected] = useState("NOKIA.HE");
-  const [watchlist, setWatchlist] = useState(["SAMPO.HE", "KNEBV.HE"]);
+  const [initialRoute] = useState(currentRoute);
+  const [selected, setSelected] = useState(initialRoute.ticker);
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
   const [suggestions, setSuggestions] = useState([]);
-  const [activeTab, setActiveTab] = useState("yhteenveto");
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
   const [loaded, setLoaded] = useState(false);
 
   // Live API state
   const [liveStock, setLiveStock] = useState(null);
   const [apiLoading, setApiLoading] = useState(false);
-  const [apiError, setApiError] = useState(null);
+  const [apiError, setApiError] = useState(null);   // ApiError (or plain Error from a static source)
+  const [retryCount, setRetryCount] = useState(0);  // bumped by the banner's retry button
+  const [searchError, setSearchError] = useState(null);
   const [searchLoading, setSearchLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshError, setRefreshError] = useState(null);
+  // AbortController of the running refresh, see refreshStock
+  const refreshRef = useRef(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [importMessage, setImportMessage] = useState(null);
+  const [openBreakdowns, setOpenBreakdowns] = useState([]);
+  const [expandedMetric, setExpandedMetric] = useState(null);
+  const [savedScreens, setSavedScreens] = useState(loadScreens);
+  const [screen, setScreen] = useState(() => (initialRoute.screen ? matchScreen(initialRoute.screen, [...BUILTIN_SCREENS, ...savedScreens]) : EMPTY_SCREEN));
+  const [transactions, setTransactions] = useState(loadPortfolio);
+  const [portfolioMessage, setPortfolioMessage] = useState(null);
+  const [dividendShares, setDividendShares] = useState(loadDividendShares);
+  const [alerts, setAlerts] = useState(loadAlerts);
+  const [alertEditor, setAlertEditor] = useState(null); // ticker whose rules are open
+  const [compareTickers, setCompareTickers] = useState(() => initialRoute.compare ?? [...new Set([selected, ...watchlist])].slice(0, 3));
 
   const inputRef = useRef();
+  const importInputRef = useRef();
   const searchTimeoutRef = useRef(null);
+  const searchAbortRef = useRef(null);
   const apiKeyPresent = hasApiKey();
+  const [settings, setSettings] = useState(loadSettings);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  // Before anything below formats text; children render after this
+  setLanguage(settings.language);
+  const provider = getProvider(settings.provider);
+  const [scoring, setScoring] = useState(loadScoring);
+  const scoringProfiles = [...SCORING_PRESETS, ...scoring.custom];
+  const scoringProfile = scoringProfiles.find(p => p.id === scoring.activeId) ?? DEFAULT_SCORING_PROFILE;
+  const watchlistStocks = useStocks(watchlist, provider);
+  const compareStocks = useStocks(activeTab === "vertailu" ? compareTickers : [], provider, { cashflow: true });
+  // The universe costs a request batch per ticker, so it is only loaded
+  // once something shows or scores against the benchmarks
+  const universe = settings.universe ?? DEFAULT_UNIVERSE;
+  const needsUniverse = scoring.mode === "sector" || ["historia", "vertailu", "seulonta"].includes(activeTab);
+  const universeStocks = useStocks(needsUniverse ? universe : [], provider);
+  const universeLoaded = universe.map(t => universeStocks.entries[t]).filter(e => e?.status === "ready").map(e => e.stock);
+  const benchmarks = cachedBenchmarks(universeLoaded);
+  // Quotes and price histories of holdings only matter on the Salkku tab
+  const portfolioTickers = [...new Set(transactions.map(t => t.ticker))].sort();
+  const portfolioShown = activeTab === "salkku" ? portfolioTickers : [];
+  const portfolioStocks = useStocks(portfolioShown, provider);
+  const priceHistories = useProviderSeries("prices", portfolioShown, provider);
+  const holdings = holdingsAt(transactions);
+  const dividendTickers = [...new Set([...watchlist, ...Object.keys(holdings).filter(t => holdings[t] > 0)])];
+  // Holdings' quotes and dividend histories are loaded once Osingot is opened
+  const dividendsShown = activeTab === "osingot" ? dividendTickers : [];
+  const dividendStocks = useStocks(dividendsShown, provider, { cashflow: true });
+  const dividendEvents = useProviderSeries("dividends", dividendsShown, provider);
+  // Statements are only needed for valuation, so fetched on that tab
+  const statementSeries = useProviderSeries("statements", activeTab === "arvo" && liveStock ? [liveStock.ticker] : [], provider);
+
+  // Cleanup search timeout on unmount
+  useEffect(() => {
+    return () => {
+      if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
+    };
+  }, []);
+
+  // Persist user state on every change
+  useEffect(() => {
+    saveWatchlist(watchlist);
+  }, [watchlist]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    document.documentElement.lang = settings.language;
+  }, [settings.language]);
+
+  useEffect(() => {
+    saveScoring(scoring);
+  }, [scoring]);
+
+  useEffect(() => {
+    saveScreens(savedScreens);
+  }, [savedScreens]);
+
+  useEffect(() => {
+    savePortfolio(transactions);
+  }, [transactions]);
+
+  useEffect(() => {
+    saveDividendShares(dividendShares);
+  }, [dividendShares]);
+
+  useEffect(() => {
+    saveAlerts(alerts);
+  }, [alerts]);
+
+  // Everything a score total depends on besides the stock itself
+  const scoreBasis = JSON.stringify([
+    scoringProfile, scoring.mode, settings.benchmarkStat,
+    scoring.mode === "sector" ? universeLoaded.map(s => s.ticker) : null,
+  ]);
 
-  // Cleanup search timeout on unmount
+  // Evaluate alert rules whenever new data for their tickers arrives
+  // or the scoring basis changes
   useEffect(() => {
-    return () => {
-      if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
-    };
-  }, []);
+    const stocks = {};
+    for (const e of Object.values(watchlistStocks.entries)) if (e.status === "ready") stocks[e.stock.ticker] = e.stock;
+    if (liveStock) stocks[liveStock.ticker] = liveStock;
+    const fired = [];
+    const rules = alerts.rules.map(rule => {
+      // Rules of a ticker taken off the watchlist rest until it is re-added
+      const s = watchlist.includes(rule.ticker) && stocks[rule.ticker];
+      if (!s) return rule;
+      const res = evaluateAlert(rule, s, calculateScore(s, scoringProfile, scoreOptions).total, scoreBasis);
+      if (res.fired) {
+        fired.push({ id: `${rule.id}-${Date.now().toString(36)}`, ruleId: rule.id, ticker: rule.ticker, message: res.message, at: new Date().toISOString(), read: false });
+      }
+      return res.state === rule.state && res.basis === rule.basis ? rule : { ...rule, state: res.state, basis: res.basis };
+    });
+    if (fired.length === 0 && rules.every((r, i) => r === alerts.rules[i])) return;
+    setAlerts(p => ({ rules, inbox: [...fired, ...p.inbox].slice(0, ALERT_INBOX_MAX) }));
+    if (settings.notifications) fired.forEach(showNotification);
+  }, [watchlistStocks.entries, liveStock, alerts.rules, scoreBasis]);
 
-  // When API key is present, fetch real data on ticker change
+  // Fetch data through the active provider on ticker change.
+  // Static providers answer instantly, so only live ones show the spinner.
+  // Switching again before the answer arrives abandons the old request.
   useEffect(() => {
-    if (!apiKeyPresent) {
-      setLoaded(true);
-      return;
-    }
-    setApiLoading(true);
+    const controller = new AbortController();
+    if (provider.live) setApiLoading(true);
     setApiError(null);
+    setRefreshError(null);
     setLiveStock(null);
-    fetchStockData(selected)
-      .then(data => { setLiveStock(data); setApiLoading(false); setLoaded(true); })
-      .catch(err => { setApiError(err.message); setApiLoading(false); setLoaded(true); });
-  }, [selected, apiKeyPresent]);
+    fetchStockData(selected, { provider, period: settings.period, cashflow: true, signal: controller.signal })
+      .then(data => {
+        setLiveStock(data); setApiLoading(false); setLoaded(true);
+        if (data.stale) refreshStock(selected, { revalidate: true });
+      })
+      .catch(err => {
+        if (err.kind === "aborted") return;
+        setApiError(err); setApiLoading(false); setLoaded(true);
+      });
+    return () => {
+      controller.abort();
+      // A refresh belongs to the stock and period it was started for
+      refreshRef.current?.abort();
+    };
+  }, [selected, provider.id, settings.period, retryCount]);
+
+  // Keep the "data age" label ticking
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  function setTickerRules(ticker, rules) {
+    setAlerts(p => ({ ...p, rules: [...p.rules.filter(r => r.ticker !== ticker), ...rules] }));
+  }
+
+  // Permission is asked on the first enable; a refusal, or a browser
+  // without notifications, leaves the setting off
+  function toggleNotifications() {
+    if (settings.notifications) { setSettings(p => ({ ...p, notifications: false })); return; }
+    if (typeof Notification === "undefined") return;
+    Promise.resolve()
+      .then(() => (Notification.permission === "granted" ? "granted" : Notification.requestPermission()))
+      .then(result => setSettings(p => ({ ...p, notifications: result === "granted" })))
+      .catch(() => setSettings(p => ({ ...p, notifications: false })));
+  }
+
+  // Bypass the cache for `ticker`, or with `revalidate` only for the
+  // parts that expired; the stale data stays visible meanwhile. The
+  // fetch effect aborts the refresh when the stock, period or provider
+  // changes, so its answer can never land on another view.
+  function refreshStock(ticker, { revalidate = false } = {}) {
+    refreshRef.current?.abort();
+    const controller = new AbortController();
+    refreshRef.current = controller;
+    setRefreshing(true);
+    setRefreshError(null);
+    fetchStockData(ticker, {
+      provider, period: settings.period, cashflow: true, signal: controller.signal,
+      ...(revalidate ? { revalidate } : { fresh: true }),
+    })
+      .then(data => setLiveStock(data))
+      .catch(err => { if (err.kind !== "aborted") setRefreshError(err); })
+      .finally(() => {
+        if (refreshRef.current !== controller) return;
+        refreshRef.current = null;
+        setRefreshing(false); setNow(Date.now());
+      });
+  }
 
   // Use live data if available, otherwise fall back to mock
   const stock = liveStock ?? MOCK_STOCKS[selected] ?? Object.values(MOCK_STOCKS)[0];
-  const scores = calculateScore(stock);
-  const sectorAvg = SECTOR_AVERAGES[stock.sector] ?? SECTOR_AVERAGES["Teknologia"];
-  const years = Object.keys(stock.years).map(Number).sort((a, b) => a - b);
+  // Example numbers must never pass for real ones; the hero says so
+  const showingMock = !liveStock || liveStock.source === "mock";
+  const scoreOptions = { mode: scoring.mode, benchmarks, stat: settings.benchmarkStat };
+  // Scores and the Tunnusluvut table follow the period toggle; the
+  // sector comparison and benchmarks stay on annual figures
+  const periodStock = stockForPeriod(stock, settings.period);
+  const periodFallback = settings.period !== "annual" && periodStock === stock;
+  const scores = calculateScore(periodStock, scoringProfile, scoreOptions);
+  const sectorRef = benchmarkFor(benchmarks, stock.sector);
+  const sectorAvg = benchmarkValues(sectorRef.group, settings.benchmarkStat);
+  const marketAvg = benchmarkValues(benchmarks.market, settings.benchmarkStat);
+  const periods = periodKeys(periodStock);
+  const latestPeriod = periods[periods.length - 1];
+  // Quarters are judged against their calendar year, or the latest
+  // year when the universe has no figures for it yet
+  const yearBenchmarks = Object.fromEntries(periods.map(k => {
+    const year = sectorRef.group?.years[periodYear(k)] ? periodYear(k) : null;
+    return [k, benchmarkValues(sectorRef.group, settings.benchmarkStat, year)];
+  }));
   const inWatchlist = watchlist.includes(selected);
+  const unreadAlerts = alerts.inbox.filter(a => !a.read).length;
+
+  // Stock and tab changes go through the URL: navigate() pushes a
+  // history entry and applies it, back/forward apply theirs.
+  function applyRoute(route) {
+    setSelected(route.ticker);
+    setActiveTab(route.tab);
+    if (route.compare) setCompareTickers(cur => (cur.join() === route.compare.join() ? cur : route.compare));
+    if (route.screen) {
+      setScreen(cur => (JSON.stringify(screenParams(cur)) === JSON.stringify(screenParams(route.screen))
+        ? cur
+        : matchScreen(route.screen, [...BUILTIN_SCREENS, ...savedScreens])));
+    }
+  }
+
+  function navigate(patch) {
+    const url = routeUrl({ ticker: selected, tab: activeTab, compare: compareTickers, screen, ...patch });
+    window.history.pushState(null, "", url);
+    applyRoute(parseRoute(window.location));
+  }
 
-  // Search: with API key, searches FMP live; without API key, searches mock data only
-  // Debounced to avoid spamming the API
+  useEffect(() => {
+    const onPopState = () => applyRoute(parseRoute(window.location));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [savedScreens]);
+
+  // Comparison and screen edits (and the first load) only rewrite the
+  // current entry, so they don't flood the history
+  useEffect(() => {
+    const url = routeUrl({ ticker: selected, tab: activeTab, compare: compareTickers, screen });
+    if (url !== window.location.pathname + window.location.search) window.history.replaceState(null, "", url);
+  }, [selected, activeTab, compareTickers, screen]);
+
+  // Search: live providers are queried with a debounce to avoid spamming
+  // the API; static ones answer instantly
   function handleSearch(val) {
     setQuery(val);
+    setSearchError(null);
+    // Clear the previous timeout and drop a search still in flight
+    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
+    searchAbortRef.current?.abort();
+
     if (!val.trim()) { 
       setSuggestions([]);
       setSearchLoading(false);
-      if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
       return; 
     }
-    
-    // Clear previous timeout
-    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
-    
-    // If API key is present, do live search with debounce
-    if (apiKeyPresent) {
+
+    if (provider.live) {
       setSearchLoading(true);
       searchTimeoutRef.current = setTimeout(async () => {
+        const controller = new AbortController();
+        searchAbortRef.current = controller;
         try {
-          const liveResults = await searchHelsinkiStocks(val);
+          const liveResults = await provider.search(val, { signal: controller.signal });
           setSuggestions(liveResults);
           setSearchLoading(false);
         } catch (err) {
-          console.error("Search failed:", err);
-          // Fallback to mock if search fails
-          const local = Object.values(MOCK_STOCKS).filter(s =>
-            s.ticker.toLowerCase().includes(val.toLowerCase()) ||
-            s.name.toLowerCase().includes(val.toLowerCase())
-          );
-          setSuggestions(local);
+          if (err.kind === "aborted") return;
+          // Fall back to example data, but say why
+          setSearchError(err);
+          setSuggestions(await getProvider("mock").search(val));
           setSearchLoading(false);
         }
       }, 400); // 400ms debounce
     } else {
-      // No API key — search only mock stocks (instant, no debounce needed)
-      const local = Object.values(MOCK_STOCKS).filter(s =>
-        s.ticker.toLowerCase().includes(val.toLowerCase()) ||
-        s.name.toLowerCase().includes(val.toLowerCase())
-      );
-      setSuggestions(local);
+      provider.search(val)
+        .then(setSuggestions)
+        .catch(() => setSuggestions([]));
     }
   }
 
-  function selectStock(ticker) { setSelected(ticker); setQuery(""); setSuggestions([]); }
+  function selectStock(ticker, tab = activeTab) {
+    navigate({ ticker, tab });
+    setQuery(""); setSuggestions([]); setSearchError(null);
+  }
   function toggleWatchlist(ticker) {
     setWatchlist(p => p.includes(ticker) ? p.filter(t => t !== ticker) : [...p, ticker]);
   }
 
+  function copyActiveProfile() {
+    const copy = copyScoringProfile(scoringProfile);
+    setScoring(p => ({ ...p, activeId: copy.id, custom: [...p.custom, copy] }));
+  }
+  function updateCustomProfile(profile) {
+    setScoring(p => ({ ...p, custom: p.custom.map(c => c.id === profile.id ? profile : c) }));
+  }
+  function deleteCustomProfile(id) {
+    setScoring(p => ({ ...p, activeId: DEFAULT_SCORING_PROFILE.id, custom: p.custom.filter(c => c.id !== id) }));
+  }
+
+  function exportWatchlist(format) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") downloadFile(`seurantalista-${stamp}.csv`, watchlistToCSV(watchlist), "text/csv");
+    else downloadFile(`seurantalista-${stamp}.json`, watchlistToJSON(watchlist), "application/json");
+  }
+
+  // Imported tickers are merged into the current list, duplicates skipped
+  async function importWatchlist(file) {
+    if (!file) return;
+    try {
+      const tickers = parseWatchlistFile(await file.text(), file.name);
+      const added = tickers.filter(t => !watchlist.includes(t));
+      setWatchlist(p => [...p, ...added]);
+      setImportMessage({ ok: true, text: tr("watchlist.imported", { added: added.length, total: tickers.length }) });
+    } catch (err) {
+      setImportMessage({ ok: false, text: tr("common.importFailed", { error: err.message }) });
+    }
+  }
+
+  // Imported transactions are merged; rows already present are skipped
+  async function importTransactions(file) {
+    if (!file) return;
+    try {
+      const { transactions: parsed, skipped } = parseTransactionsCSV(decodeTextFile(await file.arrayBuffer()));
+      const known = new Set(transactions.map(transactionKey));
+      const unseen = parsed.filter(t => !known.has(transactionKey(t)));
+      const { accepted: added, oversold } = checkImportedSales(transactions, unseen);
+      setTransactions(p => [...p, ...added]);
+      const extra = [
+        parsed.length - unseen.length && tr("portfolio.import.duplicates", { n: parsed.length - unseen.length }),
+        skipped && tr("portfolio.import.skipped", { n: skipped }),
+        oversold.length && tr("portfolio.import.oversold", { n: oversold.length, tickers: [...new Set(oversold.map(t => t.ticker))].join(", ") }),
+      ].filter(Boolean);
+      setPortfolioMessage({ ok: oversold.length === 0, text: tr("portfolio.import.done", { n: added.length, extra: extra.length ? ` (${extra.join(", ")})` : "" }) });
+    } catch (err) {
+      setPortfolioMessage({ ok: false, text: tr("common.importFailed", { error: err.message }) });
+    }
+  }
+
   const tabs = [
-    { id: "yhteenveto", label: "Yhteenveto" },
-    { id: "historia",   label: "Tunnusluvut" },
-    { id: "vertailu",   label: "Vertailu" },
-    { id: "seuranta",   label: `Seuranta (${watchlist.length})` },
+    { id: "yhteenveto", label: tr("tabs.yhteenveto") },
+    { id: "historia",   label: tr("tabs.historia") },
+    { id: "vertailu",   label: tr("tabs.vertailu") },
+    { id: "arvo",       label: tr("tabs.arvo") },
+    { id: "seulonta",   label: tr("tabs.seulonta") },
+    { id: "seuranta",   label: `${tr("tabs.seuranta", { n: watchlist.length })}${unreadAlerts ? ` · 🔔${unreadAlerts}` : ""}` },
+    { id: "osingot",    label: tr("tabs.osingot") },
+    { id: "salkku",     label: tr("tabs.salkku") },
   ];
 
-  const fmtVal = (val, fmt) => {
-    if (val === undefined || val === null) return "—";
-    if (fmt === "percent") return `${val.toFixed(1)}%`;
-    if (fmt === "eps")     return `€${val.toFixed(2)}`;
-    if (fmt === "ratio")   return `${val.toFixed(1)}x`;
-    if (fmt === "num0")    return val.toLocaleString("fi-FI");
-    return val.toFixed(1);
-  };
+  // Global shortcuts: "/" focuses the search, digits switch tabs and
+  // "w" toggles the watchlist. Typing in a field never triggers them.
+  // Re-subscribed every render so the handler sees the current state.
+  useEffect(() => {
+    function onKeyDown(e) {
+      const el = e.target;
+      if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+      if (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName)) return;
+      if (e.key === "/") {
+        e.preventDefault();
+        inputRef.current?.focus();
+      } else if (/^[1-9]$/.test(e.key) && tabs[e.key - 1]) {
+        navigate({ tab: tabs[e.key - 1].id });
+      } else if (e.key === "w" || e.key === "W") {
+        toggleWatchlist(selected);
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
 
   // ── API KEY MISSING BANNER ──────────────────────────────────
-  const ApiKeyBanner = () => (
+  const ApiKeyBanner = () => apiKeyPresent ? (
     <div style={{
       background: "#fff8e1", border: `1.5px solid #f59e0b`,
       borderRadius: 12, padding: "14px 20px", display: "flex", alignItems: "center", gap: 14
     }}>
-      <span style={{ fontSize: 22 }}>🔑</span>
+      <span style={{ fontSize: 22 }}>🧪</span>
       <div>
         <div style={{ fontWeight: 800, color: "#92400e", fontSize: 14 }}>
-          API-avain puuttuu — käytetään esimerkkidataa
+          {tr("banners.staticSource", { source: provider.label })}
         </div>
         <div style={{ fontSize: 12, color: "#b45309", marginTop: 3 }}>
-          Lisää oikea data luomalla projektin juureen <code style={{ background: "#fef3c7", padding: "1px 5px", borderRadius: 4 }}>.env</code>-tiedosto
-          ja lisäämällä rivi: <code style={{ background: "#fef3c7", padding: "1px 5px", borderRadius: 4 }}>VITE_STOCK_API_KEY=avaimesi_tähän</code>
-          &nbsp;— ilmainen avain osoitteesta <strong>financialmodelingprep.com</strong>
+          {tr("banners.switchToLive")}
         </div>
       </div>
     </div>
-  );
-
-  // ── API ERROR BANNER ────────────────────────────────────────
-  const ApiErrorBanner = () => (
+  ) : (
     <div style={{
-      background: "#fee2e2", border: `1.5px solid ${C.bad}`,
+      background: "#fff8e1", border: `1.5px solid #f59e0b`,
       borderRadius: 12, padding: "14px 20px", display: "flex", alignItems: "center", gap: 14
     }}>
-      <span style={{ fontSize: 22 }}>⚠️</span>
+      <span style={{ fontSize: 22 }}>🔑</span>
       <div>
-        <div style={{ fontWeight: 800, color: C.bad, fontSize: 14 }}>API-virhe — näytetään esimerkkidata</div>
-        <div style={{ fontSize: 12, color: "#7f1d1d", marginTop: 3 }}>{apiError}</div>
+        <div style={{ fontWeight: 800, color: "#92400e", fontSize: 14 }}>
+          {tr("banners.noKey")}
+        </div>
+        <div style={{ fontSize: 12, color: "#b45309", marginTop: 3 }}>
+          {tr("banners.noKeyCreate")} <code style={{ background: "#fef3c7", padding: "1px 5px", borderRadius: 4 }}>.env</code>{tr("banners.noKeyFile")}
+          {" "}{tr("banners.noKeyLine")} <code style={{ background: "#fef3c7", padding: "1px 5px", borderRadius: 4 }}>VITE_STOCK_API_KEY={tr("banners.noKeyPlaceholder")}</code>
+          &nbsp;— {tr("banners.noKeyFree")} <strong>financialmodelingprep.com</strong>
+        </div>
       </div>
     </div>
   );
 
+  // ── API ERROR BANNER ────────────────────────────────────────
+  // Each error class gets its own advice; plain Errors (e.g. a broken
+  // data file) fall back to showing the message as is.
+  const codeStyle = { background: "#fecaca", padding: "1px 5px", borderRadius: 4 };
+  const ApiErrorBanner = () => {
+    const kind = apiError.kind;
+    const after = apiError.retryAfter;
+    const wait = !after ? null
+      : after >= HOUR ? `${Math.ceil(after / HOUR)} h`
+      : after >= MINUTE ? `${Math.ceil(after / MINUTE)} min`
+      : `${Math.ceil(after / 1000)} s`;
+    const limit = FMP_PLAN.perDay ? tr("banners.perDay", { n: FMP_PLAN.perDay }) : tr("banners.perMinute", { n: FMP_PLAN.perMinute });
+    const hints = {
+      auth: <>{tr("banners.authCheck")} <code style={codeStyle}>VITE_STOCK_API_KEY</code> · <code style={codeStyle}>.env</code> — {tr("banners.authRestart")}</>,
+      quota: <>{tr("banners.quotaUsed", { plan: FMP_PLAN.label, limit })}
+        {" "}{wait ? tr("banners.retryIn", { wait }) : tr("banners.retryLater")}</>,
+      plan: <>{tr("banners.notInPlan", { plan: FMP_PLAN.label })} <code style={codeStyle}>VITE_FMP_PLAN</code>.</>,
+      notFound: <>{tr("banners.tickerNotFound", { ticker: selected, source: provider.label })}</>,
+      network: <>{tr("banners.network")}</>,
+      server: <>{tr("banners.server", { status: apiError.status ? ` (${apiError.status})` : "" })}</>,
+    };
+    return (
+      <div style={{
+        background: "#fee2e2", border: `1.5px solid ${C.bad}`,
+        borderRadius: 12, padding: "14px 20px", display: "flex", alignItems: "center", gap: 14
+      }}>
+        <span style={{ fontSize: 22 }}>{{ auth: "🔑", quota: "⏳", plan: "🔒", notFound: "🔍", network: "📡" }[kind] ?? "⚠️"}</span>
+        <div style={{ flex: 1 }}>
+          <div style={{ fontWeight: 800, color: C.bad, fontSize: 14 }}>
+            {tr("banners.showingExample", { reason: API_ERROR_KINDS[kind] ?? tr("banners.apiError") })}
+          </div>
+          <div style={{ fontSize: 12, color: "#7f1d1d", marginTop: 3 }}>{hints[kind] ?? apiError.message}</div>
+        </div>
+        {TRANSIENT_ERRORS.includes(kind) && (
+          <button onClick={() => setRetryCount(n => n + 1)} style={{
+            background: C.white, border: `1.5px solid ${C.bad}`, borderRadius: 8,
+            padding: "6px 12px", fontSize: 12, fontWeight: 700, color: C.bad, cursor: "pointer", flexShrink: 0
+          }}>{tr("common.retry")}</button>
+        )}
+      </div>
+    );
+  };
+
+  // ── PARTIAL DATA BANNER ─────────────────────────────────────
+  // The profile loaded but some sections did not; what did load stays live
+  const PartialDataBanner = () => {
+    const failed = Object.entries(liveStock.missing);
+    return (
+      <div style={{
+        background: C.warnBg, border: `1.5px solid #f59e0b`,
+        borderRadius: 12, padding: "14px 20px", display: "flex", alignItems: "center", gap: 14
+      }}>
+        <span style={{ fontSize: 22 }}>🧩</span>
+        <div style={{ flex: 1 }}>
+          <div style={{ fontWeight: 800, color: "#92400e", fontSize: 14 }}>{tr("banners.partial")}</div>
+          <div style={{ fontSize: 12, color: "#b45309", marginTop: 3 }}>
+            {failed.map(([section, err]) => `${STOCK_SECTIONS[section]}: ${sectionErrorText(err)}`).join(" · ")}
+          </div>
+        </div>
+        {failed.some(([, err]) => TRANSIENT_ERRORS.includes(err.kind)) && (
+          <button onClick={() => setRetryCount(n => n + 1)} style={{
+            background: C.white, border: `1.5px solid #f59e0b`, borderRadius: 8,
+            padding: "6px 12px", fontSize: 12, fontWeight: 700, color: C.warn, cursor: "pointer", flexShrink: 0
+          }}>{tr("common.retry")}</button>
+        )}
+      </div>
+    );
+  };
+
   // ── API LOADING SPINNER ─────────────────────────────────────
   const LoadingOverlay = () => (
     <div style={{ display: "flex", alignItems: "center", gap: 12, padding: "20px 0", color: C.textMid }}>
       <div style={{ width: 20, height: 20, border: `3px solid ${C.blueBorder}`, borderTopColor: C.blue, borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />
-      <span style={{ fontSize: 14, fontWeight: 600 }}>Haetaan dataa Helsingin pörssistä…</span>
+      <span style={{ fontSize: 14, fontWeight: 600 }}>{tr("banners.loading")}</span>
       <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>
     </div>
   );
@@ -506,58 +4897,35 @@ export default function App() {
                 OSAKE<span style={{ color: C.blueMid }}>APURI</span>
               </div>
               <div style={{ fontSize: 10, fontWeight: 700, color: C.textLight, letterSpacing: "0.12em", textTransform: "uppercase", marginTop: 2 }}>
-                Helsingin pörssi
+                {tr("benchmarks.market")}
               </div>
             </div>
           </div>
 
           {/* Search */}
-          <div style={{ position: "relative", width: "100%", maxWidth: 380 }}>
-            <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", color: C.textLight, fontSize: 14 }}>🔍</span>
-            <input
-              ref={inputRef} value={query}
-              onChange={e => handleSearch(e.target.value)}
-              placeholder="Hae osaketta... (esim. Nokia, KNEBV)"
-              style={{
-                width: "100%", boxSizing: "border-box",
-                background: C.bluePale, border: `1.5px solid ${C.blueBorder}`,
-                borderRadius: 10, padding: "10px 16px 10px 36px",
-                fontSize: 13, color: C.text, outline: "none",
-              }}
-              onFocus={e => e.target.style.borderColor = C.blue}
-              onBlur={e => e.target.style.borderColor = C.blueBorder}
+          <SearchCombobox
+            inputRef={inputRef}
+            query={query}
+            suggestions={suggestions}
+            loading={searchLoading}
+            error={searchError}
+            onQueryChange={handleSearch}
+            onSelect={ticker => selectStock(ticker)}
+          />
+
+          <div style={{ minWidth: 140, flexShrink: 0, display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 8 }}>
+            <SegmentedControl label={tr("settings.language")} value={settings.language}
+              options={Object.fromEntries(Object.entries(LANGUAGES).map(([id, l]) => [id, l.short]))}
+              onChange={language => setSettings(p => ({ ...p, language }))} />
+            <SettingsMenu
+              open={settingsOpen}
+              onToggle={() => setSettingsOpen(o => !o)}
+              settings={settings}
+              onChange={patch => setSettings(p => ({ ...p, ...patch }))}
+              activeProvider={provider}
+              universeStatus={{ ready: universeLoaded.length }}
             />
-            {(searchLoading || suggestions.length > 0) && (
-              <div style={{
-                position: "absolute", top: "calc(100% + 4px)", left: 0, right: 0, zIndex: 50,
-                background: C.white, border: `1.5px solid ${C.blueBorder}`,
-                borderRadius: 12, overflow: "hidden", boxShadow: "0 8px 28px rgba(0,53,128,0.14)"
-              }}>
-                {searchLoading ? (
-                  <div style={{ padding: "16px", display: "flex", alignItems: "center", gap: 10, color: C.textMid }}>
-                    <div style={{ width: 16, height: 16, border: `2px solid ${C.blueBorder}`, borderTopColor: C.blue, borderRadius: "50%", animation: "spin 0.6s linear infinite" }} />
-                    <span style={{ fontSize: 12 }}>Etsitään Helsinki-osakkeita…</span>
-                  </div>
-                ) : (
-                  suggestions.map(s => (
-                    <button key={s.ticker} onClick={() => selectStock(s.ticker)}
-                      style={{ width: "100%", padding: "10px 16px", display: "flex", alignItems: "center", gap: 10, background: "none", border: "none", cursor: "pointer", borderBottom: `1px solid ${C.bluePale}`, textAlign: "left" }}
-                      onMouseEnter={e => e.currentTarget.style.background = C.bluePale}
-                      onMouseLeave={e => e.currentTarget.style.background = "none"}
-                    >
-                      <span style={{ fontSize: 20 }}>{s.logo}</span>
-                      <div>
-                        <div style={{ fontSize: 13, fontWeight: 700, color: C.text }}>{s.name}</div>
-                        <div style={{ fontSize: 11, color: C.textLight }}>{s.ticker} · {s.sector}</div>
-                      </div>
-                    </button>
-                  ))
-                )}
-              </div>
-            )}
           </div>
-
-          <div style={{ width: 140, flexShrink: 0 }} />
         </div>
       </header>
 
@@ -565,8 +4933,9 @@ export default function App() {
 
         {/* ── TABS ── */}
         <div style={{ display: "flex", gap: 4, background: C.bluePale, border: `1.5px solid ${C.blueBorder}`, borderRadius: 12, padding: 4, width: "fit-content" }}>
-          {tabs.map(tab => (
-            <button key={tab.id} onClick={() => setActiveTab(tab.id)}
+          {tabs.map((tab, i) => (
+            <button key={tab.id} onClick={() => navigate({ tab: tab.id })}
+              aria-current={activeTab === tab.id ? "page" : undefined} aria-keyshortcuts={String(i + 1)}
               style={{
                 padding: "8px 18px", borderRadius: 9, fontSize: 13, fontWeight: 700, cursor: "pointer", border: "none", transition: "all .2s",
                 ...(activeTab === tab.id
@@ -579,9 +4948,10 @@ export default function App() {
         </div>
 
         {/* ── STATUS BANNERS ── */}
-        {!apiKeyPresent && <ApiKeyBanner />}
-        {apiKeyPresent && apiError && <ApiErrorBanner />}
-        {apiKeyPresent && apiLoading && <LoadingOverlay />}
+        {!provider.live && <ApiKeyBanner />}
+        {apiError && <ApiErrorBanner />}
+        {liveStock?.missing && <PartialDataBanner />}
+        {provider.live && apiLoading && <LoadingOverlay />}
 
         {/* ── STOCK HERO ── */}
         {!apiLoading && (
@@ -599,28 +4969,54 @@ export default function App() {
                 <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 4 }}>
                   <span style={{ fontSize: 24, fontWeight: 900, color: C.blue }}>{stock.name}</span>
                   <Badge text={stock.ticker} blue />
-                  <Badge text={stock.sector} />
-                  {liveStock && <Badge text="● Live" blue />}
+                  <Badge text={sectorName(stock.sector)} />
+                  {showingMock
+                    ? <Badge text={tr("providers.mock")} warn title={tr("hero.mockHint")} />
+                    : provider.live && <Badge text="● Live" blue />}
+                  {liveStock?.missing && (
+                    <Badge text={tr("hero.partial")} warn
+                      title={tr("hero.partialHint", { sections: Object.keys(liveStock.missing).map(k => STOCK_SECTIONS[k]).join(", ") })} />
+                  )}
                 </div>
                 <div style={{ fontSize: 13, color: C.textMid, marginBottom: 6 }}>{stock.description}</div>
                 <div style={{ display: "flex", alignItems: "baseline", gap: 8 }}>
-                  <span style={{ fontSize: 30, fontWeight: 900, color: C.blue }}>€{stock.currentPrice?.toFixed(2) ?? "—"}</span>
+                  <span style={{ fontSize: 30, fontWeight: 900, color: C.blue }}>{formatEur(stock.currentPrice)}</span>
+                  {provider.live && liveStock?.fetchedAt && (
+                    <span style={{ fontSize: 11, color: liveStock.stale ? C.warn : C.textLight, fontWeight: 600 }}>
+                      {tr("hero.updated", { age: formatAge(liveStock.fetchedAt, now) })}
+                      {refreshing ? ` · ${tr("hero.refreshing")}` : liveStock.stale ? ` · ${tr("hero.stale")}` : ""}
+                      {refreshError && (
+                        <span style={{ color: C.bad }} title={refreshError.message}> · {tr("hero.refreshFailed", { reason: API_ERROR_KINDS[refreshError.kind] ?? refreshError.message })}</span>
+                      )}
+                    </span>
+                  )}
+                  {provider.live && liveStock && (
+                    <button onClick={() => refreshStock(selected)} disabled={refreshing} title={tr("hero.refresh")}
+                      style={{ fontSize: 13, color: C.blueMid, background: "none", border: "none", cursor: refreshing ? "default" : "pointer", padding: 0 }}>
+                      ↻
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
             <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
-              <ScoreRing score={scores.total} />
-              <button onClick={() => toggleWatchlist(selected)}
+              <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 4 }}>
+                <ScoreRing score={scores.total} />
+                <ConfidenceBadge confidence={scores.confidence} />
+              </div>
+              <button onClick={() => toggleWatchlist(selected)} aria-pressed={inWatchlist} aria-keyshortcuts="w"
+                title={tr("shortcuts.key", { key: "W" })}
                 style={{
                   padding: "8px 16px", borderRadius: 10, fontSize: 13, fontWeight: 700, cursor: "pointer",
                   ...(inWatchlist
                     ? { background: C.warnBg, color: C.warn, border: `1.5px solid #f59e0b` }
                     : { background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` })
                 }}>
-                {inWatchlist ? "★ Seurannassa" : "☆ Lisää seurantaan"}
+                {inWatchlist ? `★ ${tr("watchlist.inList")}` : `☆ ${tr("watchlist.add")}`}
               </button>
             </div>
           </div>
+          <PriceChart stock={stock} provider={liveStock ? provider : getProvider("mock")} />
         </Card>
         )}
 
@@ -631,17 +5027,45 @@ export default function App() {
         {activeTab === "yhteenveto" && (
           <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
 
+            <ScoringProfilePanel
+              profiles={scoringProfiles}
+              profile={scoringProfile}
+              onSelect={id => setScoring(p => ({ ...p, activeId: id }))}
+              onCopy={copyActiveProfile}
+              onUpdate={updateCustomProfile}
+              onDelete={deleteCustomProfile}
+              mode={scoring.mode}
+              onModeChange={mode => setScoring(p => ({ ...p, mode }))}
+            />
+
+            <div style={{ fontSize: 12, color: C.textMid, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+              {tr("summary.scoredWith")}
+              <Badge text={`${scoringProfile.name} · ${SCORING_MODES[scores.mode]} · ${PERIODS[periodFallback ? "annual" : settings.period]}`} blue />
+              {scores.mode === "sector" && (
+                <span style={{ color: C.textLight }}>
+                  {scores.reference.fallback
+                    ? tr("summary.referenceMarket", { market: scores.reference.label, count: scores.reference.count, sector: sectorName(stock.sector), min: MIN_SECTOR_SAMPLE })
+                    : tr("summary.referenceSector", { sector: scores.reference.label, count: scores.reference.count })}, {BENCHMARK_STATS[scores.reference.stat].toLowerCase()}
+                </span>
+              )}
+              <SegmentedControl options={PERIODS} value={settings.period} onChange={period => setSettings(p => ({ ...p, period }))} style={{ marginLeft: "auto" }} />
+            </div>
+
+            {stock.missing?.metrics && <MissingSection section="metrics" error={stock.missing.metrics} />}
+
             {/* Score cards */}
             <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 14 }}>
-              {[
-                { key: "arvostus",     label: "Arvostus",     weight: "30%", icon: "💰", desc: "P/E, PEG, P/B, P/FCF" },
-                { key: "laatu",        label: "Laatu",        weight: "30%", icon: "⭐", desc: "ROE, EBIT-%" },
-                { key: "kasvu",        label: "Kasvu",        weight: "20%", icon: "🚀", desc: "Liikevaihto, EPS" },
-                { key: "vakavaraisuus",label: "Vakavaraisuus",weight: "20%", icon: "🛡️", desc: "Omavaraisuus, Nettovelkaantuminen" },
-              ].map(cat => {
+              {SCORE_CATEGORIES.map(c => ({
+                ...c,
+                weight: categoryWeightLabel(scoringProfile, c.key),
+                desc: Object.entries(scoringProfile.categories[c.key].metrics)
+                  .filter(([, cfg]) => cfg.weight > 0)
+                  .map(([k]) => SCORE_METRICS[k].label)
+                  .join(", "),
+              })).map(cat => {
                 const val = scores[cat.key];
-                const clr = val >= 70 ? C.good : val >= 45 ? C.warn : C.bad;
-                const bg  = val >= 70 ? C.goodBg : val >= 45 ? C.warnBg : C.badBg;
+                const clr = val == null ? C.textLight : val >= 70 ? C.good : val >= 45 ? C.warn : C.bad;
+                const bg  = val == null ? C.bg : val >= 70 ? C.goodBg : val >= 45 ? C.warnBg : C.badBg;
                 return (
                   <Card key={cat.key} style={{ padding: 18 }}>
                     <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 12 }}>
@@ -652,13 +5076,21 @@ export default function App() {
                       <span style={{ background: C.bluePale, color: C.blue, borderRadius: 6, padding: "2px 7px", fontSize: 11, fontWeight: 800 }}>{cat.weight}</span>
                     </div>
                     <div style={{ display: "flex", alignItems: "flex-end", gap: 4, marginBottom: 10 }}>
-                      <span style={{ fontSize: 36, fontWeight: 900, lineHeight: 1, color: clr }}>{val}</span>
+                      <span style={{ fontSize: 36, fontWeight: 900, lineHeight: 1, color: clr }}>{val ?? "—"}</span>
                       <span style={{ fontSize: 12, color: C.textLight, marginBottom: 4 }}>/100</span>
                       <span style={{ marginLeft: "auto", background: bg, color: clr, borderRadius: 6, padding: "2px 8px", fontSize: 11, fontWeight: 700 }}>
-                        {val >= 70 ? "Hyvä" : val >= 45 ? "OK" : "Heikko"}
+                        {val == null ? tr("common.noData") : val >= 70 ? tr("summary.grades.good") : val >= 45 ? tr("summary.grades.ok") : tr("summary.grades.weak")}
                       </span>
                     </div>
-                    <ScoreBar value={val} />
+                    <ScoreBar value={val} label={tr("summary.barLabel", { category: cat.label })} />
+                    <button
+                      onClick={() => setOpenBreakdowns(p => p.includes(cat.key) ? p.filter(k => k !== cat.key) : [...p, cat.key])}
+                      style={{ marginTop: 10, padding: 0, fontSize: 11, fontWeight: 700, color: C.blueMid, background: "none", border: "none", cursor: "pointer" }}>
+                      {openBreakdowns.includes(cat.key) ? `${tr("summary.hideBreakdown")} ▴` : `${tr("summary.showBreakdown")} ▾`}
+                    </button>
+                    {openBreakdowns.includes(cat.key) && (
+                      <ScoreBreakdown entries={scores.breakdown[cat.key]} />
+                    )}
                   </Card>
                 );
               })}
@@ -671,105 +5103,161 @@ export default function App() {
         {activeTab === "historia" && (
           <Card style={{ overflow: "hidden" }}>
             <div style={{ padding: "16px 20px", borderBottom: `1px solid ${C.blueBorder}`, background: C.bluePale }}>
-              <SectionTitle>📊 {stock.name.toUpperCase()} – TUNNUSLUVUT</SectionTitle>
+              <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                <SectionTitle>📊 {stock.name.toUpperCase()} – {tr("tabs.historia").toUpperCase()}</SectionTitle>
+                <SegmentedControl options={PERIODS} value={settings.period} onChange={period => setSettings(p => ({ ...p, period }))} />
+              </div>
+              {periodFallback && (
+                <div style={{ fontSize: 12, color: C.warn, fontWeight: 600 }}>
+                  {stock.missing?.quarters
+                    ? tr("history.quartersFailed", { reason: sectionErrorText(stock.missing.quarters) })
+                    : tr("history.quartersUnavailable")} — {tr("history.showingAnnual")}
+                </div>
+              )}
             </div>
+            {periods.length === 0 ? (
+              <div style={{ padding: 20 }}><MissingSection section="metrics" error={stock.missing?.metrics} /></div>
+            ) : (
             <div style={{ overflowX: "auto" }}>
               <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
                 <thead>
                   <tr style={{ background: C.blue }}>
-                    <th style={{ padding: "10px 14px", textAlign: "left", color: C.white, fontSize: 11, fontWeight: 800, letterSpacing: "0.08em", textTransform: "uppercase" }}>Tunnusluku</th>
-                    {years.map(y => (
-                      <th key={y} style={{ padding: "10px 14px", textAlign: "right", color: y === 2025 ? "#FFE066" : "rgba(255,255,255,0.75)", fontSize: 11, fontWeight: 800, letterSpacing: "0.06em" }}>
-                        {y}{y === 2025 ? " ★" : ""}
+                    <th style={{ padding: "10px 14px", textAlign: "left", color: C.white, fontSize: 11, fontWeight: 800, letterSpacing: "0.08em", textTransform: "uppercase" }}>{tr("keyFigures.column")}</th>
+                    {periods.map(k => (
+                      <th key={k} style={{ padding: "10px 14px", textAlign: "right", color: k === latestPeriod ? "#FFE066" : "rgba(255,255,255,0.75)", fontSize: 11, fontWeight: 800, letterSpacing: "0.06em", whiteSpace: "nowrap" }}>
+                        {settings.period === "ttm" && !periodFallback ? tr("history.ttmColumn", { period: k }) : k}{k === latestPeriod ? " ★" : ""}
                       </th>
                     ))}
+                    <th style={{ padding: "10px 14px", textAlign: "right", color: C.white, fontSize: 11, fontWeight: 800, letterSpacing: "0.08em", textTransform: "uppercase" }}>{tr("history.trend")}</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {[
-                    { label: "P/E-luku",                  key: "pe",             fmt: "ratio",   lo: true, bm: sectorAvg.pe },
-                    { label: "PEG-luku",                  key: "peg",            fmt: "ratio",   lo: true, bm: sectorAvg.peg },
-                    { label: "P/B-luku",                  key: "pb",             fmt: "ratio",   lo: true, bm: sectorAvg.pb },
-                    { label: "P/FCF",                     key: "pfcf",           fmt: "ratio",   lo: true, bm: 20 },
-                    { label: "EPS (€)",                   key: "eps",            fmt: "eps",     bm: 0 },
-                    { label: "ROE-%",                     key: "roe",            fmt: "percent", bm: sectorAvg.roe },
-                    { label: "EBIT-%",                    key: "ebit",           fmt: "percent", bm: sectorAvg.ebit },
-                    { label: "Osinkoa per osake (€)",     key: "dps",            fmt: "eps",     bm: null },
-                    { label: "Osinkotuotto-%",            key: "dy",             fmt: "percent", bm: sectorAvg.dy },
-                    { label: "Omavaraisuus-%",            key: "eq",             fmt: "percent", bm: sectorAvg.eq },
-                    { label: "Nettovelkaantuminen-%",     key: "nettovelka",     fmt: "percent", lo: true, bm: 30 },
-                    { label: "Liikevaihto (M€)",          key: "revenue",        fmt: "num0",    bm: null },
-                    { label: "Liikevaihto-kasvu-%",       key: "revenueGrowth",  fmt: "percent", bm: 0 },
-                    { label: "EPS-kasvu-%",               key: "earningsGrowth", fmt: "percent", bm: 0 },
-                  ].map((row, i) => (
-                    <tr key={row.label} style={{ background: i % 2 === 0 ? C.white : C.bluePale, borderBottom: `1px solid ${C.blueBorder}40` }}>
-                      <td style={{ padding: "9px 14px", color: C.textMid, fontWeight: 600, whiteSpace: "nowrap", fontSize: 12 }}>{row.label}</td>
-                      {years.map(y => {
-                        const latestYear = Math.max(...years);
-                        const val = stock.years[y][row.key];
+                  {keyFigureRows(sectorAvg).filter(row => periods.some(k => periodStock.years[k][row.key] != null)).map((row, i) => {
+                    const points = periods.map(k => ({ year: k, value: periodStock.years[k][row.key] }));
+                    // Computed benchmarks exist per year; fixed thresholds stay flat
+                    const bmByYear = BENCHMARK_METRICS.includes(row.key)
+                      ? Object.fromEntries(periods.map(k => [k, yearBenchmarks[k][row.key]]))
+                      : null;
+                    const trend = trendOf(points, row.trend);
+                    const trendClr = !trend || trend.value === 0 ? C.textLight : (row.lo ? trend.value < 0 : trend.value > 0) ? C.good : C.bad;
+                    const expanded = expandedMetric === row.key;
+                    return (
+                    <Fragment key={row.label}>
+                    <tr onClick={() => setExpandedMetric(expanded ? null : row.key)}
+                      style={{ background: i % 2 === 0 ? C.white : C.bluePale, borderBottom: `1px solid ${C.blueBorder}40`, cursor: "pointer" }}>
+                      <td style={{ padding: "9px 14px", color: C.textMid, fontWeight: 600, whiteSpace: "nowrap", fontSize: 12 }}>
+                        <span style={{ color: C.textLight, marginRight: 6 }}>{expanded ? "▾" : "▸"}</span>{row.label}
+                      </td>
+                      {periods.map(k => {
+                        const val = periodStock.years[k][row.key];
+                        const bm = bmByYear ? bmByYear[k] : row.bm;
                         let color = C.text;
-                        if (row.bm !== null && val !== undefined && val !== null) {
-                          color = (row.lo ? val < row.bm : val > row.bm) ? C.good : C.bad;
+                        if (bm != null && val !== undefined && val !== null) {
+                          color = (row.lo ? val < bm : val > bm) ? C.good : C.bad;
                         }
                         return (
-                          <td key={y} style={{ padding: "9px 14px", textAlign: "right", fontVariantNumeric: "tabular-nums", color, fontWeight: y === latestYear ? 800 : 400 }}>
-                            {fmtVal(val, row.fmt)}
+                          <td key={k} style={{ padding: "9px 14px", textAlign: "right", fontVariantNumeric: "tabular-nums", color, fontWeight: k === latestPeriod ? 800 : 400 }}>
+                            {formatValue(val, row.fmt)}
                           </td>
                         );
                       })}
+                      <td style={{ padding: "6px 14px", textAlign: "right", whiteSpace: "nowrap" }}>
+                        <Sparkline values={points.map(p => p.value)} color={trendClr} />
+                        <span style={{ marginLeft: 8, fontSize: 11, fontWeight: 700, color: trendClr, display: "inline-block", minWidth: 84 }}>
+                          {trend && (trend.value > 0 ? "↗ " : trend.value < 0 ? "↘ " : "→ ")}{formatTrend(trend, row.fmt)}
+                        </span>
+                      </td>
                     </tr>
-                  ))}
+                    {expanded && (
+                      <tr style={{ background: C.white, borderBottom: `1px solid ${C.blueBorder}` }}>
+                        <td colSpan={periods.length + 2} style={{ padding: "12px 20px" }}>
+                          <MetricHistoryChart label={row.label} points={points} benchmark={bmByYear ?? row.bm} fmt={row.fmt}
+                            benchmarkLabel={`${sectorRef.label} ${BENCHMARK_STATS[settings.benchmarkStat].toLowerCase()}`} />
+                        </td>
+                      </tr>
+                    )}
+                    </Fragment>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
+            )}
             <div style={{ padding: "10px 20px", background: C.bluePale, borderTop: `1px solid ${C.blueBorder}`, display: "flex", gap: 20, flexWrap: "wrap", fontSize: 11 }}>
-              <span style={{ color: C.good, fontWeight: 700 }}>● Toimiala-ka parempi</span>
-              <span style={{ color: C.bad, fontWeight: 700 }}>● Toimiala-ka heikompi</span>
-              <span style={{ color: C.blue, fontWeight: 800 }}>★ Viimeisin vuosi</span>
+              <span style={{ color: C.good, fontWeight: 700 }}>● {tr("history.better")}</span>
+              <span style={{ color: C.bad, fontWeight: 700 }}>● {tr("history.worse")}</span>
+              <span style={{ color: C.textMid }}>
+                {tr("history.peerGroup", { label: sectorRef.label, stat: BENCHMARK_STATS[settings.benchmarkStat].toLowerCase(), count: sectorRef.group?.count ?? 0 })}
+              </span>
+              <span style={{ color: C.blue, fontWeight: 800 }}>★ {settings.period === "annual" || periodFallback ? tr("history.latestYear") : tr("history.latestQuarter")}</span>
+              {settings.period !== "annual" && !periodFallback && (
+                <span style={{ color: C.textMid }}>
+                  {settings.period === "ttm" ? tr("history.ttmNote") : tr("history.quarterlyNote")}
+                </span>
+              )}
             </div>
           </Card>
         )}
 
         {/* ── TAB: VERTAILU ── */}
         {activeTab === "vertailu" && (() => {
-          const latestYear = Math.max(...years);
-          const stockPe = stock.years[latestYear].pe;
-          const maxPe = Math.max(stockPe, sectorAvg.pe, MARKET_AVERAGE.pe) * 1.2;
+          const latest = latestRowOf(stock);
+          const stockPe = latest.pe;
+          const statLabel = BENCHMARK_STATS[settings.benchmarkStat].toLowerCase();
+          const sectorRows = Object.entries(benchmarks.sectors).sort((a, b) => b[1].count - a[1].count);
           return (
+            <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+            <StockComparison
+              tickers={compareTickers}
+              entries={compareStocks.entries}
+              candidates={[...new Set([...watchlist, ...Object.keys(MOCK_STOCKS)])]}
+              onAdd={t => setCompareTickers(prev => (prev.includes(t) || prev.length >= COMPARE_MAX ? prev : [...prev, t]))}
+              onRemove={t => setCompareTickers(prev => prev.filter(x => x !== t))}
+              profile={scoringProfile}
+              scoreOptions={scoreOptions}
+              period={settings.period}
+            />
             <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(340px, 1fr))", gap: 20, alignItems: "stretch" }}>
 
               {/* LEFT: Toimialavertailu */}
               <Card style={{ padding: 20, display: "flex", flexDirection: "column" }}>
-                <SectionTitle>🏢 Toimialavertailu · {stock.sector}</SectionTitle>
+                <SectionTitle>🏢 {tr("sectorCompare.title")} · {sectorRef.label}</SectionTitle>
+                <div style={{ fontSize: 11, color: C.textLight, marginTop: -6, marginBottom: 12 }}>
+                  {sectorRef.fallback
+                    ? tr("sectorCompare.fallback", { sector: sectorName(stock.sector), min: MIN_SECTOR_SAMPLE, count: sectorRef.group?.count ?? 0, stat: statLabel })
+                    : `${tr("sectorCompare.companies", { count: sectorRef.group.count })} · ${statLabel}`}
+                </div>
                 <div style={{ display: "flex", flexDirection: "column", gap: 16, flex: 1, justifyContent: "space-between" }}>
                   {[
-                    { label: "P/E-luku",       sv: stockPe,                     av: sectorAvg.pe,   lo: true },
-                    { label: "PEG-luku",        sv: stock.pegRatio,               av: sectorAvg.peg,  lo: true },
-                    { label: "P/B-luku",       sv: stock.years[latestYear].pb,   av: sectorAvg.pb,   lo: true },
-                    { label: "ROE-%",          sv: stock.years[latestYear].roe,  av: sectorAvg.roe },
-                    { label: "EBIT-%",         sv: stock.years[latestYear].ebit, av: sectorAvg.ebit },
-                    { label: "Osinkotuotto-%", sv: stock.years[latestYear].dy,   av: sectorAvg.dy },
-                    { label: "Omavaraisuus-%", sv: stock.years[latestYear].eq,   av: sectorAvg.eq },
+                    { label: tr("keyFigures.pe"),  sv: stockPe,        av: sectorAvg.pe,   lo: true },
+                    { label: tr("keyFigures.peg"), sv: stock.pegRatio, av: sectorAvg.peg,  lo: true },
+                    { label: tr("keyFigures.pb"),  sv: latest.pb,      av: sectorAvg.pb,   lo: true },
+                    { label: tr("keyFigures.roe"), sv: latest.roe,     av: sectorAvg.roe },
+                    { label: tr("keyFigures.ebit"), sv: latest.ebit,   av: sectorAvg.ebit },
+                    { label: tr("keyFigures.dy"),  sv: latest.dy,      av: sectorAvg.dy },
+                    { label: tr("keyFigures.eq"),  sv: latest.eq,      av: sectorAvg.eq },
                   ].map(item => {
+                    const hasValue = item.sv != null && Number.isFinite(item.sv);
+                    const hasAvg = item.av != null;
                     const better = item.lo ? item.sv < item.av : item.sv > item.av;
-                    const clr = better ? C.good : C.bad;
-                    const max = Math.max(item.sv, item.av) * 1.2 || 1;
+                    const clr = !hasValue || !hasAvg ? C.textLight : better ? C.good : C.bad;
+                    const max = Math.max(hasValue ? item.sv : 0, item.av ?? 0) * 1.2 || 1;
                     return (
                       <div key={item.label}>
                         <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 5 }}>
                           <span style={{ color: C.textMid, fontWeight: 700 }}>{item.label}</span>
                           <span>
-                            <span style={{ color: clr, fontWeight: 800 }}>{item.sv.toFixed(1)}</span>
-                            <span style={{ color: C.textLight }}> vs {item.av.toFixed(1)}</span>
+                            <span style={{ color: clr, fontWeight: 800 }}>{formatNumber(item.sv)}</span>
+                            <span style={{ color: C.textLight }}> vs {formatNumber(item.av)}</span>
                           </span>
                         </div>
                         <div style={{ display: "flex", gap: 3, height: 8, borderRadius: 99, overflow: "hidden", background: C.bluePale }}>
-                          <div style={{ width: `${(item.sv / max) * 50}%`, background: clr, borderRadius: 99, transition: "width .6s" }} />
-                          <div style={{ width: `${(item.av / max) * 50}%`, background: C.blueBorder, borderRadius: 99 }} />
+                          <div style={{ width: `${hasValue ? (item.sv / max) * 50 : 0}%`, background: clr, borderRadius: 99, transition: "width .6s" }} />
+                          <div style={{ width: `${((item.av ?? 0) / max) * 50}%`, background: C.blueBorder, borderRadius: 99 }} />
                         </div>
                         <div style={{ display: "flex", gap: 16, fontSize: 10, marginTop: 3 }}>
                           <span style={{ color: clr, fontWeight: 700 }}>● {stock.name.split(" ")[0]}</span>
-                          <span style={{ color: C.textLight }}>● Toimiala-ka</span>
+                          <span style={{ color: C.textLight }}>● {sectorRef.label} ({statLabel})</span>
                         </div>
                       </div>
                     );
@@ -779,16 +5267,17 @@ export default function App() {
 
               {/* RIGHT: P/E stacked comparison */}
               <Card style={{ padding: 20, display: "flex", flexDirection: "column" }}>
-                <SectionTitle>📈 P/E-luvun vertailu</SectionTitle>
+                <SectionTitle>📈 {tr("sectorCompare.peTitle")}</SectionTitle>
                 <div style={{ display: "flex", flexDirection: "column", gap: 10, flex: 1 }}>
                   {[
-                    { label: stock.name.split(" ")[0], sublabel: "Valittu osake", value: stockPe, isStock: true },
-                    { label: `${stock.sector}`, sublabel: "Toimialakohtainen ka", value: sectorAvg.pe, isStock: false },
-                    { label: "Helsingin pörssi", sublabel: "Markkinakeskiarvo", value: MARKET_AVERAGE.pe, isStock: false },
-                  ].map(row => {
-                    const clr = row.isStock ? (stockPe < sectorAvg.pe ? C.good : C.bad) : C.blueMid;
-                    const bg  = row.isStock ? (stockPe < sectorAvg.pe ? C.goodBg : C.badBg) : C.bluePale;
-                    const bd  = row.isStock ? (stockPe < sectorAvg.pe ? C.good : C.bad) : C.blueBorder;
+                    { label: stock.name.split(" ")[0], sublabel: tr("sectorCompare.selected"), value: stockPe, isStock: true },
+                    !sectorRef.fallback && { label: sectorRef.label, sublabel: tr("sectorCompare.sectorStat", { stat: statLabel, count: sectorRef.group.count }), value: sectorAvg.pe, isStock: false },
+                    { label: tr("benchmarks.market"), sublabel: tr("sectorCompare.marketStat", { stat: statLabel, count: benchmarks.market.count }), value: marketAvg.pe, isStock: false },
+                  ].filter(Boolean).map(row => {
+                    const peMissing = stockPe == null || sectorAvg.pe == null;
+                    const clr = row.isStock ? (peMissing ? C.textLight : stockPe < sectorAvg.pe ? C.good : C.bad) : C.blueMid;
+                    const bg  = row.isStock ? (peMissing ? C.bg : stockPe < sectorAvg.pe ? C.goodBg : C.badBg) : C.bluePale;
+                    const bd  = row.isStock ? (peMissing ? C.blueBorder : stockPe < sectorAvg.pe ? C.good : C.bad) : C.blueBorder;
                     return (
                       <div key={row.label} style={{ display: "flex", alignItems: "center", gap: 14, padding: "16px 20px", borderRadius: 12, background: bg, border: `1.5px solid ${bd}`, flex: 1 }}>
                         <div style={{ flex: 1 }}>
@@ -797,11 +5286,11 @@ export default function App() {
                         </div>
                         <div style={{ textAlign: "right" }}>
                           <div style={{ fontSize: 36, fontWeight: 900, color: clr, lineHeight: 1 }}>
-                            {row.value.toFixed(1)}<span style={{ fontSize: 16, fontWeight: 700 }}>x</span>
+                            {formatNumber(row.value)}<span style={{ fontSize: 16, fontWeight: 700 }}>x</span>
                           </div>
-                          {row.isStock && (
+                          {row.isStock && !peMissing && (
                             <div style={{ fontSize: 11, color: clr, fontWeight: 700, marginTop: 4 }}>
-                              {stockPe < sectorAvg.pe ? "▼ Alle toimiala-ka" : "▲ Yli toimiala-ka"}
+                              {stockPe < sectorAvg.pe ? `▼ ${tr("sectorCompare.below")}` : `▲ ${tr("sectorCompare.above")}`}
                             </div>
                           )}
                         </div>
@@ -812,77 +5301,285 @@ export default function App() {
               </Card>
 
             </div>
+
+            {/* Benchmark universe: company counts behind each average */}
+            <Card style={{ padding: 20 }}>
+              <SectionTitle>🧮 {tr("universe.title")} · {tr("sectorCompare.companies", { count: `${benchmarks.market.count}/${universe.length}` })}</SectionTitle>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1.5px solid ${C.blueBorder}` }}>
+                      {tr("universe.columns").map((h, i) => (
+                        <th key={h} style={{ padding: "6px 10px", textAlign: i === 0 ? "left" : "right", color: C.textMid, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap" }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[[null, benchmarks.market], ...sectorRows].map(([sector, group]) => {
+                      const label = sector == null ? tr("benchmarks.market") : sectorName(sector);
+                      const current = label === sectorRef.label;
+                      const small = sector != null && group.count < MIN_SECTOR_SAMPLE;
+                      return (
+                        <tr key={sector ?? ""} style={{ borderBottom: `1px solid ${C.blueBorder}40`, background: current ? C.bluePale : "transparent", color: small ? C.textLight : C.text }}>
+                          <td style={{ padding: "6px 10px", fontWeight: current ? 800 : 600 }}>
+                            {label}{small && <span title={tr("universe.smallHint", { min: MIN_SECTOR_SAMPLE })}> *</span>}
+                          </td>
+                          <td style={{ padding: "6px 10px", textAlign: "right" }}>{group.count}</td>
+                          {["pe", "roe", "dy"].flatMap(m => [group.latest[m].median, group.latest[m].mean]).map((v, i) => (
+                            <td key={i} style={{ padding: "6px 10px", textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+                              {formatNumber(v)}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ fontSize: 11, color: C.textLight, marginTop: 8 }}>
+                {tr("universe.note", { min: MIN_SECTOR_SAMPLE })}
+              </div>
+            </Card>
+            </div>
+          );
+        })()}
+
+        {/* ── TAB: ARVONMÄÄRITYS ── */}
+        {activeTab === "arvo" && (
+          <ValuationPanel key={stock.ticker} stock={stock} statements={statementSeries[stock.ticker]} />
+        )}
+
+        {/* ── TAB: SEULONTA ── */}
+        {activeTab === "seulonta" && (
+          <ScreenerPanel
+            rows={universeLoaded.map(s => ({ stock: s, data: latestRowOf(s), scores: calculateScore(s, scoringProfile, scoreOptions) }))}
+            universeSize={universe.length}
+            screen={screen}
+            onScreenChange={setScreen}
+            savedScreens={savedScreens}
+            onSave={sc => { setSavedScreens(p => [...p, sc]); setScreen(sc); }}
+            onDelete={id => setSavedScreens(p => p.filter(sc => sc.id !== id))}
+            watchlist={watchlist}
+            onToggleWatchlist={toggleWatchlist}
+            onSelect={t => selectStock(t, "yhteenveto")}
+            period={settings.period}
+          />
+        )}
+
+        {/* ── TAB: OSINGOT ── */}
+        {activeTab === "osingot" && (() => {
+          const today = new Date().toISOString().slice(0, 10);
+          const rows = dividendTickers.map(t => {
+            const s = dividendStocks.entries[t]?.stock ?? null;
+            const dpsYear = s ? latestPeriodOf(s) : null;
+            const dps = s?.years[dpsYear]?.dps ?? null;
+            const events = dividendEvents[t];
+            return {
+              ticker: t, name: s?.name ?? t, dps, dpsYear,
+              dy: s?.years[dpsYear]?.dy ?? null,
+              shares: dividendShares[t] ?? holdings[t] ?? 0,
+              schedule: events ? dividendSchedule(events, dps, today) : null,
+            };
+          });
+          return (
+            <DividendPanel
+              rows={rows}
+              onSharesChange={(t, v) => setDividendShares(p => ({ ...p, [t]: v }))}
+            />
+          );
+        })()}
+
+        {/* ── TAB: SALKKU ── */}
+        {activeTab === "salkku" && (() => {
+          const currentPrices = {}, names = {};
+          for (const t of portfolioTickers) {
+            const entry = portfolioStocks.entries[t];
+            const history = priceHistories[t];
+            names[t] = entry?.stock?.name;
+            currentPrices[t] = entry?.stock?.currentPrice ?? history?.[history.length - 1]?.close ?? null;
+          }
+          const positions = computePositions(transactions, currentPrices);
+          return (
+            <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+              <PortfolioPanel
+                transactions={transactions}
+                positions={positions}
+                totals={portfolioTotals(positions)}
+                twr={timeWeightedReturn(transactions, priceHistories, currentPrices)}
+                names={names}
+                onAdd={t => setTransactions(p => [...p, t])}
+                onDelete={id => setTransactions(p => p.filter(t => t.id !== id))}
+                onImport={importTransactions}
+                onExport={() => downloadFile("osakeapuri-tapahtumat.csv", transactionsToCSV(transactions), "text/csv")}
+                message={portfolioMessage}
+                onSelect={t => selectStock(t, "yhteenveto")}
+              />
+              {transactions.some(t => t.type !== "buy") && <TaxReportPanel transactions={transactions} />}
+            </div>
           );
         })()}
 
         {/* ── TAB: SEURANTA ── */}
         {activeTab === "seuranta" && (
-          <Card style={{ padding: 20 }}>
-            <SectionTitle>⭐ Seurantalista</SectionTitle>
-            {watchlist.length === 0 ? (
-              <div style={{ textAlign: "center", padding: "48px 0" }}>
-                <div style={{ fontSize: 40, marginBottom: 12 }}>☆</div>
-                <div style={{ color: C.textMid, fontWeight: 600 }}>Seurantalista on tyhjä</div>
-                <div style={{ color: C.textLight, fontSize: 12, marginTop: 4 }}>Lisää osakkeita painamalla "Lisää seurantaan"</div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+            <AlertInbox
+              inbox={alerts.inbox}
+              onMarkRead={() => setAlerts(p => ({ ...p, inbox: p.inbox.map(a => (a.read ? a : { ...a, read: true })) }))}
+              onClear={() => setAlerts(p => ({ ...p, inbox: [] }))}
+              onSelect={t => selectStock(t, "yhteenveto")}
+              notifications={settings.notifications}
+              onToggleNotifications={toggleNotifications}
+            />
+            <Card style={{ padding: 20 }}>
+              <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-start", justifyContent: "space-between", gap: 10 }}>
+                <SectionTitle>⭐ {tr("watchlist.title")}</SectionTitle>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                  {[
+                    { label: tr("watchlist.refreshAll"), onClick: () => watchlist.forEach(t => watchlistStocks.reload(t, { fresh: true })), disabled: watchlist.length === 0 },
+                    { label: tr("watchlist.exportJson"), onClick: () => exportWatchlist("json"), disabled: watchlist.length === 0 },
+                    { label: tr("watchlist.exportCsv"),  onClick: () => exportWatchlist("csv"),  disabled: watchlist.length === 0 },
+                    { label: tr("watchlist.importFile"), onClick: () => importInputRef.current?.click() },
+                  ].map(b => (
+                    <button key={b.label} onClick={b.onClick} disabled={b.disabled}
+                      style={{ padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: b.disabled ? "default" : "pointer", opacity: b.disabled ? 0.5 : 1, background: C.bluePale, color: C.blue, border: `1.5px solid ${C.blueBorder}` }}>
+                      {b.label}
+                    </button>
+                  ))}
+                  <input ref={importInputRef} type="file" accept=".json,.csv,.txt,application/json,text/csv" style={{ display: "none" }}
+                    onChange={e => { importWatchlist(e.target.files?.[0]); e.target.value = ""; }} />
+                </div>
               </div>
-            ) : (
-              <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-                {watchlist.map(ticker => {
-                  const s = MOCK_STOCKS[ticker];
-                  if (!s) return null;
-                  const sc = calculateScore(s);
-                  const d = s.years[2025];
-                  const clr = sc.total >= 70 ? C.good : sc.total >= 50 ? C.warn : C.bad;
-                  return (
-                    <div key={ticker} style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16, padding: 16, background: C.bluePale, borderRadius: 12, border: `1.5px solid ${C.blueBorder}` }}>
-                      <button onClick={() => selectStock(ticker)} style={{ display: "flex", alignItems: "center", gap: 12, flex: 1, minWidth: 180, background: "none", border: "none", cursor: "pointer", textAlign: "left" }}>
-                        <span style={{ fontSize: 24 }}>{s.logo}</span>
-                        <div>
-                          <div style={{ fontWeight: 800, color: C.blue }}>{s.name}</div>
-                          <div style={{ fontSize: 11, color: C.textLight }}>{s.ticker} · {s.sector}</div>
-                        </div>
-                      </button>
-                      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, minmax(56px, 1fr))", gap: 12, textAlign: "center" }}>
-                        {[
-                          { l: "Hinta",  v: `€${s.currentPrice.toFixed(2)}` },
-                          { l: "P/E",    v: `${d.pe.toFixed(1)}x` },
-                          { l: "ROE",    v: `${d.roe.toFixed(1)}%` },
-                          { l: "Osinko", v: `${d.dy.toFixed(1)}%` },
-                        ].map(m => (
-                          <div key={m.l}>
-                            <div style={{ fontSize: 10, color: C.textLight }}>{m.l}</div>
-                            <div style={{ fontSize: 13, fontWeight: 800, color: C.blue }}>{m.v}</div>
-                          </div>
-                        ))}
-                      </div>
-                      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                        <div style={{ textAlign: "center" }}>
-                          <div style={{ fontSize: 10, color: C.textLight }}>Pisteet</div>
-                          <div style={{ fontSize: 22, fontWeight: 900, color: clr }}>{sc.total}</div>
-                        </div>
+              {importMessage && (
+                <div style={{ marginBottom: 12, padding: "8px 12px", borderRadius: 8, fontSize: 12, fontWeight: 600, background: importMessage.ok ? C.goodBg : C.badBg, color: importMessage.ok ? C.good : C.bad }}>
+                  {importMessage.text}
+                </div>
+              )}
+              {watchlist.length > 0 && <AnnualScoresNote period={settings.period} />}
+              {watchlist.length === 0 ? (
+                <div style={{ textAlign: "center", padding: "48px 0" }}>
+                  <div style={{ fontSize: 40, marginBottom: 12 }}>☆</div>
+                  <div style={{ color: C.textMid, fontWeight: 600 }}>{tr("watchlist.empty")}</div>
+                  <div style={{ color: C.textLight, fontSize: 12, marginTop: 4 }}>{tr("watchlist.emptyHint", { button: tr("watchlist.add") })}</div>
+                </div>
+              ) : (
+                <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+                  {watchlist.map(ticker => {
+                    const entry = watchlistStocks.entries[ticker] ?? { status: "loading" };
+                    const rules = alerts.rules.filter(r => r.ticker === ticker);
+                    const editing = alertEditor === ticker;
+                    const removeButton = (
+                      <>
+                        <button onClick={() => setAlertEditor(editing ? null : ticker)}
+                          title={tr("alerts.title")}
+                          style={{ padding: "3px 8px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: editing ? C.blue : C.white, color: editing ? C.white : C.blue, border: `1.5px solid ${C.blueBorder}` }}>
+                          🔔{rules.length > 0 ? ` ${rules.length}` : ""}
+                        </button>
                         <button onClick={() => toggleWatchlist(ticker)}
                           style={{ fontSize: 20, color: "#d97706", background: "none", border: "none", cursor: "pointer" }}
-                          title="Poista seurannasta">★</button>
-                      </div>
-                    </div>
-                  );
-                })}
+                          title={tr("watchlist.remove")}>★</button>
+                      </>
+                    );
+                    const editor = editing && (
+                      <AlertRulesEditor
+                        ticker={ticker}
+                        rules={rules}
+                        stock={entry.status === "ready" ? entry.stock : null}
+                        score={entry.status === "ready" ? calculateScore(entry.stock, scoringProfile, scoreOptions).total : null}
+                        onChange={r => setTickerRules(ticker, r)}
+                      />
+                    );
+                    if (entry.status !== "ready") {
+                      const failed = entry.status === "error";
+                      return (
+                        <Fragment key={ticker}>
+                          <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16, padding: 16, background: failed ? C.badBg : C.bluePale, borderRadius: 12, border: `1.5px solid ${failed ? C.bad : C.blueBorder}` }}>
+                            <div style={{ display: "flex", alignItems: "center", gap: 12, flex: 1, minWidth: 180 }}>
+                              {failed
+                                ? <span style={{ fontSize: 20 }}>⚠️</span>
+                                : <div style={{ width: 18, height: 18, border: `3px solid ${C.blueBorder}`, borderTopColor: C.blue, borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />}
+                              <div>
+                                <div style={{ fontWeight: 800, color: failed ? C.bad : C.blue }}>{ticker}</div>
+                                <div style={{ fontSize: 11, color: failed ? "#7f1d1d" : C.textLight }}>
+                                  {failed ? entry.error : tr("watchlist.loading")}
+                                </div>
+                              </div>
+                            </div>
+                            <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                              {failed && (
+                                <button onClick={() => watchlistStocks.reload(ticker)}
+                                  style={{ padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 700, cursor: "pointer", background: C.white, color: C.bad, border: `1.5px solid ${C.bad}` }}>
+                                  {tr("common.retry")}
+                                </button>
+                              )}
+                              {removeButton}
+                            </div>
+                            <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>
+                          </div>
+                          {editor}
+                        </Fragment>
+                      );
+                    }
+                    const s = entry.stock;
+                    const sc = calculateScore(s, scoringProfile, scoreOptions);
+                    const year = latestPeriodOf(s);
+                    const d = latestRowOf(s);
+                    const clr = sc.total == null ? C.textLight : sc.total >= 70 ? C.good : sc.total >= 50 ? C.warn : C.bad;
+                    return (
+                      <Fragment key={ticker}>
+                        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16, padding: 16, background: C.bluePale, borderRadius: 12, border: `1.5px solid ${C.blueBorder}` }}>
+                          <button onClick={() => selectStock(ticker)} style={{ display: "flex", alignItems: "center", gap: 12, flex: 1, minWidth: 180, background: "none", border: "none", cursor: "pointer", textAlign: "left" }}>
+                            <span style={{ fontSize: 24 }}>{s.logo}</span>
+                            <div>
+                              <div style={{ fontWeight: 800, color: C.blue }}>{s.name}</div>
+                              <div style={{ fontSize: 11, color: C.textLight }}>{s.ticker} · {sectorName(s.sector)} · {year ?? tr("watchlist.noFigures")}
+                                {entry.error && <span style={{ color: C.bad }} title={entry.error}> · {tr("watchlist.refreshFailed")}</span>}
+                              </div>
+                            </div>
+                          </button>
+                          <div style={{ display: "grid", gridTemplateColumns: "repeat(4, minmax(56px, 1fr))", gap: 12, textAlign: "center" }}>
+                            {[
+                              { l: tr("portfolio.form.price"), v: formatValue(s.currentPrice, "eps") },
+                              { l: "P/E",                      v: formatValue(d.pe, "ratio") },
+                              { l: "ROE",                      v: formatValue(d.roe, "percent") },
+                              { l: tr("watchlist.dividend"),   v: formatValue(d.dy, "percent") },
+                            ].map(m => (
+                              <div key={m.l}>
+                                <div style={{ fontSize: 10, color: C.textLight }}>{m.l}</div>
+                                <div style={{ fontSize: 13, fontWeight: 800, color: C.blue }}>{m.v}</div>
+                              </div>
+                            ))}
+                          </div>
+                          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                            <div style={{ textAlign: "center" }}>
+                              <div style={{ fontSize: 10, color: C.textLight }}>{tr("common.score")}</div>
+                              <div style={{ fontSize: 22, fontWeight: 900, color: clr }} title={tr("watchlist.coverage", { level: sc.confidence.label })}>
+                                {sc.total ?? "—"}{sc.confidence.level !== "high" && <span style={{ fontSize: 12, color: C.warn }}> *</span>}
+                              </div>
+                            </div>
+                            {removeButton}
+                          </div>
+                        </div>
+                        {editor}
+                      </Fragment>
+                    );
+                  })}
+                </div>
+              )}
+              <div style={{ marginTop: 16, padding: 14, background: C.bluePale, borderRadius: 10, border: `1px dashed ${C.blueBorder}`, textAlign: "center", fontSize: 12, color: C.textMid }}>
+                {provider.live
+                  ? <>✅ <strong style={{ color: C.blue }}>{tr("watchlist.liveActive")}</strong> — {provider.label}</>
+                  : <>💡 <strong style={{ color: C.blue }}>{tr("watchlist.apiIntegration")}</strong> {tr("watchlist.apiHint", { variable: "VITE_STOCK_API_KEY" })}</>
+                }
               </div>
-            )}
-            <div style={{ marginTop: 16, padding: 14, background: C.bluePale, borderRadius: 10, border: `1px dashed ${C.blueBorder}`, textAlign: "center", fontSize: 12, color: C.textMid }}>
-              {apiKeyPresent
-                ? <>✅ <strong style={{ color: C.blue }}>Live-data aktiivinen</strong> — Financial Modeling Prep API</>
-                : <>💡 <strong style={{ color: C.blue }}>API-integraatio:</strong> Lisää <code>VITE_STOCK_API_KEY</code> ympäristömuuttujiin ottaaksesi live-datan käyttöön</>
-              }
-            </div>
-          </Card>
+            </Card>
+          </div>
         )}
 
         </>) /* end !apiLoading fragment */}
 
         {/* Footer */}
         <div style={{ textAlign: "center", padding: "12px 0", fontSize: 11, color: C.textLight, borderTop: `1px solid ${C.blueBorder}` }}>
-          Osakeapuri · {apiKeyPresent ? "Live-data: Financial Modeling Prep" : "Esimerkkidata — ei sijoitusneuvontaa"} · .HE = Nasdaq Helsinki
+          Osakeapuri · {provider.live ? tr("footer.live", { source: provider.label }) : tr("footer.example")} · .HE = Nasdaq Helsinki
         </div>
       </main>
 
@@ -891,3 +5588,1133 @@ export default function App() {
     </div>
   );
 }
+
+// ============================================================
+// MESSAGES
+// UI text catalogs, see LOCALIZATION. Keep both languages in the
+// same order so missing keys are easy to spot.
+// ============================================================
+const MESSAGES = {
+  fi: {
+    age: {
+      now:     "juuri nyt",
+      minutes: "{n} min sitten",
+      hours:   "{n} h sitten",
+      days:    "{n} pv sitten",
+    },
+    apiError: {
+      auth:     "Virheellinen API-avain",
+      quota:    "API-kiintiö täynnä",
+      plan:     "Ei sisälly API-tilaukseen",
+      notFound: "Osaketta ei löydy",
+      network:  "Ei yhteyttä",
+      server:   "Palvelinvirhe",
+      aborted:  "Keskeytetty",
+    },
+    request: {
+      aborted:        "Pyyntö keskeytettiin",
+      dailyQuota:     "Päivän {n} pyynnön kiintiö on käytetty",
+      failedQuota:    "{what} epäonnistui: API-kiintiö täynnä{detail}",
+      failedAuth:     "{what} epäonnistui: API-avain ei kelpaa{detail}",
+      failedPlan:     "{what} epäonnistui: ei sisälly API-tilaukseen{detail}",
+      failedNotFound: "{what} epäonnistui: ei löytynyt{detail}",
+      failed:         "{what} epäonnistui{detail}",
+      failedNetwork:  "{what} epäonnistui: ei yhteyttä palvelimeen",
+      profile:        "Profiilin haku",
+      notOnFmp:       "Osaketta {ticker} ei löytynyt FMP:stä",
+      keyMetrics:     "Tunnuslukujen haku",
+      income:         "Tuloslaskelman haku",
+      balance:        "Taseen haku",
+      cashflow:       "Kassavirtalaskelman haku",
+      search:         "Haku",
+      prices:         "Kurssihistorian haku",
+      dividends:      "Osinkotietojen haku",
+      dataFile:       "Datatiedoston haku",
+      notInDataset:   "Osakkeelle {ticker} ei ole dataa lähteessä \"{source}\"",
+    },
+    sectors: {
+    },
+    sections: {
+      profile:   "Perustiedot",
+      metrics:   "Tunnusluvut",
+      multiples: "Arvostuskertoimet",
+      quarters:  "Neljännesluvut",
+    },
+    providers: {
+      requiresKey:     "Vaatii VITE_STOCK_API_KEY-avaimen",
+      proxy:           "Oma välityspalvelin",
+      requiresProxy:   "Vaatii VITE_FMP_PROXY_URL-osoitteen",
+      json:            "Staattinen JSON-tiedosto",
+      requiresDataUrl: "Vaatii VITE_STATIC_DATA_URL-osoitteen",
+      mock:            "Esimerkkidata",
+    },
+    benchmarkStats: {
+      median: "Mediaani",
+      mean:   "Keskiarvo",
+    },
+    benchmarks: {
+      market: "Helsingin pörssi",
+    },
+    watchlist: {
+      unknownVersion: "Tuntematon seurantalistan versio",
+      remove:         "Poista seurannasta",
+      add:            "Lisää seurantaan",
+      inList:         "Seurannassa",
+      toList:         "Seurantaan",
+      imported:       "Tuotiin {added} uutta osaketta ({total} tiedostossa)",
+      title:          "Seurantalista",
+      refreshAll:     "Päivitä kaikki",
+      exportJson:     "Vie JSON",
+      exportCsv:      "Vie CSV",
+      importFile:     "Tuo tiedostosta",
+      empty:          "Seurantalista on tyhjä",
+      emptyHint:      "Lisää osakkeita painamalla \"{button}\"",
+      loading:        "Haetaan tietoja…",
+      noFigures:      "ei tunnuslukuja",
+      refreshFailed:  "päivitys epäonnistui, tiedot voivat olla vanhoja",
+      dividend:       "Osinko",
+      coverage:       "Datan kattavuus: {level}",
+      liveActive:     "Live-data aktiivinen",
+      apiIntegration: "API-integraatio:",
+      apiHint:        "Lisää {variable} ympäristömuuttujiin ottaaksesi live-datan käyttöön",
+    },
+    scoringModes: {
+      absolute: "Absoluuttinen",
+      sector:   "Toimialasuhteutettu",
+    },
+    scoreCategories: {
+      arvostus:      "Arvostus",
+      laatu:         "Laatu",
+      kasvu:         "Kasvu",
+      vakavaraisuus: "Vakavaraisuus",
+    },
+    scoreMetrics: {
+      pe:             "P/E",
+      peg:            "PEG",
+      pb:             "P/B",
+      pfcf:           "P/FCF",
+      roe:            "ROE",
+      ebit:           "EBIT-%",
+      revenueGrowth:  "Liikevaihto",
+      earningsGrowth: "EPS",
+      eq:             "Omavaraisuus",
+      nettovelka:     "Nettovelkaantuminen",
+      dy:             "Osinkotuotto",
+    },
+    scoringPresets: {
+      tasapainoinen: "Tasapainoinen",
+      osinko:        "Osinko",
+      kasvu:         "Kasvu",
+      arvo:          "Arvo",
+    },
+    confidence: {
+      high:     "Korkea",
+      medium:   "Kohtalainen",
+      low:      "Matala",
+      missing:  "Puuttuvat tiedot: {metrics}",
+      complete: "Kaikki pisteytyksen tiedot saatavilla",
+      badge:    "Datan kattavuus: {level} · {coverage}",
+    },
+    scoring: {
+      noteMissing:    "Arvo puuttuu — jätetty pois, paino jaettu muille mittareille",
+      noteCappedHigh: "Parempi kuin 100 pisteen raja — rajattu 100:aan",
+      noteCappedLow:  "Heikompi kuin 0 pisteen raja — rajattu 0:aan",
+      copyName:       "{name} (oma)",
+      profile:        "Pisteytysprofiili",
+      copy:           "Kopioi muokattavaksi",
+      closeEditor:    "Sulje muokkaus",
+      edit:           "Muokkaa",
+      mode:           "Pisteytystapa",
+      name:           "Nimi",
+      weight:         "paino",
+      pointsHint:     "Arvo, joka antaa {n} pistettä",
+      points:         "{n} p.",
+      editorNote:     "Painot suhteutetaan toisiinsa, eikä niiden tarvitse olla yhteensä 100. Pisteet lasketaan lineaarisesti \"0 p.\" ja \"100 p.\" -arvojen välillä.",
+      annualOnly:     "Pisteet ja luvut ovat tässä tilikausien mukaan; jaksovalinta ({period}) koskee vain valitun osakkeen pisteitä ja tunnuslukuja.",
+    },
+    periods: {
+      annual:    "Vuodet",
+      quarterly: "Neljännekset",
+      ttm:       "12 kk liukuva",
+    },
+    keyFigures: {
+      pe:               "P/E-luku",
+      peg:              "PEG-luku",
+      pb:               "P/B-luku",
+      pfcf:             "P/FCF",
+      eps:              "EPS (€)",
+      roe:              "ROE-%",
+      ebit:             "EBIT-%",
+      dps:              "Osinkoa per osake (€)",
+      dy:               "Osinkotuotto-%",
+      eq:               "Omavaraisuus-%",
+      nettovelka:       "Nettovelkaantuminen-%",
+      revenue:          "Liikevaihto (M€)",
+      revenueGrowth:    "Liikevaihto-kasvu-%",
+      earningsGrowth:   "EPS-kasvu-%",
+      payout:           "Osinkosuhde-%",
+      roic:             "ROIC-%",
+      fcfYield:         "FCF-tuotto-%",
+      interestCoverage: "Korkokate (x)",
+      netDebtToEbitda:  "Nettovelka / EBITDA",
+      column:           "Tunnusluku",
+    },
+    trend: {
+      units: {
+        percent: " %-yks.",
+        ratio:   "x",
+        eps:     " €",
+        num0:    "",
+      },
+      cagr:  "CAGR {value}",
+      slope: "{value}{unit}/v",
+    },
+    screener: {
+      totalScore:      "Kokonaispisteet",
+      categoryScore:   "{category} (pisteet)",
+      deleteSaved:     "Poista tallennettu seulonta",
+      clear:           "Tyhjennä",
+      removeFilter:    "Poista ehto",
+      addFilter:       "Lisää ehto",
+      namePlaceholder: "Seulonnan nimi",
+      save:            "Tallenna seulonta",
+      matches:         "{n} / {total} osaketta täyttää ehdot",
+      unavailable:     "{n} vertailujoukon osaketta ei saatavilla",
+      loadingUniverse: "Vertailujoukkoa ladataan…",
+      noMatches:       "Yksikään osake ei täytä ehtoja.",
+    },
+    builtinScreens: {
+      osinko:    "Osinkopoiminta",
+      edulliset: "Edulliset laatuyhtiöt",
+      pisteet:   "Parhaat pisteet",
+    },
+    transactionTypes: {
+      buy:      "Osto",
+      sell:     "Myynti",
+      dividend: "Osinko",
+    },
+    portfolio: {
+      import: {
+        noRows:         "Tiedostossa ei ole tapahtumia",
+        missingColumns: "Tiedostosta puuttuu sarake: {columns}",
+        duplicates:     "{n} jo olemassa",
+        skipped:        "{n} muuta riviä ohitettu",
+        oversold:       "{n} myyntiä hylätty, koska ne ylittävät omistuksen: {tickers}",
+        done:           "Tuotiin {n} tapahtumaa{extra}",
+      },
+      form: {
+        needTicker:   "Anna osakkeen tunnus",
+        needDate:     "Anna päivämäärä",
+        needQuantity: "Määrän pitää olla suurempi kuin 0",
+        needPrice:    "Anna hinta",
+        oversold:     "Myyntimäärä ylittää omistuksen ({held} kpl {date})",
+        price:        "Hinta",
+        withheld:     "Pidätetty vero",
+        fees:         "Kulut",
+      },
+      marketValue:       "Markkina-arvo",
+      cost:              "Hankintameno",
+      unrealized:        "Realisoitumaton",
+      realized:          "Realisoitunut",
+      dividendsNet:      "Osingot (netto)",
+      totalReturn:       "Tuotto yhteensä",
+      twr:               "Aikapainotettu tuotto",
+      twrAnnualized:     "{rate} p.a. · {since} alkaen",
+      since:             "{since} alkaen",
+      unpriced:          "Kurssi puuttuu: {tickers} — ei mukana markkina-arvossa",
+      holdings:          "Omistukset",
+      avgCost:           "Keskihinta",
+      soldOut:           "myyty",
+      empty:             "Ei tapahtumia. Lisää osto alla tai tuo välittäjän tapahtumaraportti (CSV).",
+      transactions:      "Tapahtumat ({n})",
+      importCsv:         "Tuo CSV",
+      exportCsv:         "Vie CSV",
+      shares:            "{n} kpl",
+      feesAmount:        "kulut {fees}",
+      deleteTransaction: "Poista tapahtuma",
+    },
+    tax: {
+      methods: {
+        actual: "Todellinen",
+        deemed: "Olettama",
+      },
+      deemedAt:         "Olettama {rate}",
+      csv: {
+        salesHeader:     "myyntipäivä;tunnus;määrä;luovutushinta;myyntikulut;hankintapäivä;hankintameno;hankintameno-olettama;käytetty;vähennys;voitto/tappio",
+        dividendsHeader: "osingon maksupäivä;tunnus;osinko;veronalainen 85 %;verovapaa 15 %;ennakonpidätys",
+      },
+      report: {
+        title:           "Verolaskelma {year}",
+        heading:         "Luovutusvoittolaskelma {year}",
+        totals:          "Luovutushinnat {proceeds} · Vähennykset {deducted} · Voitot {gains} · Tappiot {losses} · Veronalainen netto {net}",
+        sales:           "Myynnit (FIFO)",
+        salesColumns:    () => ["Myyty", "Osake", "Kpl", "Hankittu", "Luovutushinta", "Hankintameno", "Myyntikulut", "Käytetty", "Voitto/tappio"],
+        dividends:       "Osingot",
+        dividendColumns: () => ["Maksupäivä", "Osake", "Osinko", "Veronalainen 85 %", "Verovapaa 15 %", "Ennakonpidätys"],
+      },
+      smallSalesExempt: "Luovutushinnat ja hankintamenot yhteensä enintään {limit}: voitot ovat verovapaita eivätkä tappiot vähennyskelpoisia.",
+      smallSalesGainsFree: "Luovutushinnat yhteensä enintään {limit}: voitot ovat verovapaita. Hankintamenot ylittävät {limit}, joten tappiot ovat vähennyskelpoisia.",
+      disclaimer:       "Laskelma on apuväline eikä veroneuvontaa. Tarkista tiedot esitäytetystä veroilmoituksesta.",
+      title:            "Verolaskelma",
+      print:            "Tulosta / PDF",
+      printBlocked:     "Selain esti tulostusikkunan — salli ponnahdusikkunat tälle sivulle.",
+      proceeds:         "Luovutushinnat",
+      deducted:         "Vähennykset",
+      gains:            "Luovutusvoitot",
+      losses:           "Luovutustappiot",
+      net:              "Veronalainen netto",
+      dividendsTaxable: "Osingot, veronalainen 85 %",
+      unmatched:        "Osalle myydyistä osakkeista ei löydy ostoa ({tickers}) — tuo myös aiemmat ostot.",
+      sold:             "Myyty",
+      bought:           "Hankittu",
+      saleProceeds:     "Luovutushinta",
+      costWithFees:     "Hankintameno + kulut",
+      method:           "Käytetty",
+      gainLoss:         "Voitto/tappio",
+      saleTotal:        "{ticker} {date} yhteensä",
+      noSales:          "Ei myyntejä vuonna {year}.",
+      dividendPaid:     "Osinko maksettu",
+      taxable:          "Veronalainen 85 %",
+      taxFree:          "Verovapaa 15 %",
+      withheld:         "Ennakonpidätys",
+      method_note:      "FIFO-periaate; kullekin erälle käytetään edullisempaa: todellinen hankintameno kuluineen tai hankintameno-olettama ({rate}, ≥ {years} v omistetuille {longRate}). Apuväline, ei veroneuvontaa — tarkista tiedot esitäytetystä veroilmoituksesta.",
+    },
+    alerts: {
+      kinds: {
+        priceAbove: "Kurssi yli",
+        priceBelow: "Kurssi alle",
+        peBelow:    "P/E alle",
+        dyAbove:    "Osinkotuotto yli",
+        scoreBand:  "Pistealue vaihtuu",
+      },
+      bandMessage:          "{name}: pisteet {total}, {from} → {to}",
+      valueMessage:         "{name}: {kind} {limit} (nyt {value})",
+      notificationTitle:    "Osakeapuri: hälytys",
+      title:                "Hälytykset",
+      titleUnread:          "Hälytykset ({n} uutta)",
+      notificationsBlocked: "Ilmoitukset on estetty selaimen asetuksista",
+      notificationsOn:      "Selainilmoitukset päällä",
+      enableNotifications:  "Ota selainilmoitukset käyttöön",
+      markRead:             "Merkitse luetuksi",
+      empty:                "Ei hälytyksiä. Lisää sääntöjä seurantalistan 🔔-painikkeesta; ne tarkistetaan aina kun tiedot päivittyvät.",
+      noRules:              "Ei hälytyssääntöjä.",
+      now:                  "nyt {value}",
+      waiting:              "odottaa tietoja",
+      met:                  "ehto täyttyy",
+      notMet:               "ei täyty",
+      deleteRule:           "Poista sääntö",
+      addRule:              "Lisää hälytys",
+    },
+    scoreBands: {
+      strong:  "Vahva",
+      good:    "Hyvä",
+      neutral: "Neutraali",
+      weak:    "Heikko",
+    },
+    common: {
+      noData:       "Ei dataa",
+      save:         "Tallenna",
+      add:          "Lisää",
+      stock:        "Osake",
+      score:        "Pisteet",
+      quantity:     "Kpl",
+      ticker:       "Tunnus",
+      delete:       "Poista",
+      importFailed: "Tuonti epäonnistui: {error}",
+      retry:        "Yritä uudelleen",
+    },
+    score: {
+      ringEmpty: "Kokonaispisteet: ei dataa",
+      ring:      "Kokonaispisteet {score} / 100, {band}",
+    },
+    missing: {
+      title:  "{section} puuttuvat",
+      note:   "Muut tiedot näytetään normaalisti. Ei korvata esimerkkidatalla.",
+      noData: "Lähteessä ei tietoja tälle osakkeelle",
+    },
+    search: {
+      loading:       "Haetaan…",
+      resultCount:   ({ n }) => `${n} ${n === 1 ? "tulos" : "tulosta"}, valitse nuolinäppäimillä`,
+      noResults:     "Ei tuloksia",
+      label:         "Hae osaketta",
+      placeholder:   "Hae osaketta... (esim. Nokia, KNEBV)",
+      searching:     "Etsitään Helsinki-osakkeita…",
+      failed:        "{reason} — näytetään esimerkkiosakkeet",
+      failedGeneric: "Haku epäonnistui",
+      noMatches:     "Ei osumia haulla ”{query}”",
+      results:       "Hakutulokset",
+    },
+    settings: {
+      title:         "Asetukset",
+      dataSource:    "Datalähde",
+      universe:      "Vertailujoukko",
+      universeHint:  "Toimiala- ja markkinaluvut lasketaan näistä osakkeista. Ne haetaan vasta kun jokin näkymä tai toimialavertaileva pisteytys tarvitsee niitä · {ready}/{total} ladattu",
+      resetUniverse: "Palauta oletus",
+      cacheCleared:  "✓ Välimuisti tyhjennetty",
+      clearCache:    "Tyhjennä välimuisti",
+      language:      "Kieli",
+    },
+    breakdown: {
+      metric:           "Mittari",
+      value:            "Arvo",
+      score:            "Pist.",
+      scoreHint:        "Mittarin oma pisteytys 0–100",
+      weight:           "Paino",
+      weightHint:       "Osuus kategoriasta",
+      contribution:     "Vaik.",
+      contributionHint: "Pisteitä kategorian tulokseen",
+      curve:            "0 p. = {worst}, 100 p. = {best}",
+      benchmark:        " · vertailuarvo {value}",
+    },
+    priceRanges: {
+      "1M": "1 kk",
+      "6M": "6 kk",
+      "1Y": "1 v",
+      "5Y": "5 v",
+      MAX:  "Kaikki",
+    },
+    price: {
+      unavailableBecause: "Kurssihistoriaa ei saatavilla: {error}",
+      loading:            "Haetaan kurssihistoriaa…",
+      unavailable:        "Kurssihistoriaa ei saatavilla",
+      generated:          "generoitu esimerkkikurssi",
+      dividendMarker:     "Osinko tilikaudelta {year}: {dps}",
+      dividendTooltip:    "Osinko {year}: {dps}",
+      title:              "Kurssikehitys",
+      dividendLegend:     "Osingonmaksu (arvio: huhtikuu tilikautta seuraavana vuonna)",
+    },
+    history: {
+      sectorAverage:       "Toimiala-ka",
+      noValues:            "Ei arvoja tälle tunnusluvulle",
+      quartersFailed:      "Neljännesvuositietojen haku epäonnistui ({reason})",
+      quartersUnavailable: "Neljännesvuositietoja ei ole saatavilla",
+      showingAnnual:       "näytetään vuositiedot.",
+      ttmColumn:           "12 kk {period}",
+      trend:               "Trendi",
+      better:              "Parempi kuin vertailuryhmä",
+      worse:               "Heikompi kuin vertailuryhmä",
+      peerGroup:           "Vertailuryhmä: {label} · {stat} · {count} yhtiötä",
+      latestYear:          "Viimeisin vuosi",
+      latestQuarter:       "Viimeisin neljännes",
+      ttmNote:             "Tulos ja liikevaihto 12 kk liukuvina; kasvu vs. vuotta aiempi, kertoimet 12 kk tuloksesta",
+      quarterlyNote:       "Tulos ja liikevaihto neljänneksittäin; kasvu vs. vuotta aiempi, kertoimet 12 kk tuloksesta",
+    },
+    compare: {
+      title:          "Osakevertailu ({n}/{max})",
+      remove:         "Poista vertailusta",
+      addPlaceholder: "Lisää tunnus, esim. FORTUM",
+      pickMore:       "Valitse vähintään {n} osaketta vertailuun.",
+      best:           "Paras",
+      worst:          "Heikoin",
+    },
+    valuation: {
+      price:              "Kurssi",
+      dcfValue:           "DCF-arvo",
+      dcfNote:            "vapaa kassavirta",
+      ddmValue:           "Osinkomallin arvo",
+      ddmNote:            "Gordonin kasvumalli",
+      margin:             "Turvamarginaali {margin}",
+      aboveValue:         "Kurssi {margin} arvon yläpuolella",
+      dcfTitle:           "Kassavirtamalli (DCF)",
+      growth:             "Kasvu, {years} v",
+      discountRate:       "Diskonttokorko (WACC)",
+      terminalGrowth:     "Terminaalikasvu",
+      terminalGrowthAxis: "terminaalikasvu",
+      fcfBase:            "Vapaa kassavirta / osake (ka. {years} v)",
+      pvFlows:            "Ennustejakson nykyarvo",
+      pvTerminal:         "Jäännösarvon nykyarvo",
+      netDebt:            "− Nettovelka / osake",
+      perShare:           "Arvo / osake",
+      dcfNoFcf:           "Vapaa kassavirta ei ole positiivinen — DCF-mallia ei voi laskea.",
+      dcfRateTooLow:      "Diskonttokoron on oltava terminaalikasvua suurempi.",
+      ddmTitle:           "Osinkomalli (Gordon)",
+      requiredReturn:     "Tuottovaatimus",
+      dividendGrowth:     "Osingon pysyvä kasvu",
+      growthAxis:         "kasvu",
+      latestDividend:     "Viimeisin osinko / osake",
+      nextDividend:       "Ensi vuoden osinko",
+      ddmNoDividend:      "Yhtiö ei maksa osinkoa — osinkomallia ei voi laskea.",
+      ddmReturnTooLow:    "Tuottovaatimuksen on oltava osingon kasvua suurempi.",
+      inputsTitle:        "Lähtötiedot",
+      fcfPerShare:        "Vapaa kassavirta / osake",
+      dividendPerShare:   "Osinko / osake",
+      sourceCashflow:     "Vapaa kassavirta kassavirtalaskelmasta, jaettuna kunkin vuoden osakemäärällä.",
+      sourceMultiples:    "Kassavirtalaskelmaa ei saatavilla — vapaa kassavirta johdettu P/FCF-luvusta (kurssi ÷ P/FCF).",
+      growthNote:         "Kasvuoletukset on alustettu historiallisesta kasvusta ja ovat muokattavissa.",
+      financialsNote:     "Pankeille ja vakuutusyhtiöille kassavirtamalli soveltuu huonosti; painota osinkomallia.",
+      disclaimer:         "Laskelma on suuntaa antava eikä sijoitusneuvontaa.",
+    },
+    dividends: {
+      instalments:       "{n} erää/v",
+      estimated:         "Arvio",
+      paid:              "Maksettu",
+      announced:         "Ilmoitettu",
+      annualForecast:    "Ennuste, vuositaso",
+      annualHint:        "viimeisin osinko × osakemäärä",
+      upcoming:          "Tulevat maksut",
+      upcomingHint:      "{n} ilmoitettua tai arvioitua erää",
+      forecastTitle:     "Osinkoennuste",
+      shares:            "Osakkeita",
+      instalmentsColumn: "Erät / v",
+      perYear:           "Vuodessa",
+      fiscalYear:        "tilikausi {year}",
+      empty:             "Lisää osakkeita seurantalistalle nähdäksesi osinkoennusteen.",
+      calendarTitle:     "Osinkokalenteri",
+      exDate:            "Irtoamispäivä",
+      paymentDate:       "Maksupäivä",
+      yourShare:         "Osuutesi",
+      status:            "Tila",
+      noUpcoming:        "Ei tulevia osinkoja.",
+      recent:            "Viimeiset 12 kk",
+      estimateNote:      "Arvio = päivät siirretty edellisestä vuodesta ja viimeisin osinko jaettu erien kesken, kunnes yhtiö ilmoittaa osingosta.",
+    },
+    tabs: {
+      yhteenveto: "Yhteenveto",
+      historia:   "Tunnusluvut",
+      vertailu:   "Vertailu",
+      arvo:       "Arvonmääritys",
+      seulonta:   "Seulonta",
+      seuranta:   "Seuranta ({n})",
+      osingot:    "Osingot",
+      salkku:     "Salkku",
+    },
+    banners: {
+      staticSource:     "Datalähde: {source} — ei live-dataa",
+      switchToLive:     "Vaihda live-lähteeseen yläkulman asetuksista (⚙️).",
+      noKey:            "API-avain puuttuu — käytetään esimerkkidataa",
+      noKeyCreate:      "Lisää oikea data luomalla projektin juureen",
+      noKeyFile:        "-tiedosto",
+      noKeyLine:        "ja lisäämällä rivi:",
+      noKeyPlaceholder: "avaimesi_tähän",
+      noKeyFree:        "ilmainen avain osoitteesta",
+      perDay:           "{n} pyyntöä / päivä",
+      perMinute:        "{n} pyyntöä / min",
+      authCheck:        "Tarkista",
+      authRestart:      "ja käynnistä sovellus uudelleen.",
+      quotaUsed:        "{plan}-tilauksen raja ({limit}) on käytetty.",
+      retryIn:          "Yritä uudelleen {wait} kuluttua.",
+      retryLater:       "Yritä hetken kuluttua uudelleen.",
+      notInPlan:        "Tätä tietoa ei saa {plan}-tilauksella. Jos tilauksesi on suurempi, aseta",
+      tickerNotFound:   "Tunnusta {ticker} ei löydy palvelusta {source}.",
+      network:          "Palvelimeen ei saatu yhteyttä. Tarkista verkkoyhteys.",
+      server:           "Palvelu vastasi virheellä{status}. Vika on todennäköisesti tilapäinen.",
+      showingExample:   "{reason} — näytetään esimerkkidata",
+      apiError:         "API-virhe",
+      partial:          "Osa tiedoista puuttuu — näytetään se, mikä saatiin ladattua",
+      loading:          "Haetaan dataa Helsingin pörssistä…",
+    },
+    hero: {
+      mockHint:      "Luvut ovat keksittyjä esimerkkejä, eivät oikeaa markkinadataa",
+      partial:       "Osittainen data",
+      partialHint:   "Puuttuu: {sections}",
+      updated:       "Data päivitetty {age}",
+      refreshing:    "päivitetään…",
+      stale:         "vanhentunut",
+      refresh:       "Hae tuoreet tiedot",
+      refreshFailed: "päivitys epäonnistui: {reason}",
+    },
+    summary: {
+      scoredWith:      "Pisteet laskettu:",
+      referenceMarket: "vertailukohtana {market} ({count} yhtiötä; toimialalla {sector} alle {min} vertailuyhtiötä)",
+      referenceSector: "vertailukohtana toimiala {sector} ({count} yhtiötä)",
+      grades: {
+        good: "Hyvä",
+        ok:   "OK",
+        weak: "Heikko",
+      },
+      barLabel:        "{category}, pisteet",
+      hideBreakdown:   "Piilota erittely",
+      showBreakdown:   "Näytä erittely",
+    },
+    sectorCompare: {
+      title:      "Toimialavertailu",
+      fallback:   "Toimialalla {sector} alle {min} vertailuyhtiötä — verrataan koko markkinaan ({count} yhtiötä, {stat})",
+      companies:  "{count} yhtiötä",
+      peTitle:    "P/E-luvun vertailu",
+      selected:   "Valittu osake",
+      sectorStat: "Toimialan {stat} · {count} yhtiötä",
+      marketStat: "Markkinan {stat} · {count} yhtiötä",
+      below:      "Alle vertailuryhmän",
+      above:      "Yli vertailuryhmän",
+    },
+    universe: {
+      title:     "Vertailujoukko",
+      columns:   () => ["Ryhmä", "Yhtiöt", "P/E med.", "P/E ka", "ROE-% med.", "ROE-% ka", "Osinkotuotto-% med.", "Osinkotuotto-% ka"],
+      smallHint: "Alle {min} yhtiötä — pisteytyksessä käytetään markkinaa",
+      note:      "Luvut viimeisimmältä tilikaudelta. * Alle {min} yhtiötä — vertailussa käytetään koko markkinaa. Vertailujoukkoa voi muokata asetuksista.",
+    },
+    shortcuts: {
+      key: "Pikanäppäin: {key}",
+    },
+    footer: {
+      live:    "Live-data: {source}",
+      example: "Esimerkkidata — ei sijoitusneuvontaa",
+    },
+  },
+  en: {
+    age: {
+      now:     "just now",
+      minutes: "{n} min ago",
+      hours:   "{n} h ago",
+      days:    "{n} d ago",
+    },
+    apiError: {
+      auth:     "Invalid API key",
+      quota:    "API quota used up",
+      plan:     "Not included in the API plan",
+      notFound: "Stock not found",
+      network:  "No connection",
+      server:   "Server error",
+      aborted:  "Cancelled",
+    },
+    request: {
+      aborted:        "The request was cancelled",
+      dailyQuota:     "The daily quota of {n} requests is used up",
+      failedQuota:    "{what} failed: API quota used up{detail}",
+      failedAuth:     "{what} failed: the API key was rejected{detail}",
+      failedPlan:     "{what} failed: not included in the API plan{detail}",
+      failedNotFound: "{what} failed: not found{detail}",
+      failed:         "{what} failed{detail}",
+      failedNetwork:  "{what} failed: could not reach the server",
+      profile:        "Profile request",
+      notOnFmp:       "{ticker} was not found on FMP",
+      keyMetrics:     "Key metrics request",
+      income:         "Income statement request",
+      balance:        "Balance sheet request",
+      cashflow:       "Cash flow statement request",
+      search:         "Search",
+      prices:         "Price history request",
+      dividends:      "Dividend request",
+      dataFile:       "Data file request",
+      notInDataset:   "No data for {ticker} in \"{source}\"",
+    },
+    sectors: {
+      Teknologia:        "Technology",
+      Rahoitus:          "Financials",
+      Teollisuus:        "Industrials",
+      Energia:           "Energy",
+      Perusteollisuus:   "Basic materials",
+      Kulutustavarat:    "Consumer discretionary",
+      Päivittäistavarat: "Consumer staples",
+      Terveydenhuolto:   "Health care",
+      Kiinteistöt:       "Real estate",
+      Tuntematon:        "Unknown",
+    },
+    sections: {
+      profile:   "Company profile",
+      metrics:   "Key figures",
+      multiples: "Valuation multiples",
+      quarters:  "Quarterly figures",
+    },
+    providers: {
+      requiresKey:     "Requires VITE_STOCK_API_KEY",
+      proxy:           "Own proxy server",
+      requiresProxy:   "Requires VITE_FMP_PROXY_URL",
+      json:            "Static JSON file",
+      requiresDataUrl: "Requires VITE_STATIC_DATA_URL",
+      mock:            "Example data",
+    },
+    benchmarkStats: {
+      median: "Median",
+      mean:   "Mean",
+    },
+    benchmarks: {
+      market: "Helsinki Stock Exchange",
+    },
+    watchlist: {
+      unknownVersion: "Unknown watchlist version",
+      remove:         "Remove from watchlist",
+      add:            "Add to watchlist",
+      inList:         "Watching",
+      toList:         "Watch",
+      imported:       "Imported {added} new stocks ({total} in the file)",
+      title:          "Watchlist",
+      refreshAll:     "Refresh all",
+      exportJson:     "Export JSON",
+      exportCsv:      "Export CSV",
+      importFile:     "Import from file",
+      empty:          "The watchlist is empty",
+      emptyHint:      "Add stocks with \"{button}\"",
+      loading:        "Fetching data…",
+      noFigures:      "no key figures",
+      refreshFailed:  "refresh failed, data may be out of date",
+      dividend:       "Dividend",
+      coverage:       "Data coverage: {level}",
+      liveActive:     "Live data active",
+      apiIntegration: "API integration:",
+      apiHint:        "Add {variable} to the environment variables to enable live data",
+    },
+    scoringModes: {
+      absolute: "Absolute",
+      sector:   "Sector-relative",
+    },
+    scoreCategories: {
+      arvostus:      "Valuation",
+      laatu:         "Quality",
+      kasvu:         "Growth",
+      vakavaraisuus: "Solvency",
+    },
+    scoreMetrics: {
+      pe:             "P/E",
+      peg:            "PEG",
+      pb:             "P/B",
+      pfcf:           "P/FCF",
+      roe:            "ROE",
+      ebit:           "EBIT %",
+      revenueGrowth:  "Revenue",
+      earningsGrowth: "EPS",
+      eq:             "Equity ratio",
+      nettovelka:     "Net gearing",
+      dy:             "Dividend yield",
+    },
+    scoringPresets: {
+      tasapainoinen: "Balanced",
+      osinko:        "Dividend",
+      kasvu:         "Growth",
+      arvo:          "Value",
+    },
+    confidence: {
+      high:     "High",
+      medium:   "Moderate",
+      low:      "Low",
+      missing:  "Missing data: {metrics}",
+      complete: "All scoring data available",
+      badge:    "Data coverage: {level} · {coverage}",
+    },
+    scoring: {
+      noteMissing:    "Value missing — left out, its weight shared by the other metrics",
+      noteCappedHigh: "Better than the 100-point limit — capped at 100",
+      noteCappedLow:  "Worse than the 0-point limit — capped at 0",
+      copyName:       "{name} (custom)",
+      profile:        "Scoring profile",
+      copy:           "Copy to edit",
+      closeEditor:    "Close editor",
+      edit:           "Edit",
+      mode:           "Scoring mode",
+      name:           "Name",
+      weight:         "weight",
+      pointsHint:     "Value that gives {n} points",
+      points:         "{n} pts",
+      editorNote:     "Weights are relative to each other and need not add up to 100. Scores are linear between the \"0 pts\" and \"100 pts\" values.",
+      annualOnly:     "Scores and figures here are annual; the period setting ({period}) only applies to the selected stock's score and key figures.",
+    },
+    periods: {
+      annual:    "Years",
+      quarterly: "Quarters",
+      ttm:       "Trailing 12 months",
+    },
+    keyFigures: {
+      pe:               "P/E ratio",
+      peg:              "PEG ratio",
+      pb:               "P/B ratio",
+      pfcf:             "P/FCF",
+      eps:              "EPS (€)",
+      roe:              "ROE %",
+      ebit:             "EBIT margin %",
+      dps:              "Dividend per share (€)",
+      dy:               "Dividend yield %",
+      eq:               "Equity ratio %",
+      nettovelka:       "Net gearing %",
+      revenue:          "Revenue (€M)",
+      revenueGrowth:    "Revenue growth %",
+      earningsGrowth:   "EPS growth %",
+      payout:           "Payout ratio %",
+      roic:             "ROIC %",
+      fcfYield:         "FCF yield %",
+      interestCoverage: "Interest coverage (x)",
+      netDebtToEbitda:  "Net debt / EBITDA",
+      column:           "Key figure",
+    },
+    trend: {
+      units: {
+        percent: " pp",
+        ratio:   "x",
+        eps:     " €",
+        num0:    "",
+      },
+      cagr:  "CAGR {value}",
+      slope: "{value}{unit}/yr",
+    },
+    screener: {
+      totalScore:      "Total score",
+      categoryScore:   "{category} (score)",
+      deleteSaved:     "Delete saved screen",
+      clear:           "Clear",
+      removeFilter:    "Remove filter",
+      addFilter:       "Add filter",
+      namePlaceholder: "Screen name",
+      save:            "Save screen",
+      matches:         "{n} / {total} stocks match",
+      unavailable:     "{n} universe stocks unavailable",
+      loadingUniverse: "Loading the universe…",
+      noMatches:       "No stock matches the filters.",
+    },
+    builtinScreens: {
+      osinko:    "Dividend picks",
+      edulliset: "Cheap quality companies",
+      pisteet:   "Top scores",
+    },
+    transactionTypes: {
+      buy:      "Buy",
+      sell:     "Sell",
+      dividend: "Dividend",
+    },
+    portfolio: {
+      import: {
+        noRows:         "The file has no transactions",
+        missingColumns: "The file is missing a column: {columns}",
+        duplicates:     "{n} already present",
+        skipped:        "{n} other rows skipped",
+        oversold:       "{n} sales rejected because they exceed the holding: {tickers}",
+        done:           "Imported {n} transactions{extra}",
+      },
+      form: {
+        needTicker:   "Enter a ticker",
+        needDate:     "Enter a date",
+        needQuantity: "Quantity must be greater than 0",
+        needPrice:    "Enter a price",
+        oversold:     "Sale exceeds the holding ({held} shares on {date})",
+        price:        "Price",
+        withheld:     "Tax withheld",
+        fees:         "Fees",
+      },
+      marketValue:       "Market value",
+      cost:              "Cost basis",
+      unrealized:        "Unrealised",
+      realized:          "Realised",
+      dividendsNet:      "Dividends (net)",
+      totalReturn:       "Total return",
+      twr:               "Time-weighted return",
+      twrAnnualized:     "{rate} p.a. · since {since}",
+      since:             "since {since}",
+      unpriced:          "No price for: {tickers} — left out of the market value",
+      holdings:          "Holdings",
+      avgCost:           "Avg cost",
+      soldOut:           "sold",
+      empty:             "No transactions. Add a buy below or import your broker's transaction report (CSV).",
+      transactions:      "Transactions ({n})",
+      importCsv:         "Import CSV",
+      exportCsv:         "Export CSV",
+      shares:            "{n} shares",
+      feesAmount:        "fees {fees}",
+      deleteTransaction: "Delete transaction",
+    },
+    tax: {
+      methods: {
+        actual: "Actual",
+        deemed: "Deemed",
+      },
+      deemedAt:         "Deemed {rate}",
+      csv: {
+        salesHeader:     "sale date;ticker;quantity;proceeds;sale costs;purchase date;acquisition cost;deemed acquisition cost;method;deduction;gain/loss",
+        dividendsHeader: "payment date;ticker;dividend;taxable 85%;tax-free 15%;tax withheld",
+      },
+      report: {
+        title:           "Tax report {year}",
+        heading:         "Capital gains report {year}",
+        totals:          "Proceeds {proceeds} · Deductions {deducted} · Gains {gains} · Losses {losses} · Taxable net {net}",
+        sales:           "Sales (FIFO)",
+        salesColumns:    () => ["Sold", "Stock", "Qty", "Bought", "Proceeds", "Acquisition cost", "Sale costs", "Method", "Gain/loss"],
+        dividends:       "Dividends",
+        dividendColumns: () => ["Paid", "Stock", "Dividend", "Taxable 85%", "Tax-free 15%", "Tax withheld"],
+      },
+      smallSalesExempt: "Total proceeds and acquisition costs at most {limit}: gains are tax-free and losses are not deductible.",
+      smallSalesGainsFree: "Total proceeds at most {limit}: gains are tax-free. Acquisition costs exceed {limit}, so losses are deductible.",
+      disclaimer:       "This report is an aid, not tax advice. Check the figures against your pre-completed tax return.",
+      title:            "Tax report",
+      print:            "Print / PDF",
+      printBlocked:     "The browser blocked the print window — allow pop-ups for this page.",
+      proceeds:         "Proceeds",
+      deducted:         "Deductions",
+      gains:            "Capital gains",
+      losses:           "Capital losses",
+      net:              "Taxable net",
+      dividendsTaxable: "Dividends, taxable 85%",
+      unmatched:        "Some sold shares have no matching buy ({tickers}) — import your earlier buys too.",
+      sold:             "Sold",
+      bought:           "Bought",
+      saleProceeds:     "Proceeds",
+      costWithFees:     "Cost + fees",
+      method:           "Method",
+      gainLoss:         "Gain/loss",
+      saleTotal:        "{ticker} {date} total",
+      noSales:          "No sales in {year}.",
+      dividendPaid:     "Dividend paid",
+      taxable:          "Taxable 85%",
+      taxFree:          "Tax-free 15%",
+      withheld:         "Tax withheld",
+      method_note:      "FIFO; each lot uses whichever is better: the actual acquisition cost with fees or the deemed acquisition cost ({rate}, {longRate} for shares held ≥ {years} years). An aid, not tax advice — check the figures against your pre-completed tax return.",
+    },
+    alerts: {
+      kinds: {
+        priceAbove: "Price above",
+        priceBelow: "Price below",
+        peBelow:    "P/E below",
+        dyAbove:    "Dividend yield above",
+        scoreBand:  "Score band changes",
+      },
+      bandMessage:          "{name}: score {total}, {from} → {to}",
+      valueMessage:         "{name}: {kind} {limit} (now {value})",
+      notificationTitle:    "Osakeapuri: alert",
+      title:                "Alerts",
+      titleUnread:          "Alerts ({n} new)",
+      notificationsBlocked: "Notifications are blocked in the browser settings",
+      notificationsOn:      "Browser notifications on",
+      enableNotifications:  "Turn on browser notifications",
+      markRead:             "Mark as read",
+      empty:                "No alerts. Add rules with the 🔔 button in the watchlist; they are checked whenever the data refreshes.",
+      noRules:              "No alert rules.",
+      now:                  "now {value}",
+      waiting:              "waiting for data",
+      met:                  "condition met",
+      notMet:               "not met",
+      deleteRule:           "Delete rule",
+      addRule:              "Add alert",
+    },
+    scoreBands: {
+      strong:  "Strong",
+      good:    "Good",
+      neutral: "Neutral",
+      weak:    "Weak",
+    },
+    common: {
+      noData:       "No data",
+      save:         "Save",
+      add:          "Add",
+      stock:        "Stock",
+      score:        "Score",
+      quantity:     "Qty",
+      ticker:       "Ticker",
+      delete:       "Delete",
+      importFailed: "Import failed: {error}",
+      retry:        "Try again",
+    },
+    score: {
+      ringEmpty: "Total score: no data",
+      ring:      "Total score {score} / 100, {band}",
+    },
+    missing: {
+      title:  "{section} missing",
+      note:   "Everything else is shown as usual. Not replaced with example data.",
+      noData: "The source has no data for this stock",
+    },
+    search: {
+      loading:       "Searching…",
+      resultCount:   ({ n }) => `${n} ${n === 1 ? "result" : "results"}, use the arrow keys to choose`,
+      noResults:     "No results",
+      label:         "Search for a stock",
+      placeholder:   "Search for a stock... (e.g. Nokia, KNEBV)",
+      searching:     "Searching Helsinki stocks…",
+      failed:        "{reason} — showing example stocks",
+      failedGeneric: "Search failed",
+      noMatches:     "No matches for “{query}”",
+      results:       "Search results",
+    },
+    settings: {
+      title:         "Settings",
+      dataSource:    "Data source",
+      universe:      "Benchmark universe",
+      universeHint:  "Sector and market figures are computed from these stocks. They are only fetched once a view or sector-relative scoring needs them · {ready}/{total} loaded",
+      resetUniverse: "Restore default",
+      cacheCleared:  "✓ Cache cleared",
+      clearCache:    "Clear cache",
+      language:      "Language",
+    },
+    breakdown: {
+      metric:           "Metric",
+      value:            "Value",
+      score:            "Score",
+      scoreHint:        "The metric's own score 0–100",
+      weight:           "Weight",
+      weightHint:       "Share of the category",
+      contribution:     "Contrib.",
+      contributionHint: "Points added to the category score",
+      curve:            "0 pts = {worst}, 100 pts = {best}",
+      benchmark:        " · benchmark {value}",
+    },
+    priceRanges: {
+      "1M": "1 m",
+      "6M": "6 m",
+      "1Y": "1 y",
+      "5Y": "5 y",
+      MAX:  "All",
+    },
+    price: {
+      unavailableBecause: "Price history unavailable: {error}",
+      loading:            "Loading price history…",
+      unavailable:        "Price history unavailable",
+      generated:          "generated example prices",
+      dividendMarker:     "Dividend for fiscal {year}: {dps}",
+      dividendTooltip:    "Dividend {year}: {dps}",
+      title:              "Price performance",
+      dividendLegend:     "Dividend payment (estimate: April of the year after the fiscal year)",
+    },
+    history: {
+      sectorAverage:       "Sector avg",
+      noValues:            "No values for this key figure",
+      quartersFailed:      "Fetching quarterly data failed ({reason})",
+      quartersUnavailable: "Quarterly data is not available",
+      showingAnnual:       "showing annual data.",
+      ttmColumn:           "TTM {period}",
+      trend:               "Trend",
+      better:              "Better than peer group",
+      worse:               "Worse than peer group",
+      peerGroup:           "Peer group: {label} · {stat} · {count} companies",
+      latestYear:          "Latest year",
+      latestQuarter:       "Latest quarter",
+      ttmNote:             "Earnings and revenue as trailing 12 months; growth vs. a year earlier, multiples from trailing earnings",
+      quarterlyNote:       "Earnings and revenue per quarter; growth vs. a year earlier, multiples from trailing earnings",
+    },
+    compare: {
+      title:          "Stock comparison ({n}/{max})",
+      remove:         "Remove from comparison",
+      addPlaceholder: "Add a ticker, e.g. FORTUM",
+      pickMore:       "Pick at least {n} stocks to compare.",
+      best:           "Best",
+      worst:          "Worst",
+    },
+    valuation: {
+      price:              "Price",
+      dcfValue:           "DCF value",
+      dcfNote:            "free cash flow",
+      ddmValue:           "Dividend model value",
+      ddmNote:            "Gordon growth model",
+      margin:             "Margin of safety {margin}",
+      aboveValue:         "Price {margin} above value",
+      dcfTitle:           "Cash flow model (DCF)",
+      growth:             "Growth, {years} y",
+      discountRate:       "Discount rate (WACC)",
+      terminalGrowth:     "Terminal growth",
+      terminalGrowthAxis: "terminal growth",
+      fcfBase:            "Free cash flow / share ({years}-y avg)",
+      pvFlows:            "Present value of forecast",
+      pvTerminal:         "Present value of terminal value",
+      netDebt:            "− Net debt / share",
+      perShare:           "Value / share",
+      dcfNoFcf:           "Free cash flow is not positive — the DCF model cannot be computed.",
+      dcfRateTooLow:      "The discount rate must exceed terminal growth.",
+      ddmTitle:           "Dividend model (Gordon)",
+      requiredReturn:     "Required return",
+      dividendGrowth:     "Perpetual dividend growth",
+      growthAxis:         "growth",
+      latestDividend:     "Latest dividend / share",
+      nextDividend:       "Next year's dividend",
+      ddmNoDividend:      "The company pays no dividend — the dividend model cannot be computed.",
+      ddmReturnTooLow:    "The required return must exceed dividend growth.",
+      inputsTitle:        "Inputs",
+      fcfPerShare:        "Free cash flow / share",
+      dividendPerShare:   "Dividend / share",
+      sourceCashflow:     "Free cash flow from the cash flow statement, divided by each year's share count.",
+      sourceMultiples:    "No cash flow statement available — free cash flow derived from P/FCF (price ÷ P/FCF).",
+      growthNote:         "Growth assumptions start from historical growth and can be edited.",
+      financialsNote:     "The cash flow model suits banks and insurers poorly; lean on the dividend model.",
+      disclaimer:         "The calculation is indicative and not investment advice.",
+    },
+    dividends: {
+      instalments:       "{n} instalments/y",
+      estimated:         "Estimate",
+      paid:              "Paid",
+      announced:         "Announced",
+      annualForecast:    "Forecast, per year",
+      annualHint:        "latest dividend × shares",
+      upcoming:          "Upcoming payments",
+      upcomingHint:      "{n} announced or estimated instalments",
+      forecastTitle:     "Dividend forecast",
+      shares:            "Shares",
+      instalmentsColumn: "Instalments / y",
+      perYear:           "Per year",
+      fiscalYear:        "fiscal {year}",
+      empty:             "Add stocks to the watchlist to see a dividend forecast.",
+      calendarTitle:     "Dividend calendar",
+      exDate:            "Ex-date",
+      paymentDate:       "Payment date",
+      yourShare:         "Your share",
+      status:            "Status",
+      noUpcoming:        "No upcoming dividends.",
+      recent:            "Last 12 months",
+      estimateNote:      "Estimate = dates carried over from the previous year and the latest dividend split across instalments until the company announces its dividend.",
+    },
+    tabs: {
+      yhteenveto: "Summary",
+      historia:   "Key figures",
+      vertailu:   "Compare",
+      arvo:       "Valuation",
+      seulonta:   "Screener",
+      seuranta:   "Watchlist ({n})",
+      osingot:    "Dividends",
+      salkku:     "Portfolio",
+    },
+    banners: {
+      staticSource:     "Data source: {source} — no live data",
+      switchToLive:     "Switch to a live source in the settings at the top (⚙️).",
+      noKey:            "API key missing — using example data",
+      noKeyCreate:      "Get real data by creating a",
+      noKeyFile:        " file in the project root",
+      noKeyLine:        "with the line:",
+      noKeyPlaceholder: "your_key_here",
+      noKeyFree:        "free key at",
+      perDay:           "{n} requests / day",
+      perMinute:        "{n} requests / min",
+      authCheck:        "Check",
+      authRestart:      "then restart the app.",
+      quotaUsed:        "The {plan} plan limit ({limit}) is used up.",
+      retryIn:          "Try again in {wait}.",
+      retryLater:       "Try again in a moment.",
+      notInPlan:        "This data is not available on the {plan} plan. If your plan is larger, set",
+      tickerNotFound:   "{ticker} was not found on {source}.",
+      network:          "Could not reach the server. Check your network connection.",
+      server:           "The service answered with an error{status}. The fault is probably temporary.",
+      showingExample:   "{reason} — showing example data",
+      apiError:         "API error",
+      partial:          "Some data is missing — showing what could be loaded",
+      loading:          "Fetching data from the Helsinki Stock Exchange…",
+    },
+    hero: {
+      mockHint:      "The figures are made-up examples, not real market data",
+      partial:       "Partial data",
+      partialHint:   "Missing: {sections}",
+      updated:       "Data updated {age}",
+      refreshing:    "refreshing…",
+      stale:         "stale",
+      refresh:       "Fetch fresh data",
+      refreshFailed: "refresh failed: {reason}",
+    },
+    summary: {
+      scoredWith:      "Scored with:",
+      referenceMarket: "compared with {market} ({count} companies; fewer than {min} peers in {sector})",
+      referenceSector: "compared with sector {sector} ({count} companies)",
+      grades: {
+        good: "Good",
+        ok:   "OK",
+        weak: "Weak",
+      },
+      barLabel:        "{category}, score",
+      hideBreakdown:   "Hide breakdown",
+      showBreakdown:   "Show breakdown",
+    },
+    sectorCompare: {
+      title:      "Sector comparison",
+      fallback:   "Fewer than {min} peers in {sector} — comparing with the whole market ({count} companies, {stat})",
+      companies:  "{count} companies",
+      peTitle:    "P/E comparison",
+      selected:   "Selected stock",
+      sectorStat: "Sector {stat} · {count} companies",
+      marketStat: "Market {stat} · {count} companies",
+      below:      "Below peer group",
+      above:      "Above peer group",
+    },
+    universe: {
+      title:     "Benchmark universe",
+      columns:   () => ["Group", "Companies", "P/E med.", "P/E avg", "ROE % med.", "ROE % avg", "Div. yield % med.", "Div. yield % avg"],
+      smallHint: "Fewer than {min} companies — scoring uses the market",
+      note:      "Figures from the latest fiscal year. * Fewer than {min} companies — the whole market is used for comparison. The universe can be edited in the settings.",
+    },
+    shortcuts: {
+      key: "Shortcut: {key}",
+    },
+    footer: {
+      live:    "Live data: {source}",
+      example: "Example data — not investment advice",
+    },
+  },
+};
@@ -0,0 +1,57 @@
+// ============================================================
+// SHARED REQUESTS
+// Concurrent callers asking for the same key share one fetch. A
+// caller's own AbortSignal only detaches that caller; the fetch is
+// aborted once nobody waits for it any more, and forgotten at that
+// moment, so a caller arriving later starts a new fetch instead of
+// joining the cancelled one.
+//
+// Kept free of the app so that it can be tested without it:
+//   node --test request-flights.test.mjs
+// ============================================================
+
+// aborted() makes the error a detached caller is rejected with
+export function createFlights(aborted) {
+  const flights = new Map();
+
+  const forget = (key, flight) => {
+    if (flights.get(key) === flight) flights.delete(key);
+  };
+
+  // Settles like fetcher(signal), which runs only when no fetch for
+  // `key` is in flight
+  function join(key, fetcher, signal) {
+    let flight = flights.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      const created = { controller, waiters: 0 };
+      created.promise = fetcher(controller.signal).finally(() => forget(key, created));
+      flights.set(key, created);
+      flight = created;
+    }
+
+    flight.waiters++;
+    return new Promise((resolve, reject) => {
+      let detached = false;
+      const detach = () => {
+        if (detached) return;
+        detached = true;
+        signal?.removeEventListener("abort", abort);
+        if (--flight.waiters === 0) {
+          forget(key, flight);
+          flight.controller.abort();
+        }
+      };
+      function abort() {
+        detach();
+        reject(aborted());
+      }
+      // Attached first, so that a cancelled fetch never goes unhandled
+      flight.promise.then(resolve, reject).finally(detach);
+      if (signal?.aborted) abort();
+      else signal?.addEventListener("abort", abort, { once: true });
+    });
+  }
+
+  return { join, has: key => flights.has(key) };
+}
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFlights } from "./request-flights.mjs";
+
+const abortedError = () => Object.assign(new Error("aborted"), { kind: "aborted" });
+
+// A fetcher that records its calls and settles when told to
+function deferredFetcher() {
+  const calls = [];
+  const fetcher = signal => new Promise((resolve, reject) => {
+    const call = { signal, resolve };
+    calls.push(call);
+    signal.addEventListener("abort", () => reject(abortedError()), { once: true });
+  });
+  return { fetcher, calls };
+}
+
+test("concurrent callers of a key share one fetch", async () => {
+  const flights = createFlights(abortedError);
+  const { fetcher, calls } = deferredFetcher();
+  const a = flights.join("k", fetcher);
+  const b = flights.join("k", fetcher);
+  assert.equal(calls.length, 1);
+  calls[0].resolve(42);
+  assert.deepEqual(await Promise.all([a, b]), [42, 42]);
+  assert.equal(flights.has("k"), false);
+});
+
+test("one caller detaching leaves the fetch to the others", async () => {
+  const flights = createFlights(abortedError);
+  const { fetcher, calls } = deferredFetcher();
+  const leaving = new AbortController();
+  const a = flights.join("k", fetcher, leaving.signal);
+  const b = flights.join("k", fetcher);
+  leaving.abort();
+  await assert.rejects(a, { kind: "aborted" });
+  assert.equal(calls[0].signal.aborted, false);
+  calls[0].resolve(1);
+  assert.equal(await b, 1);
+});
+
+test("a key re-requested after its only caller aborted starts a new fetch", async () => {
+  const flights = createFlights(abortedError);
+  const { fetcher, calls } = deferredFetcher();
+  const first = new AbortController();
+  const a = flights.join("k", fetcher, first.signal);
+  first.abort();
+  await assert.rejects(a, { kind: "aborted" });
+  assert.equal(calls[0].signal.aborted, true);
+
+  const b = flights.join("k", fetcher);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].signal.aborted, false);
+  calls[1].resolve("new");
+  assert.equal(await b, "new");
+});
+
+test("the cancelled fetch settling late does not drop its replacement", async () => {
+  const flights = createFlights(abortedError);
+  const { fetcher, calls } = deferredFetcher();
+  const first = new AbortController();
+  const a = flights.join("k", fetcher, first.signal);
+  first.abort();
+  const b = flights.join("k", fetcher);
+  await assert.rejects(a, { kind: "aborted" });
+  // The first fetch has rejected by now; a third caller still joins the second
+  const c = flights.join("k", fetcher);
+  assert.equal(calls.length, 2);
+  calls[1].resolve("shared");
+  assert.deepEqual(await Promise.all([b, c]), ["shared", "shared"]);
+});
+
+test("a caller whose signal is already aborted is rejected and cancels the fetch", async () => {
+  const flights = createFlights(abortedError);
+  const { fetcher, calls } = deferredFetcher();
+  const done = new AbortController();
+  done.abort();
+  await assert.rejects(flights.join("k", fetcher, done.signal), { kind: "aborted" });
+  assert.equal(calls[0].signal.aborted, true);
+  assert.equal(flights.has("k"), false);
+});
+
+test("a failed fetch reaches every caller", async () => {
+  const flights = createFlights(abortedError);
+  const failing = () => Promise.reject(new Error("boom"));
+  await assert.rejects(Promise.all([flights.join("k", failing), flights.join("k", failing)]), /boom/);
+  assert.equal(flights.has("k"), false);
+});